@@ -1,8 +1,9 @@
 // authz.js
 export const requireRole = (...roles) => (req, res, next) => {
   try {
-    const user = req.user; // assume populated by your JWT middleware
-    if (!user || !roles.includes(user.role)) {
+    const user = req.user; // set by authenticate (src/lib/auth.js) from the Bearer token
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (!roles.includes(user.role)) {
       return res.status(403).json({ error: 'Forbidden' });
     }
     next();
@@ -0,0 +1,55 @@
+-- File: db/migrations/20261019_credit_notes.sql
+-- Credit notes + invoice cancellation (routes/creditNotes.js)
+-- Numbered through invoice_number_counters, series 'CN'.
+
+BEGIN;
+
+-- 1) Invoice status
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'issued',  -- issued | partially_credited | cancelled
+  ADD COLUMN IF NOT EXISTS credited_amount NUMERIC(12,2) NOT NULL DEFAULT 0, -- sum of credit note totals (ex-GST)
+  ADD COLUMN IF NOT EXISTS credited_litres NUMERIC(10,3) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices (status);
+
+-- 2) Credit notes
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_id BIGINT NOT NULL,
+  franchisee_id TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('cancellation','partial')),
+  credit_note_number TEXT NOT NULL,
+  credit_note_number_norm TEXT NOT NULL UNIQUE,
+  credit_note_seq INTEGER NOT NULL,
+  credit_note_fy TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  litres_returned NUMERIC(10,3) NOT NULL DEFAULT 0,
+  line_items JSONB,
+  total_before_gst NUMERIC(12,2) NOT NULL,
+  gst_rate NUMERIC(5,2) NOT NULL,
+  gst_amount NUMERIC(12,2) NOT NULL,
+  tax_mode TEXT NOT NULL,
+  cgst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  sgst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  igst_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  total_with_gst NUMERIC(12,2) NOT NULL,
+  inventory_after_litres NUMERIC(10,2),
+  referral_reversal_status TEXT,                 -- pending | ok | failed | skipped
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes (invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_franchisee_created
+  ON credit_notes (franchisee_id, created_at);
+
+DROP TRIGGER IF EXISTS trg_credit_notes_updated_at ON credit_notes;
+CREATE TRIGGER trg_credit_notes_updated_at
+BEFORE UPDATE ON credit_notes
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at();
+
+COMMIT;
@@ -0,0 +1,65 @@
+-- File: db/migrations/20261019_dosage_rules_and_line_items.sql
+-- Tyre-size-driven dosage for POST /api/invoices/full
+-- 1) dosage_rules: per-tyre sealant ml by vehicle category + tyre size band
+-- 2) invoices: line items + installation/discount columns the v46 PDF prints
+
+BEGIN;
+
+-- 1) Dosage table
+-- NULL bounds mean "any". When several rules match, the API picks the one
+-- with the highest priority (then the narrowest rim band).
+CREATE TABLE IF NOT EXISTS dosage_rules (
+  id BIGSERIAL PRIMARY KEY,
+  vehicle_category TEXT NOT NULL,            -- 2W, 3W, 4W, LCV, HCV
+  min_width_mm NUMERIC(6,1),
+  max_width_mm NUMERIC(6,1),
+  min_aspect_ratio NUMERIC(5,1),
+  max_aspect_ratio NUMERIC(5,1),
+  min_rim_in NUMERIC(4,1),
+  max_rim_in NUMERIC(4,1),
+  ml_per_tyre NUMERIC(8,1) NOT NULL CHECK (ml_per_tyre > 0),
+  priority INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dosage_rules_category
+  ON dosage_rules (vehicle_category) WHERE active;
+
+DROP TRIGGER IF EXISTS trg_dosage_rules_updated_at ON dosage_rules;
+CREATE TRIGGER trg_dosage_rules_updated_at
+BEFORE UPDATE ON dosage_rules
+FOR EACH ROW
+EXECUTE PROCEDURE set_updated_at();
+
+-- Starter chart (only seeded into an empty table; edit rows to match the
+-- current product chart — the API reads this table on every invoice).
+INSERT INTO dosage_rules (vehicle_category, min_rim_in, max_rim_in, ml_per_tyre, notes)
+SELECT v.cat, v.min_rim, v.max_rim, v.ml, v.notes
+  FROM (VALUES
+    ('2W',  NULL, NULL, 150, 'Two-wheeler (all sizes)'),
+    ('3W',  NULL, NULL, 200, 'Three-wheeler (all sizes)'),
+    ('4W',  NULL, 14,   250, 'Car up to R14'),
+    ('4W',  15,   16,   300, 'Car/SUV R15–R16'),
+    ('4W',  17,   18,   350, 'SUV R17–R18'),
+    ('4W',  19,   NULL, 400, 'SUV R19 and above'),
+    ('LCV', NULL, NULL, 500, 'Light commercial'),
+    ('HCV', NULL, NULL, 1000, 'Heavy commercial')
+  ) AS v(cat, min_rim, max_rim, ml, notes)
+ WHERE NOT EXISTS (SELECT 1 FROM dosage_rules);
+
+-- 2) Invoice columns written by the dosage-aware create handler
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS vehicle_type TEXT,
+  ADD COLUMN IF NOT EXISTS vehicle_category TEXT,
+  ADD COLUMN IF NOT EXISTS dosage_ml NUMERIC(10,1),
+  ADD COLUMN IF NOT EXISTS dosage_ml_per_tyre NUMERIC(8,1),
+  ADD COLUMN IF NOT EXISTS dosage_rule_id BIGINT,
+  ADD COLUMN IF NOT EXISTS price_per_ml NUMERIC(10,2),
+  ADD COLUMN IF NOT EXISTS installation_charges NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS line_items JSONB;
+
+COMMIT;
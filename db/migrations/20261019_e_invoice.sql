@@ -0,0 +1,36 @@
+-- File: db/migrations/20261019_e_invoice.sql
+-- E-invoice (IRN) for B2B invoices (src/lib/einvoice.js, routes/einvoice.js)
+
+BEGIN;
+
+-- 1) IRN details on the invoice
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS irp_doc_no TEXT,                 -- DocDtls.No, e.g. 2627/0001 (invoiceNumbering.js)
+  ADD COLUMN IF NOT EXISTS einvoice_status TEXT,            -- generated | failed | cancelled
+  ADD COLUMN IF NOT EXISTS irn TEXT,
+  ADD COLUMN IF NOT EXISTS irn_ack_no TEXT,
+  ADD COLUMN IF NOT EXISTS irn_ack_date TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS irn_signed_qr TEXT,
+  ADD COLUMN IF NOT EXISTS irn_provider TEXT,
+  ADD COLUMN IF NOT EXISTS einvoice_error TEXT,
+  ADD COLUMN IF NOT EXISTS irn_cancelled_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_invoices_irn ON invoices (irn) WHERE irn IS NOT NULL;
+
+-- 2) Every call to the IRP adapter (request + response), for support/audit
+CREATE TABLE IF NOT EXISTS einvoice_submissions (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_id BIGINT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('generate','cancel')),
+  provider TEXT NOT NULL,
+  ok BOOLEAN NOT NULL,
+  request JSONB,
+  response JSONB,
+  error TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_einvoice_submissions_invoice ON einvoice_submissions (invoice_id, created_at);
+
+COMMIT;
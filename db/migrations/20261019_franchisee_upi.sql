@@ -0,0 +1,14 @@
+-- File: db/migrations/20261019_franchisee_upi.sql
+-- Franchisee UPI collection details (routes/upi.js).
+-- The v46 invoice PDF prints a upi://pay QR for the grand total while the
+-- invoice is unpaid, unless upi_qr_enabled is switched off.
+
+BEGIN;
+
+ALTER TABLE franchisees
+  ADD COLUMN IF NOT EXISTS upi_vpa TEXT,                  -- e.g. gurgaontyres@okhdfcbank
+  ADD COLUMN IF NOT EXISTS upi_payee_name TEXT,
+  ADD COLUMN IF NOT EXISTS upi_qr_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS upi_updated_at TIMESTAMPTZ;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- File: db/migrations/20261019_idempotency_keys.sql
+-- Stored responses for Idempotency-Key replays (src/lib/idempotency.js)
+-- Used by POST /api/invoices/full and POST /installations/complete.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  franchisee_id TEXT NOT NULL,
+  endpoint TEXT NOT NULL,                   -- e.g. invoices.full, installations.complete
+  idem_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,               -- sha256 of the canonical JSON body
+  status TEXT NOT NULL DEFAULT 'in_progress'
+    CHECK (status IN ('in_progress','completed')),
+  response_status INTEGER,
+  response_body TEXT,                       -- JSON exactly as first sent (replayed byte-for-byte)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  PRIMARY KEY (franchisee_id, endpoint, idem_key)
+);
+
+-- Cleanup job deletes by age
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at
+  ON idempotency_keys (created_at);
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- File: db/migrations/20261019_installation_lifecycle.sql
+-- Installation cancel / expiry (routes/installations.js, src/lib/installations.js)
+-- started -> cancelled by the franchisee (POST /installations/:id/cancel, reason
+-- required) or by the expiry sweeper once a start is older than
+-- INSTALLATION_EXPIRY_HOURS (cancelled_by 'system:expiry').
+
+BEGIN;
+
+ALTER TABLE installations
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by TEXT,
+  ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+-- Sweeper scan + /installations list by franchisee
+CREATE INDEX IF NOT EXISTS idx_installations_started
+  ON installations (created_at)
+  WHERE status = 'started';
+
+CREATE INDEX IF NOT EXISTS idx_installations_franchisee_id
+  ON installations (franchisee_id, id DESC);
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- File: db/migrations/20261019_installation_reservations.sql
+-- Stock reservation at installation start (routes/installations.js, src/lib/installations.js)
+-- /installations/start records the job (tyre count + size) and reserves the
+-- expected litres. A reservation is active while status = 'started';
+-- available-to-promise = on-hand - SUM(reserved_litres) of started installations.
+
+BEGIN;
+
+ALTER TABLE installations
+  ADD COLUMN IF NOT EXISTS tyre_count INTEGER,
+  ADD COLUMN IF NOT EXISTS vehicle_category TEXT,
+  ADD COLUMN IF NOT EXISTS tyre_width_mm NUMERIC(6,1),
+  ADD COLUMN IF NOT EXISTS aspect_ratio NUMERIC(5,1),
+  ADD COLUMN IF NOT EXISTS rim_diameter_in NUMERIC(4,1),
+  ADD COLUMN IF NOT EXISTS dosage_ml_per_tyre NUMERIC(8,1),
+  ADD COLUMN IF NOT EXISTS reserved_litres NUMERIC(10,3) NOT NULL DEFAULT 0 CHECK (reserved_litres >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_installations_active_reservations
+  ON installations (franchisee_id)
+  WHERE status = 'started';
+
+COMMIT;
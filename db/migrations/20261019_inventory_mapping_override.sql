@@ -0,0 +1,17 @@
+-- File: db/migrations/20261019_inventory_mapping_override.sql
+-- SA override of where franchisee stock lives (src/inventory.js getInventoryMapping)
+-- Single row (id = 1). When present it wins over env and auto-detection;
+-- PUT / DELETE /api/super/inventory/mapping maintain it.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inventory_mapping_override (
+  id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  table_name TEXT NOT NULL,
+  franchisee_col TEXT NOT NULL,
+  stock_col TEXT NOT NULL,
+  updated_by TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMIT;
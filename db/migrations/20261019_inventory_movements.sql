@@ -0,0 +1,47 @@
+-- File: db/migrations/20261019_inventory_movements.sql
+-- Append-only stock ledger (src/inventory.js, GET /me/stock/ledger).
+-- Every change to the inventory stock column writes one row here in the same
+-- transaction, with signed litres and the balance after the move.
+--   kind: opening | replenishment | consumption | adjustment | transfer | reversal
+--   source_type/source_id: the document behind the move (installation, credit_note,
+--   franchisee_approval, transfer, manual, ...)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id BIGSERIAL PRIMARY KEY,
+  franchisee_id TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('opening','replenishment','consumption','adjustment','transfer','reversal')),
+  litres NUMERIC(12,3) NOT NULL CHECK (litres <> 0),   -- signed: + in, - out
+  balance_after NUMERIC(12,3) NOT NULL,
+  source_type TEXT NOT NULL,
+  source_id TEXT,
+  note TEXT,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_franchisee
+  ON inventory_movements (franchisee_id, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_source
+  ON inventory_movements (source_type, source_id);
+
+-- Append-only: corrections are new rows (adjustment / reversal), never edits
+CREATE OR REPLACE FUNCTION inventory_movements_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'inventory_movements is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_inventory_movements_append_only ON inventory_movements;
+CREATE TRIGGER trg_inventory_movements_append_only
+BEFORE UPDATE OR DELETE ON inventory_movements
+FOR EACH ROW
+EXECUTE PROCEDURE inventory_movements_append_only();
+
+-- Stock that predates the ledger is not seeded here: the stock table is only
+-- known to the app (SA override / env / auto-detected, src/inventory.js), so
+-- seedLedgerOpenings() books an 'opening' movement per franchisee at startup
+-- under the resolved mapping, as does a new SA mapping override.
+
+COMMIT;
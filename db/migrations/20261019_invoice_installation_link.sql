@@ -0,0 +1,25 @@
+-- File: db/migrations/20261019_invoice_installation_link.sql
+-- Two-way link between an invoice and the installation it bills.
+-- POST /api/invoices/full { installation_id } completes the installation and
+-- deducts stock using the invoice dosage in the same transaction.
+
+BEGIN;
+
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS installation_id BIGINT;
+
+ALTER TABLE installations
+  ADD COLUMN IF NOT EXISTS invoice_id BIGINT;
+
+-- Invoice dosage is in ml; keep litres to the millilitre
+ALTER TABLE installations
+  ALTER COLUMN used_litres TYPE NUMERIC(10,3);
+
+-- One invoice per installation (and vice versa)
+CREATE UNIQUE INDEX IF NOT EXISTS ux_invoices_installation_id
+  ON invoices (installation_id) WHERE installation_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_installations_invoice_id
+  ON installations (invoice_id) WHERE invoice_id IS NOT NULL;
+
+COMMIT;
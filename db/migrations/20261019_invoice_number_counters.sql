@@ -0,0 +1,59 @@
+-- File: db/migrations/20261019_invoice_number_counters.sql
+-- Gap-free, financial-year-aware invoice numbering (src/lib/invoiceNumbering.js)
+-- 1) Counter table per franchisee + series + Indian FY (April–March)
+-- 2) invoices.invoice_fy + uniqueness for numbers issued by the service
+-- 3) Seed counters from existing invoices so printed numbers continue
+-- 4) Drop the legacy MMYY triggers — the API now writes invoice_number,
+--    invoice_number_norm and invoice_seq itself
+
+BEGIN;
+
+-- 1) Counters
+CREATE TABLE IF NOT EXISTS invoice_number_counters (
+  franchisee_id TEXT NOT NULL,
+  series TEXT NOT NULL DEFAULT 'INV',        -- INV = tax invoice
+  financial_year TEXT NOT NULL,              -- e.g. 2526 for FY 2025-26
+  last_seq INTEGER NOT NULL CHECK (last_seq >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (franchisee_id, series, financial_year)
+);
+
+-- 2) Invoice columns
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS invoice_seq INTEGER,
+  ADD COLUMN IF NOT EXISTS invoice_fy TEXT;
+
+-- Only rows numbered by the service carry invoice_fy; legacy rows may
+-- contain duplicates from the old COUNT(*) numbering.
+CREATE UNIQUE INDEX IF NOT EXISTS ux_invoices_number_norm_fy
+  ON invoices (invoice_number_norm)
+  WHERE invoice_fy IS NOT NULL;
+
+-- 3) Seed counters (created_at is stored as UTC; shift to IST for the FY)
+INSERT INTO invoice_number_counters (franchisee_id, series, financial_year, last_seq)
+SELECT fr, 'INV', fy, MAX(invoice_seq)
+  FROM (
+    SELECT COALESCE(franchisee_id, franchisee_code) AS fr,
+           invoice_seq,
+           CASE WHEN EXTRACT(MONTH FROM ist) >= 4
+                THEN to_char(ist, 'YY') || to_char(ist + INTERVAL '1 year', 'YY')
+                ELSE to_char(ist - INTERVAL '1 year', 'YY') || to_char(ist, 'YY')
+           END AS fy
+      FROM (
+        SELECT franchisee_id, franchisee_code, invoice_seq,
+               COALESCE(created_at, NOW()) + INTERVAL '330 minutes' AS ist
+          FROM invoices
+         WHERE invoice_seq IS NOT NULL
+      ) s
+  ) t
+ WHERE fr IS NOT NULL
+ GROUP BY fr, fy
+ON CONFLICT (franchisee_id, series, financial_year)
+DO UPDATE SET last_seq = GREATEST(invoice_number_counters.last_seq, EXCLUDED.last_seq);
+
+-- 4) Legacy triggers (2025_09_06_* and 2025_09_09_invoice_number.sql)
+DROP TRIGGER IF EXISTS trg_invoices_set_number ON invoices;
+DROP TRIGGER IF EXISTS trg_set_invoice_number ON invoices;
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- File: db/migrations/20261019_invoice_revisions.sql
+-- Invoice amendments (PATCH /api/invoices/:id, routes/invoiceRevisions.js)
+-- Non-financial corrections only; each one is kept as a revision row.
+
+BEGIN;
+
+-- 1) Current revision on the invoice (0 = never amended)
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS revision_no INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS revised_at TIMESTAMPTZ;
+
+-- 2) Revision history
+CREATE TABLE IF NOT EXISTS invoice_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_id BIGINT NOT NULL,
+  franchisee_id TEXT NOT NULL,
+  revision_no INTEGER NOT NULL,
+  changes JSONB NOT NULL,            -- { field: { "before": ..., "after": ... } }
+  reason TEXT NOT NULL,
+  created_by TEXT NOT NULL,          -- "franchisee:<id>" | "sa:<user>"
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (invoice_id, revision_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_revisions_franchisee_created
+  ON invoice_revisions (franchisee_id, created_at);
+
+COMMIT;
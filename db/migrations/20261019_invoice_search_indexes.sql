@@ -0,0 +1,20 @@
+-- File: db/migrations/20261019_invoice_search_indexes.sql
+-- Indexes behind GET /api/invoices/search (routes/invoiceSearch.js).
+-- Keyset pages order by (sort expression, id); the expressions here must
+-- match SORT_KEYS in src/lib/invoiceSearch.js to be usable.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_search_created
+  ON invoices ((COALESCE(created_at, 'epoch')), id);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_search_fr_created
+  ON invoices ((COALESCE(franchisee_id, franchisee_code)), (COALESCE(created_at, 'epoch')), id);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_search_total
+  ON invoices ((COALESCE(total_with_gst, 0)), id);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_customer_code
+  ON invoices (customer_code);
+
+COMMIT;
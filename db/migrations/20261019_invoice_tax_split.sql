@@ -0,0 +1,24 @@
+-- File: db/migrations/20261019_invoice_tax_split.sql
+-- Place-of-supply tax split written by POST /api/invoices/full (src/lib/tax.js)
+
+BEGIN;
+
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS customer_gstin TEXT,
+  ADD COLUMN IF NOT EXISTS tax_mode TEXT,                 -- 'CGST+SGST' | 'IGST'
+  ADD COLUMN IF NOT EXISTS cgst_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS sgst_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS igst_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS supplier_state_code VARCHAR(2), -- GST state code, e.g. 06
+  ADD COLUMN IF NOT EXISTS place_of_supply_code VARCHAR(2),
+  ADD COLUMN IF NOT EXISTS place_of_supply TEXT;          -- e.g. 06-Haryana
+
+-- Historical rows were all billed as CGST+SGST
+UPDATE invoices
+   SET tax_mode = 'CGST+SGST',
+       cgst_amount = ROUND(COALESCE(gst_amount, 0) / 2, 2),
+       sgst_amount = COALESCE(gst_amount, 0) - ROUND(COALESCE(gst_amount, 0) / 2, 2),
+       igst_amount = 0
+ WHERE tax_mode IS NULL;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- File: db/migrations/20261019_notification_outbox.sql
+-- Transactional outbox for outgoing notifications (src/lib/notifications.js).
+-- Rows are written in the same transaction as the change that triggers them;
+-- a sender picks up status='pending' rows and marks them sent / failed.
+--   topic: low_stock, ...
+--   dedupe_key: one row per key (e.g. low_stock:<franchisee>:<IST day>)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  topic TEXT NOT NULL,
+  franchisee_id TEXT,
+  channel TEXT,                          -- NULL = sender decides (franchisee's preferred channel)
+  recipient TEXT,                        -- NULL = resolve from franchisee_id at send time
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sent','failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_notification_outbox_dedupe
+  ON notification_outbox (dedupe_key)
+  WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending
+  ON notification_outbox (status, id);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_franchisee
+  ON notification_outbox (franchisee_id, id);
+
+COMMIT;
@@ -0,0 +1,52 @@
+-- File: db/migrations/20261019_payments.sql
+-- Customer payments against invoices (routes/payments.js)
+-- One row per tender; a split payment is several rows sharing receipt_ref.
+-- invoices.amount_paid / balance_due / payment_status are maintained by
+-- src/lib/payments.js (refreshPaymentStatus) on every payment, void and credit note.
+
+BEGIN;
+
+-- 1) Invoice payment state
+-- Invoices issued before payments were recorded here were collected outside the
+-- system: they get payment_status 'unknown' (only when the column is first
+-- added), which keeps them out of receivables, the outstanding total and the
+-- UPI QR until a payment is recorded against them.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                  WHERE table_schema = 'public' AND table_name = 'invoices' AND column_name = 'payment_status') THEN
+    ALTER TABLE invoices ADD COLUMN payment_status TEXT NOT NULL DEFAULT 'unpaid'; -- unpaid | partial | paid | unknown
+    UPDATE invoices SET payment_status = 'unknown';
+  END IF;
+END $$;
+
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS amount_paid NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS balance_due NUMERIC(12,2),                     -- total_with_gst - credit notes - paid
+  ADD COLUMN IF NOT EXISTS last_paid_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_payment_status ON invoices (payment_status);
+
+-- 2) Payments
+CREATE TABLE IF NOT EXISTS payments (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_id BIGINT NOT NULL,
+  franchisee_id TEXT NOT NULL,
+  method TEXT NOT NULL CHECK (method IN ('cash','upi','card','bank_transfer')),
+  amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+  reference TEXT,                                -- UPI RRN / card auth code / UTR
+  receipt_ref TEXT NOT NULL,                     -- groups the legs of one split payment
+  paid_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  note TEXT,
+  voided_at TIMESTAMPTZ,
+  void_reason TEXT,
+  voided_by TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments (invoice_id);
+CREATE INDEX IF NOT EXISTS idx_payments_franchisee_paid
+  ON payments (franchisee_id, paid_at) WHERE voided_at IS NULL;
+
+COMMIT;
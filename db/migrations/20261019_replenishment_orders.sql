@@ -0,0 +1,92 @@
+-- File: db/migrations/20261019_replenishment_orders.sql
+-- Stock replenishment from HQ to franchisees (src/lib/replenishment.js, routes/replenishment.js)
+--   requested -> approved -> dispatched -> received
+--   requested -> rejected;  requested | approved -> cancelled
+-- Receipt credits the franchisee's inventory (inventory_movements kind 'replenishment')
+-- and issues HQ's tax invoice for the received quantity, in one transaction.
+-- replenishment_order_events keeps every state change (append-only) so short
+-- deliveries can be traced to who dispatched / received what and when.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS replenishment_orders (
+  id BIGSERIAL PRIMARY KEY,
+  franchisee_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'requested'
+    CHECK (status IN ('requested','approved','rejected','dispatched','received','cancelled')),
+  requested_litres NUMERIC(12,3) NOT NULL CHECK (requested_litres > 0),
+  approved_litres NUMERIC(12,3),
+  dispatched_litres NUMERIC(12,3),
+  received_litres NUMERIC(12,3),
+  shortage_litres NUMERIC(12,3),
+  batch_number TEXT,
+  dispatch_reference TEXT,               -- LR / courier / challan number
+  request_note TEXT,
+  status_note TEXT,                      -- last approval / rejection / cancellation / receipt note
+
+  -- HQ tax invoice (series "HQ", issued on receipt)
+  rate_per_litre NUMERIC(12,2),          -- fixed at dispatch
+  hq_invoice_number TEXT,
+  hq_invoice_number_norm TEXT,
+  hq_invoice_seq INTEGER,
+  hq_invoice_fy TEXT,
+  hq_invoice_date TIMESTAMPTZ,
+  hsn_code TEXT,
+  gst_rate NUMERIC(5,2),
+  tax_mode TEXT,
+  place_of_supply TEXT,
+  total_before_gst NUMERIC(12,2),
+  cgst_amount NUMERIC(12,2),
+  sgst_amount NUMERIC(12,2),
+  igst_amount NUMERIC(12,2),
+  gst_amount NUMERIC(12,2),
+  total_with_gst NUMERIC(12,2),
+
+  requested_by TEXT NOT NULL,
+  approved_by TEXT,
+  approved_at TIMESTAMPTZ,
+  dispatched_by TEXT,
+  dispatched_at TIMESTAMPTZ,
+  received_by TEXT,
+  received_at TIMESTAMPTZ,
+  closed_by TEXT,                        -- rejected / cancelled by
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_replenishment_orders_franchisee
+  ON replenishment_orders (franchisee_id, id);
+CREATE INDEX IF NOT EXISTS idx_replenishment_orders_status
+  ON replenishment_orders (status, id);
+CREATE UNIQUE INDEX IF NOT EXISTS ux_replenishment_orders_hq_invoice
+  ON replenishment_orders (hq_invoice_number_norm)
+  WHERE hq_invoice_number_norm IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS replenishment_order_events (
+  id BIGSERIAL PRIMARY KEY,
+  order_id BIGINT NOT NULL REFERENCES replenishment_orders(id),
+  from_status TEXT,                      -- NULL for the initial request
+  to_status TEXT NOT NULL,
+  litres NUMERIC(12,3),                  -- quantity at this step (requested / approved / dispatched / received)
+  actor TEXT NOT NULL,
+  note TEXT,
+  detail JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_replenishment_order_events_order
+  ON replenishment_order_events (order_id, id);
+
+CREATE OR REPLACE FUNCTION replenishment_order_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'replenishment_order_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_replenishment_order_events_append_only ON replenishment_order_events;
+CREATE TRIGGER trg_replenishment_order_events_append_only
+BEFORE UPDATE OR DELETE ON replenishment_order_events
+FOR EACH ROW
+EXECUTE PROCEDURE replenishment_order_events_append_only();
+
+COMMIT;
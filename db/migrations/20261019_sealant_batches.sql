@@ -0,0 +1,57 @@
+-- File: db/migrations/20261019_sealant_batches.sql
+-- Sealant batch / lot tracking with expiry (src/lib/batches.js)
+-- 1) sealant_batches: batch master (manufacture + expiry date), registered by HQ
+-- 2) franchisee_batch_stock: litres left per franchisee + batch. A sub-ledger of
+--    the inventory stock column: SUM(litres_remaining) <= available litres; the
+--    difference is stock from before batch tracking ("untracked")
+-- 3) installation_batches: which batch(es) went into which installation (FEFO),
+--    for recalls; installations.batch_numbers is the denormalised list for the PDF
+
+BEGIN;
+
+-- 1) Batch master
+CREATE TABLE IF NOT EXISTS sealant_batches (
+  batch_number TEXT PRIMARY KEY,
+  manufactured_on DATE NOT NULL,
+  expires_on DATE NOT NULL,
+  note TEXT,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (expires_on > manufactured_on)
+);
+
+-- 2) Per-franchisee batch stock
+CREATE TABLE IF NOT EXISTS franchisee_batch_stock (
+  id BIGSERIAL PRIMARY KEY,
+  franchisee_id TEXT NOT NULL,
+  batch_number TEXT NOT NULL REFERENCES sealant_batches(batch_number),
+  litres_received NUMERIC(12,3) NOT NULL DEFAULT 0,
+  litres_remaining NUMERIC(12,3) NOT NULL DEFAULT 0 CHECK (litres_remaining >= 0),
+  first_received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (franchisee_id, batch_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_franchisee_batch_stock_open
+  ON franchisee_batch_stock (franchisee_id)
+  WHERE litres_remaining > 0;
+
+-- 3) Installation -> batch allocations
+CREATE TABLE IF NOT EXISTS installation_batches (
+  id BIGSERIAL PRIMARY KEY,
+  installation_id BIGINT NOT NULL,
+  franchisee_id TEXT NOT NULL,
+  batch_number TEXT NOT NULL REFERENCES sealant_batches(batch_number),
+  litres NUMERIC(12,3) NOT NULL CHECK (litres > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_installation_batches_batch
+  ON installation_batches (batch_number, installation_id);
+CREATE INDEX IF NOT EXISTS idx_installation_batches_installation
+  ON installation_batches (installation_id);
+
+ALTER TABLE installations
+  ADD COLUMN IF NOT EXISTS batch_numbers TEXT[];
+
+COMMIT;
@@ -0,0 +1,49 @@
+-- File: db/migrations/20261019_stock_counts.sql
+-- Physical stock counts and variance reconciliation (src/lib/stockCounts.js, routes/stockCounts.js)
+-- A franchisee counts the sealant on hand; the count is compared with book
+-- stock (inventory stock column) at that moment and with invoiced vs installed
+-- litres since the previous count.
+--   |variance| <= tolerance -> posted (adjustment written straight away)
+--   |variance| >  tolerance -> pending_approval -> approved (adjustment) | rejected
+-- The adjustment is an inventory_movements row (kind 'adjustment', source
+-- 'stock_count'); adjustment_movement_id links back to it.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stock_counts (
+  id BIGSERIAL PRIMARY KEY,
+  franchisee_id TEXT NOT NULL,
+  status TEXT NOT NULL
+    CHECK (status IN ('posted','pending_approval','approved','rejected')),
+  counted_litres NUMERIC(12,3) NOT NULL CHECK (counted_litres >= 0),
+  book_litres NUMERIC(12,3) NOT NULL,          -- stock column when the count was submitted
+  variance_litres NUMERIC(12,3) NOT NULL,      -- counted - book (negative = shortfall)
+  variance_pct NUMERIC(8,2),                   -- of book; NULL when book is 0
+  tolerance_litres NUMERIC(12,3) NOT NULL,     -- tolerance applied to this count
+
+  -- Billing vs material since the previous count (or onboarding)
+  period_from TIMESTAMPTZ,
+  period_to TIMESTAMPTZ NOT NULL,
+  installed_litres NUMERIC(12,3) NOT NULL DEFAULT 0,  -- completed installations
+  invoiced_litres NUMERIC(12,3) NOT NULL DEFAULT 0,   -- invoice dosage less credit notes
+  unbilled_litres NUMERIC(12,3) NOT NULL DEFAULT 0,   -- installed - invoiced
+
+  note TEXT,
+  counted_by TEXT NOT NULL,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  adjustment_movement_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_counts_franchisee
+  ON stock_counts (franchisee_id, id DESC);
+
+-- At most one count awaiting SA per franchisee
+CREATE UNIQUE INDEX IF NOT EXISTS uq_stock_counts_pending
+  ON stock_counts (franchisee_id)
+  WHERE status = 'pending_approval';
+
+COMMIT;
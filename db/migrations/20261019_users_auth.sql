@@ -0,0 +1,59 @@
+-- File: db/migrations/20261019_users_auth.sql
+-- One login over users (role_type SA / ADMIN / FRANCHISEE) for every route (src/lib/auth.js, routes/auth.js)
+-- users / role_type come from migrations/2025_09_05_onboarding.sql; created here too
+-- so the table exists on databases that never ran onboarding.
+-- franchisee_id is the scope carried in the token (required for FRANCHISEE).
+-- Franchisees that already have a password (franchisees.hashed_password, scrypt)
+-- get a FRANCHISEE user with username = franchisee_id and the same hash.
+
+BEGIN;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'role_type') THEN
+    CREATE TYPE role_type AS ENUM ('SA','ADMIN','FRANCHISEE');
+  END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  role role_type NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS franchisee_id TEXT,
+  ADD COLUMN IF NOT EXISTS display_name TEXT,
+  ADD COLUMN IF NOT EXISTS created_by TEXT,
+  ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+-- Onboarding issued franchisee users with username = franchisee code
+UPDATE users SET franchisee_id = username WHERE role = 'FRANCHISEE' AND franchisee_id IS NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_franchisee_scope_chk') THEN
+    ALTER TABLE users ADD CONSTRAINT users_franchisee_scope_chk
+      CHECK (role <> 'FRANCHISEE' OR franchisee_id IS NOT NULL);
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+              WHERE table_schema = 'public' AND table_name = 'franchisees' AND column_name = 'hashed_password') THEN
+    INSERT INTO users (username, password_hash, role, franchisee_id, created_by)
+    SELECT f.franchisee_id, f.hashed_password, 'FRANCHISEE', f.franchisee_id, 'migration:franchisee_password'
+      FROM public.franchisees f
+     WHERE f.franchisee_id IS NOT NULL AND f.hashed_password IS NOT NULL
+    ON CONFLICT (username) DO NOTHING;
+  END IF;
+END$$;
+
+CREATE INDEX IF NOT EXISTS idx_users_franchisee ON users (franchisee_id) WHERE franchisee_id IS NOT NULL;
+
+-- Franchisees created by onboarding (issue-credentials) link back to their application
+ALTER TABLE IF EXISTS franchisees ADD COLUMN IF NOT EXISTS application_id UUID;
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- File: db/migrations/20261019_users_installers.sql
+-- Installer sub-accounts under a franchisee (routes/installers.js, src/lib/auth.js)
+-- role INSTALLER: scoped to one franchisee like FRANCHISEE (the owner), but only
+-- installations + invoice creation. Installations and invoices record the
+-- installer's user id from the token; the invoice PDF prints that user's name.
+
+-- Enum values cannot be added and used in one transaction; the checks below compare role::text
+ALTER TYPE role_type ADD VALUE IF NOT EXISTS 'INSTALLER';
+
+BEGIN;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_franchisee_scope_chk;
+ALTER TABLE users ADD CONSTRAINT users_franchisee_scope_chk
+  CHECK (role::text NOT IN ('FRANCHISEE','INSTALLER') OR franchisee_id IS NOT NULL);
+
+ALTER TABLE installations
+  ADD COLUMN IF NOT EXISTS installer_user_id UUID REFERENCES users(id);
+
+ALTER TABLE invoices
+  ADD COLUMN IF NOT EXISTS installer_user_id UUID REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS installer_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_installations_installer
+  ON installations (installer_user_id, created_at DESC)
+  WHERE installer_user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_installer
+  ON invoices (installer_user_id)
+  WHERE installer_user_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- File: db/migrations/20261019_users_login_guard.sql
+-- Brute-force protection for /auth/login + auth audit log (src/lib/loginGuard.js, routes/auth.js)
+-- login_throttles: one row per account (username as typed, also unknown ones) and
+-- per source IP with the failures in the current window, the backoff
+-- (next_allowed_at) and the temporary lockout (locked_until). A success deletes
+-- the account row; SA can clear rows.
+-- auth_audit_log: append-only record of login successes / failures / blocks and
+-- SA lockout clears.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS login_throttles (
+  kind TEXT NOT NULL CHECK (kind IN ('account','ip')),
+  key TEXT NOT NULL,                     -- username or IP
+  failures INTEGER NOT NULL DEFAULT 0,   -- in the current window (reset by a lockout)
+  first_failed_at TIMESTAMPTZ,
+  last_failed_at TIMESTAMPTZ,
+  next_allowed_at TIMESTAMPTZ,           -- backoff: attempts before this are refused unchecked
+  locked_until TIMESTAMPTZ,
+  lockouts INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (kind, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttles_locked
+  ON login_throttles (locked_until)
+  WHERE locked_until IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS auth_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  event TEXT NOT NULL CHECK (event IN ('login_success','login_failed','login_blocked','lockout_cleared')),
+  username TEXT,
+  user_id UUID,                          -- no FK: kept after the user is deleted
+  franchisee_id TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  reason TEXT,                           -- bad_credentials, user_disabled, account_locked, ip_locked, login_backoff, ...
+  actor TEXT,                            -- lockout_cleared: the SA
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_username
+  ON auth_audit_log (username, id DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_ip
+  ON auth_audit_log (ip, id DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_audit_log_created
+  ON auth_audit_log (created_at);
+
+COMMIT;
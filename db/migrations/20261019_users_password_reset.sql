@@ -0,0 +1,33 @@
+-- File: db/migrations/20261019_users_password_reset.sql
+-- Self-service password change + OTP password reset (src/lib/passwordReset.js, routes/auth.js)
+-- POST /auth/password/forgot records every request here (also for unknown
+-- usernames, which get no OTP) so the per-username / per-IP hourly limits count
+-- them all. Only an HMAC of the OTP is stored; attempts caps guesses per OTP and
+-- a newer OTP replaces older ones. The plaintext code only sits in the
+-- notification_outbox payload until it is sent or no longer usable.
+
+BEGIN;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS password_reset_otps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username TEXT NOT NULL,                -- as requested
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,   -- NULL = no such user / no contact on record
+  otp_hash TEXT,                         -- NULL = nothing sent
+  channel TEXT CHECK (channel IN ('sms','email')),
+  recipient TEXT,
+  ip TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_otps_username
+  ON password_reset_otps (username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_password_reset_otps_ip
+  ON password_reset_otps (ip, created_at DESC);
+
+COMMIT;
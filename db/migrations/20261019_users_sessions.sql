@@ -0,0 +1,38 @@
+-- File: db/migrations/20261019_users_sessions.sql
+-- Server-side login sessions (src/lib/sessions.js, routes/auth.js)
+-- /auth/login opens a session: a short-lived access token carries its id (sid),
+-- the refresh token is stored only as a SHA-256 hash and rotates on every
+-- /auth/refresh. A revoked or expired session rejects its access tokens at once.
+-- prev_refresh_hash spots a replayed (already rotated) refresh token; the session
+-- is then revoked (refresh_reuse).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  franchisee_id TEXT,
+  refresh_hash TEXT NOT NULL,
+  prev_refresh_hash TEXT,
+  rotations INTEGER NOT NULL DEFAULT 0,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_by TEXT,
+  revoke_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active
+  ON user_sessions (user_id, created_at DESC)
+  WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_franchisee_active
+  ON user_sessions (franchisee_id)
+  WHERE revoked_at IS NULL AND franchisee_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions (expires_at);
+
+COMMIT;
@@ -1,13 +1,13 @@
 // onboarding.routes.js
 import express from 'express';
-import bcrypt from 'bcryptjs';
-import { q } from './db.js';
+import { pool, q } from './db.js';
 import { requireRole } from './authz.js';
 import { applicationSchema } from './onboarding.validation.js';
+import { generatePassword, hashPassword } from './src/lib/passwords.js';
+import { resolveStateCode } from './src/lib/tax.js';
 
 const router = express.Router();
 const PREFIX = process.env.FRANCHISEE_PREFIX || 'MAXTT';
-const PEPPER = process.env.PASSWORD_PEPPER || '';
 
 /** Helpers */
 const toApp = r => ({
@@ -25,8 +25,8 @@ async function generateFranchiseeCode() {
   return `${PREFIX}-${pad3(rows[0].seq)}`;
 }
 
-async function logAction(application_id, actor_user_id, action, notes=null) {
-  await q(
+async function logAction(application_id, actor_user_id, action, notes=null, client=null) {
+  await (client ? client.query.bind(client) : q)(
     `INSERT INTO application_approvals(application_id, actor_user_id, action, notes)
      VALUES ($1,$2,$3,$4)`,
     [application_id, actor_user_id, action, notes]
@@ -131,54 +131,62 @@ router.post('/applications/:id/reject', requireRole('SA'), async (req, res) => {
   res.json(toApp(rows[0]));
 });
 
-/** Issue credentials (SA only) → creates user + franchisee */
+/** Issue credentials (SA only) → creates user + public.franchisees row, in one transaction */
 router.post('/applications/:id/issue-credentials', requireRole('SA'), async (req, res) => {
   const u = req.user; const { id } = req.params;
 
-  const { rows: appRows } = await q(`SELECT * FROM franchisee_applications WHERE id=$1`, [id]);
-  const app = appRows[0];
-  if (!app) return res.status(404).json({ error: 'Application not found' });
-  if (app.status !== 'APPROVED') return res.status(400).json({ error: 'Must be APPROVED' });
-
-  const code = await generateFranchiseeCode();
-  const username = code; // franchisee logs in with their code
-  const plainPassword = `${code}@2025`; // policy: not modifiable by franchisee
-  const hash = bcrypt.hashSync(plainPassword + PEPPER, 12);
-
+  const client = await pool.connect();
   try {
-    await q('BEGIN');
-
-    const userIns = await q(
-      `INSERT INTO users (username, password_hash, role, is_active)
-       VALUES ($1,$2,'FRANCHISEE',TRUE) RETURNING id`,
-      [username, hash]
+    await client.query('BEGIN');
+
+    const { rows: appRows } = await client.query(`SELECT * FROM franchisee_applications WHERE id=$1 FOR UPDATE`, [id]);
+    const app = appRows[0];
+    if (!app) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Application not found' }); }
+    if (app.status !== 'APPROVED') { await client.query('ROLLBACK'); return res.status(400).json({ error: 'Must be APPROVED' }); }
+    // public.franchisees needs the GST state (tax mode) and a city code
+    const stateCode = resolveStateCode(app.gstin) || resolveStateCode(app.state);
+    const cityCode = String(app.city || '').replace(/[^A-Za-z]/g, '').slice(0, 3).toUpperCase();
+    if (!stateCode || !cityCode) { await client.query('ROLLBACK'); return res.status(400).json({ error: 'Application state/city not recognised' }); }
+
+    const code = await generateFranchiseeCode();
+    const username = code; // franchisee logs in with their code
+    const plainPassword = generatePassword(20); // one-time; franchisee sets their own via POST /me/password
+    const hash = hashPassword(plainPassword); // same scrypt format /auth/login verifies
+
+    await client.query(
+      `INSERT INTO users (username, password_hash, role, is_active, franchisee_id, created_by)
+       VALUES ($1,$2,'FRANCHISEE',TRUE,$1,$3)`,
+      [username, hash, `${u.role.toLowerCase()}:${u.username}`]
     );
 
-    const frIns = await q(
-      `INSERT INTO franchisees
-       (application_id, code, legal_name, gstin, pan, address_line1, address_line2, city, state, pincode, user_id)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    const frIns = await client.query(
+      `INSERT INTO public.franchisees
+       (franchisee_id, application_id, legal_name, gstin, pan, address1, address2, city, city_code, state, state_code, pincode, phone, email)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
        RETURNING *`,
-      [app.id, code, app.legal_name, app.gstin, app.pan, app.address_line1, app.address_line2, app.city, app.state, app.pincode, userIns.rows[0].id]
+      [code, app.id, app.legal_name, app.gstin, app.pan, app.address_line1, app.address_line2, app.city, cityCode,
+       app.state, stateCode, app.pincode, app.phone, app.email]
     );
 
-    const upd = await q(
+    const upd = await client.query(
       `UPDATE franchisee_applications
        SET status='CREDENTIALS_ISSUED'
        WHERE id=$1 RETURNING *`, [id]
     );
 
-    await logAction(id, u.id, 'ISSUE_CREDENTIALS', `username=${username}; password=system-set`);
+    await logAction(id, u.id, 'ISSUE_CREDENTIALS', `username=${username}; password=system-set`, client);
 
-    await q('COMMIT');
+    await client.query('COMMIT');
     return res.json({
       application: toApp(upd.rows[0]),
       franchisee: frIns.rows[0],
       credentials: { username, password: plainPassword } // deliver securely in SA/Admin screen
     });
   } catch (e) {
-    await q('ROLLBACK');
+    try { await client.query('ROLLBACK'); } catch {}
     return res.status(500).json({ error: 'Failed to issue credentials', detail: String(e) });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,100 @@
+// pdf/credit_note.js — single-page credit note (same grid + helpers style as v46)
+//
+// Zones: 1 header (franchisee + CN no/date), 2 original invoice + customer,
+// 3 credited value with tax split, 4 reason + signature.
+
+import PDFDocument from 'pdfkit'
+
+const safe = (v, alt='—') => (v === null || v === undefined || String(v).trim()==='') ? alt : String(v)
+const inr = (n, d=2) => 'Rs. ' + Number(n||0).toLocaleString('en-IN',{minimumFractionDigits:d,maximumFractionDigits:d})
+const fmtIST = (iso)=>{
+  const d = iso ? new Date(iso) : new Date()
+  const ist = new Date(d.getTime() + 5.5*60*60*1000)
+  const dd = String(ist.getUTCDate()).padStart(2,'0')
+  const mm = String(ist.getUTCMonth()+1).padStart(2,'0')
+  const yy = String(ist.getUTCFullYear())
+  const hh = String(ist.getUTCHours()).padStart(2,'0')
+  const mi = String(ist.getUTCMinutes()).padStart(2,'0')
+  return `${dd}/${mm}/${yy}, ${hh}:${mi} IST`
+}
+
+export async function createCreditNotePdf(stream, cn, inv, fr) {
+  return new Promise((resolve,reject)=>{
+    const doc = new PDFDocument({ size:'A4', margin:36 })
+    doc.pipe(stream)
+
+    const pageLeft = 36, pageRight = 556
+    const Lx = 44, RxVal = 430, RvW = pageRight - RxVal
+    const rowGap = 14
+    const HLine = (y)=> { doc.moveTo(pageLeft, y).lineTo(pageRight, y).lineWidth(0.5).stroke() }
+
+    // ===== ZONE 1: Header =====
+    const frName  = safe(fr?.legal_name,'Franchisee')
+    const frAddr  = safe([fr?.address1, fr?.address2].filter(Boolean).join(', '), 'Address not set')
+    let y = 36
+    doc.font('Helvetica-Bold').fontSize(14).text('CREDIT NOTE', Lx, y, { width: pageRight - Lx, align: 'center' })
+    y += rowGap + 8
+    doc.font('Helvetica-Bold').fontSize(12).text(frName, Lx, y, { width: 300 })
+    doc.font('Helvetica-Bold').fontSize(10).text(`Credit Note No: ${safe(cn.credit_note_number)}`, 352, y+2, { width: 204 })
+    y += rowGap + 4
+    doc.font('Helvetica').fontSize(9).text(frAddr, Lx, y, { width: 300 })
+    doc.font('Helvetica').fontSize(10).text(`Date: ${fmtIST(cn.created_at)}`, 352, y, { width: 204 })
+    y += rowGap
+    doc.font('Helvetica').fontSize(9).text(`Franchisee ID: ${safe(cn.franchisee_id)}`, Lx, y); y += rowGap
+    doc.font('Helvetica').fontSize(9).text(`GSTIN: ${safe(fr?.gstin)}`, Lx, y); y += rowGap - 2
+    HLine(y)
+
+    // ===== ZONE 2: Original invoice + customer =====
+    y += 8
+    doc.font('Helvetica-Bold').fontSize(10).text('Against Invoice', Lx, y); y += rowGap
+    const rows = [
+      ['Invoice No',      safe(inv?.invoice_number, `INV-${cn.invoice_id}`)],
+      ['Invoice Date',    inv?.created_at ? fmtIST(inv.created_at) : '—'],
+      ['Customer Name',   safe(inv?.customer_name)],
+      ['Customer GSTIN',  safe(inv?.customer_gstin)],
+      ['Vehicle Number',  safe(inv?.vehicle_number)],
+      ['Place of Supply', safe(inv?.place_of_supply)],
+      ['Type',            cn.kind === 'cancellation' ? 'Full cancellation' : 'Partial credit'],
+    ]
+    doc.font('Helvetica').fontSize(10)
+    for (const [k,v] of rows){ doc.text(`${k}: ${v}`, Lx, y, { width: 480 }); y += rowGap }
+    HLine(y + 2)
+
+    // ===== ZONE 3: Credited value =====
+    let py = y + 10
+    doc.font('Helvetica-Bold').fontSize(10).text('Description/Particulars', Lx, py)
+    doc.font('Helvetica-Bold').fontSize(10).text('Value', RxVal, py)
+    py += rowGap
+    const V = (label, value) => {
+      doc.font('Helvetica').fontSize(10).text(label, Lx, py, { width: RxVal - Lx - 10 })
+      doc.font('Helvetica').fontSize(10).text(String(value), RxVal, py, { width: RvW, align:'left' })
+      py += rowGap
+    }
+    const items = Array.isArray(cn.line_items) ? cn.line_items : []
+    for (const li of items) V(safe(li.description), inr(li.amount))
+    if (Number(cn.litres_returned) > 0) V('Litres returned to stock', `${Number(cn.litres_returned)} L`)
+    const isIGST = String(cn.tax_mode||'').toUpperCase().includes('IGST')
+    const rate = Number(cn.gst_rate ?? 18)
+    V('Tax Mode', isIGST ? 'IGST' : 'CGST+SGST')
+    V(`CGST (${rate/2}%)`, inr(cn.cgst_amount))
+    V(`SGST (${rate/2}%)`, inr(cn.sgst_amount))
+    V(`IGST (${rate}%)`,   inr(cn.igst_amount))
+    V('Amount (Before GST)', inr(cn.total_before_gst))
+    V('Total GST',           inr(cn.gst_amount))
+    doc.font('Helvetica-Bold')
+    V('Total Credit (with GST)', inr(cn.total_with_gst))
+    HLine(py + 2)
+
+    // ===== ZONE 4: Reason + signature =====
+    let ry = py + 10
+    doc.font('Helvetica-Bold').fontSize(10).text('Reason', Lx, ry); ry += rowGap
+    doc.font('Helvetica').fontSize(9).text(safe(cn.reason), Lx, ry, { width: pageRight - Lx, align: 'justify' })
+    ry = doc.y + 16
+    doc.roundedRect(pageRight - 240, ry, 240, 62, 6).stroke()
+    doc.font('Helvetica').fontSize(9).text('Authorised Signatory & Company Stamp', pageRight - 230, ry + 44)
+
+    doc.end()
+    doc.on('end', resolve)
+    doc.on('error', reject)
+  })
+}
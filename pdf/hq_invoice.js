@@ -0,0 +1,101 @@
+// pdf/hq_invoice.js — HQ tax invoice for a received replenishment order (same grid + helpers style as v46)
+//
+// Zones: 1 header (HQ + invoice no/date), 2 bill-to franchisee + dispatch details,
+// 3 goods value with tax split, 4 receipt / shortage note + signature.
+
+import PDFDocument from 'pdfkit'
+
+const safe = (v, alt='—') => (v === null || v === undefined || String(v).trim()==='') ? alt : String(v)
+const inr = (n, d=2) => 'Rs. ' + Number(n||0).toLocaleString('en-IN',{minimumFractionDigits:d,maximumFractionDigits:d})
+const fmtIST = (iso)=>{
+  const d = iso ? new Date(iso) : new Date()
+  const ist = new Date(d.getTime() + 5.5*60*60*1000)
+  const dd = String(ist.getUTCDate()).padStart(2,'0')
+  const mm = String(ist.getUTCMonth()+1).padStart(2,'0')
+  const yy = String(ist.getUTCFullYear())
+  const hh = String(ist.getUTCHours()).padStart(2,'0')
+  const mi = String(ist.getUTCMinutes()).padStart(2,'0')
+  return `${dd}/${mm}/${yy}, ${hh}:${mi} IST`
+}
+
+export async function createHqInvoicePdf(stream, order, fr, hq) {
+  return new Promise((resolve,reject)=>{
+    const doc = new PDFDocument({ size:'A4', margin:36 })
+    doc.pipe(stream)
+
+    const pageLeft = 36, pageRight = 556
+    const Lx = 44, RxVal = 430, RvW = pageRight - RxVal
+    const rowGap = 14
+    const HLine = (y)=> { doc.moveTo(pageLeft, y).lineTo(pageRight, y).lineWidth(0.5).stroke() }
+
+    // ===== ZONE 1: Header =====
+    let y = 36
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', Lx, y, { width: pageRight - Lx, align: 'center' })
+    y += rowGap + 8
+    doc.font('Helvetica-Bold').fontSize(12).text(safe(hq?.legalName,'HQ'), Lx, y, { width: 300 })
+    doc.font('Helvetica-Bold').fontSize(10).text(`Invoice No: ${safe(order.hq_invoice_number)}`, 352, y+2, { width: 204 })
+    y += rowGap + 4
+    doc.font('Helvetica').fontSize(9).text(safe(hq?.address, 'Address not set'), Lx, y, { width: 300 })
+    doc.font('Helvetica').fontSize(10).text(`Date: ${fmtIST(order.hq_invoice_date)}`, 352, y, { width: 204 })
+    y += rowGap
+    doc.font('Helvetica').fontSize(9).text(`GSTIN: ${safe(hq?.gstin)}`, Lx, y)
+    doc.font('Helvetica').fontSize(9).text(`Order Ref: REP-${order.id}`, 352, y, { width: 204 }); y += rowGap - 2
+    HLine(y)
+
+    // ===== ZONE 2: Bill to + dispatch =====
+    y += 8
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill To', Lx, y); y += rowGap
+    const rows = [
+      ['Franchisee',        safe(fr?.legal_name, order.franchisee_id)],
+      ['Franchisee ID',     safe(order.franchisee_id)],
+      ['Address',           safe([fr?.address1, fr?.address2].filter(Boolean).join(', '))],
+      ['GSTIN',             safe(fr?.gstin)],
+      ['Place of Supply',   safe(order.place_of_supply)],
+      ['Batch No',          safe(order.batch_number)],
+      ['Dispatched',        `${Number(order.dispatched_litres||0)} L on ${order.dispatched_at ? fmtIST(order.dispatched_at) : '—'}`],
+      ['Dispatch Ref',      safe(order.dispatch_reference)],
+    ]
+    doc.font('Helvetica').fontSize(10)
+    for (const [k,v] of rows){ doc.text(`${k}: ${v}`, Lx, y, { width: 480 }); y += rowGap }
+    HLine(y + 2)
+
+    // ===== ZONE 3: Goods value =====
+    let py = y + 10
+    doc.font('Helvetica-Bold').fontSize(10).text('Description/Particulars', Lx, py)
+    doc.font('Helvetica-Bold').fontSize(10).text('Value', RxVal, py)
+    py += rowGap
+    const V = (label, value) => {
+      doc.font('Helvetica').fontSize(10).text(label, Lx, py, { width: RxVal - Lx - 10 })
+      doc.font('Helvetica').fontSize(10).text(String(value), RxVal, py, { width: RvW, align:'left' })
+      py += rowGap
+    }
+    V(`Tyre sealant (HSN ${safe(order.hsn_code)})`, `${Number(order.received_litres||0)} L`)
+    V('Rate per litre', inr(order.rate_per_litre))
+    const isIGST = String(order.tax_mode||'').toUpperCase().includes('IGST')
+    const rate = Number(order.gst_rate ?? 18)
+    V('Tax Mode', isIGST ? 'IGST' : 'CGST+SGST')
+    V(`CGST (${rate/2}%)`, inr(order.cgst_amount))
+    V(`SGST (${rate/2}%)`, inr(order.sgst_amount))
+    V(`IGST (${rate}%)`,   inr(order.igst_amount))
+    V('Amount (Before GST)', inr(order.total_before_gst))
+    V('Total GST',           inr(order.gst_amount))
+    doc.font('Helvetica-Bold')
+    V('Total (with GST)', inr(order.total_with_gst))
+    HLine(py + 2)
+
+    // ===== ZONE 4: Receipt + signature =====
+    let ry = py + 10
+    doc.font('Helvetica-Bold').fontSize(10).text('Receipt', Lx, ry); ry += rowGap
+    const short = Number(order.shortage_litres||0)
+    const receipt = `Received ${Number(order.received_litres||0)} L on ${fmtIST(order.received_at)}`
+      + (short > 0 ? ` — short by ${short} L. ${safe(order.status_note,'')}` : '')
+    doc.font('Helvetica').fontSize(9).text(receipt, Lx, ry, { width: pageRight - Lx, align: 'justify' })
+    ry = doc.y + 16
+    doc.roundedRect(pageRight - 240, ry, 240, 62, 6).stroke()
+    doc.font('Helvetica').fontSize(9).text('Authorised Signatory & Company Stamp', pageRight - 230, ry + 44)
+
+    doc.end()
+    doc.on('end', resolve)
+    doc.on('error', reject)
+  })
+}
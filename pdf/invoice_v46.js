@@ -6,6 +6,9 @@
 // • Uniform gaps between points. Zones 1–3 unchanged from your accepted version.
 
 import PDFDocument from 'pdfkit'
+import { drawQr } from './qr.js'
+import { invoiceUpiUri } from '../src/lib/upi.js'
+import { printedFromNorm } from '../src/lib/invoiceNumbering.js'
 
 const safe = (v, alt='—') => (v === null || v === undefined || String(v).trim()==='') ? alt : String(v)
 const inr = (n, d=2) => 'Rs. ' + Number(n||0).toLocaleString('en-IN',{minimumFractionDigits:d,maximumFractionDigits:d})
@@ -25,14 +28,6 @@ const fmtIST = (iso)=>{
   const mi = String(ist.getUTCMinutes()).padStart(2,'0')
   return `${dd}/${mm}/${yy}, ${hh}:${mi} IST`
 }
-const printedFromNorm = (norm, id) => {
-  if (!norm) return `INV-${id}`
-  const m = String(norm).match(/^(.*)-(\d{4})$/)
-  if (!m) return `INV-${id}`
-  const seq = m[2]
-  const d = new Date(); const mm = String(d.getUTCMonth()+1).padStart(2,'0'); const yy = String(d.getUTCFullYear()).slice(-2)
-  return `${m[1]}/${mm}${yy}/${seq}`
-}
 
 // Render a numbered paragraph with hanging indent:
 // - prefix like "1. " drawn at (x,y)
@@ -73,7 +68,7 @@ export async function createV46Pdf(stream, inv, fr) {
     const frGstin = safe(fr?.gstin, '—')
     const frPhone = safe(fr?.phone, '—')
     const frEmail = safe(fr?.email, '—')
-    const printed = inv.invoice_number || printedFromNorm(inv.invoice_number_norm, inv.id)
+    const printed = inv.invoice_number || printedFromNorm(inv.invoice_number_norm, inv.created_at || undefined) || `INV-${inv.id}`
 
     let y = 36
     doc.font('Helvetica-Bold').fontSize(12).text(frName, Lx, y, { width: 322 })
@@ -84,6 +79,12 @@ export async function createV46Pdf(stream, inv, fr) {
     doc.font('Helvetica').fontSize(10).text(`Date: ${fmtIST(inv.created_at)}`, 352, y, { width: 204 })
     y += rowGap
 
+    // Amended after issue (PATCH /api/invoices/:id) -> "Revised" marker + revision no
+    const revNo = Number(inv.revision_no || 0)
+    if (revNo > 0) {
+      const revOn = inv.revised_at ? ` on ${fmtIST(inv.revised_at).split(',')[0]}` : ''
+      doc.font('Helvetica-Bold').fontSize(10).text(`REVISED (Rev. ${revNo})${revOn}`, 352, y, { width: 204 })
+    }
     doc.font('Helvetica').fontSize(9).text(`Franchisee ID: ${frCode}`, Lx, y, { width: 322 }); y += rowGap
     doc.font('Helvetica').fontSize(9).text(`GSTIN: ${frGstin}`, Lx, y, { width: 322 });        y += rowGap
     doc.font('Helvetica').fontSize(9).text(`Contact: ${frPhone}  |  Email: ${frEmail}`, Lx, y, { width: 322 })
@@ -109,6 +110,7 @@ export async function createV46Pdf(stream, inv, fr) {
       ['Customer ID',        custId],
       ['Installer name',     safe(inv.installer_name)],
       ['HSN CODE',           inv.hsn_code || '35069999'],
+      ['Sealant Batch',      safe((inv.batch_numbers || []).join(', '))],
     ]
     let ly = y
     for (const [k,v] of leftRows){
@@ -185,12 +187,32 @@ export async function createV46Pdf(stream, inv, fr) {
     if (inv.installation_charges != null) V('Installation Charges', inr(inv.installation_charges))
     if (inv.discount_amount != null)      V('Discount', `- ${inr(inv.discount_amount)}`)
     V('Tax Mode', isIGST ? 'IGST' : 'CGST+SGST')
-    V(`CGST (${halfRate}%)`, inr(cgst))
-    V(`SGST (${halfRate}%)`, inr(sgst))
-    V(`IGST (${gstRate}%)`,  inr(igst))
-    V('Amount (Before GST)', inr(gross))
+    // Only the tax heads that apply, so Amount Paid / Balance Due still fit on the page
+    if (isIGST) {
+      V(`IGST (${gstRate}%)`,  inr(igst))
+    } else {
+      V(`CGST (${halfRate}%)`, inr(cgst))
+      V(`SGST (${halfRate}%)`, inr(sgst))
+    }
     V('Total GST',           inr(gstTotal))
     V('Grand Total (with GST)', inr(grand))
+    // Payments recorded so far (src/lib/payments.js keeps these columns current);
+    // '—' for invoices from before payment tracking (payment_status 'unknown')
+    const paid = Number(inv.amount_paid || 0)
+    const payKnown = inv.payment_status !== 'unknown'
+    V('Amount Paid', payKnown ? inr(paid) : '—')
+    doc.font('Helvetica-Bold').fontSize(10).text('Balance Due', Lx, py)
+    doc.font('Helvetica-Bold').fontSize(10).text(payKnown ? inr(inv.balance_due ?? (Number(grand) - paid)) : '—', RxVal, py, { width: RvW, align:'left' })
+    py += rowGap
+
+    // UPI QR for the exact grand total (blank middle of Zone 3), only while unpaid
+    const upiUri = invoiceUpiUri(inv, fr)
+    if (upiUri) {
+      const upiSize = 104, upiX = 262, upiY = z2Bottom + 8 + rowGap
+      drawQr(doc, upiUri, upiX, upiY, upiSize)
+      doc.font('Helvetica-Bold').fontSize(8).text(`Scan to pay ${inr(grand)} by UPI`, upiX - 18, upiY + upiSize + 2, { width: upiSize + 36, align: 'center' })
+      doc.font('Helvetica').fontSize(7).text(fr.upi_vpa, upiX - 18, upiY + upiSize + 12, { width: upiSize + 36, align: 'center' })
+    }
 
     HLine(py + 2)
 
@@ -235,14 +257,29 @@ export async function createV46Pdf(stream, inv, fr) {
       align: 'justify', gap: 10
     })
 
-    // Signature boxes
-    const sigY = tY + 4
-    const boxW = 240, boxH = 62, gap = 44
+    // Footer: signature boxes (+ e-invoice QR / IRN) in a fixed band above the
+    // bottom margin, so nothing spills onto a second page
+    const pageBottom = doc.page.height - doc.page.margins.bottom
+    const qrSize = inv.irn ? 84 : 0
+    const boxW = inv.irn ? 190 : 240, boxH = inv.irn ? 50 : 62, gap = inv.irn ? 20 : 44
+    const footerH = boxH + 24 + (inv.irn ? 18 : 0)   // boxes, "Signed at", IRN + Ack lines
+    const sigY = pageBottom - footerH
     doc.roundedRect(pageLeft, sigY, boxW, boxH, 6).stroke()
     doc.font('Helvetica').fontSize(9).text('Customer Signature', pageLeft+10, sigY+boxH-18)
     doc.roundedRect(pageLeft + boxW + gap, sigY, boxW, boxH, 6).stroke()
     doc.font('Helvetica').fontSize(9).text('Installer Signature & Company Stamp', pageLeft + boxW + gap + 10, sigY+boxH-18)
-    doc.text(`Signed at: ${fmtIST(inv.created_at)}`, pageLeft, sigY + boxH + 12)
+    doc.text(`Signed at: ${fmtIST(inv.created_at)}`, pageLeft, sigY + boxH + 12, { lineBreak: false })
+
+    // e-Invoice (IRN + signed QR from the IRP), only once generated
+    if (inv.irn) {
+      const cancelled = inv.einvoice_status === 'cancelled'
+      const textW = pageRight - qrSize - 12 - pageLeft
+      if (inv.irn_signed_qr && !cancelled) drawQr(doc, inv.irn_signed_qr, pageRight - qrSize, sigY - 11, qrSize, { ecl: 'L' })
+      doc.font('Helvetica-Bold').fontSize(8).text(cancelled ? 'e-Invoice — IRN CANCELLED' : 'e-Invoice', pageLeft + 180, sigY + boxH + 13, { width: textW - 180, lineBreak: false })
+      doc.font('Helvetica').fontSize(7)
+        .text(`IRN: ${inv.irn}`, pageLeft, sigY + boxH + 24, { width: textW, lineBreak: false })
+        .text(`Ack No: ${safe(inv.irn_ack_no)}   Ack Date: ${inv.irn_ack_date ? fmtIST(inv.irn_ack_date) : '—'}   Doc No: ${safe(inv.irp_doc_no || inv.invoice_number)}`, pageLeft, sigY + boxH + 32, { width: textW, lineBreak: false })
+    }
 
     doc.end()
     doc.on('end', resolve)
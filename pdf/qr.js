@@ -0,0 +1,21 @@
+// pdf/qr.js — draw a QR code as vector squares (no image round-trip)
+
+import QRCode from 'qrcode'
+
+// Renders `text` as a size x size pt QR at (x,y), with a white quiet zone.
+export function drawQr(doc, text, x, y, size, { ecl = 'M' } = {}) {
+  const qr = QRCode.create(String(text), { errorCorrectionLevel: ecl })
+  const n = qr.modules.size
+  const quiet = 2
+  const cell = size / (n + quiet * 2)
+  doc.save()
+  doc.rect(x, y, size, size).fill('#FFFFFF')
+  doc.fillColor('#000000')
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (qr.modules.get(r, c)) doc.rect(x + (c + quiet) * cell, y + (r + quiet) * cell, cell, cell)
+    }
+  }
+  doc.fill()
+  doc.restore()
+}
@@ -53,6 +53,12 @@ export async function creditReferral({ invoiceId, customerCode, refCode, subtota
   return _post('/api/referrals/credit', body);
 }
 
+/** Reverse a referral credit when its invoice is cancelled or credited */
+export async function reverseReferral({ invoiceId, customerCode, creditNoteId, creditNoteNumber, subtotal, gst, litres, reason, createdAt }) {
+  const body = { invoiceId, customerCode, creditNoteId, creditNoteNumber, subtotal, gst, litres, reason, createdAt };
+  return _post('/api/referrals/reverse', body);
+}
+
 /**
  * Compatibility shim for existing server.js test route:
  *  server.js calls: postReferral(body, key?)
@@ -3,6 +3,8 @@ import express from "express";
 import pkg from "pg";
 const { Pool } = pkg;
 
+import { parseInvoiceNorm, printedFromNorm } from "../src/lib/invoiceNumbering.js";
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.DATABASE_SSL ? { rejectUnauthorized: false } : false,
@@ -12,27 +14,11 @@ const adminLatestInvoicesRouter = express.Router();
 
 adminLatestInvoicesRouter.get("/ping", (_req, res) => res.json({ ok: true }));
 
-function printedFromNorm(norm, createdAt) {
-  if (!norm) return null;
-  const m = String(norm).match(/^(.*)-(\d{4})$/);
-  if (!m) return norm;
-  const seq = m[2];
-  const d = createdAt ? new Date(createdAt) : new Date();
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const yy = String(d.getUTCFullYear()).slice(-2);
-  return `${m[1]}/${mm}${yy}/${seq}`;
-}
-
-function franchiseeFromNorm(norm) {
-  if (!norm) return null;
-  const m = String(norm).match(/^(.*)-\d{4}$/);
-  return m ? m[1] : null;
-}
-
 adminLatestInvoicesRouter.get("/latest", async (_req, res) => {
   try {
     const q = `
-      SELECT id, created_at, invoice_number_norm, customer_code, tyre_count, total_with_gst
+      SELECT id, created_at, COALESCE(franchisee_id, franchisee_code) AS franchisee_id,
+             invoice_number, invoice_number_norm, customer_code, tyre_count, total_with_gst
       FROM invoices
       ORDER BY id DESC
       LIMIT 200
@@ -46,8 +32,9 @@ adminLatestInvoicesRouter.get("/latest", async (_req, res) => {
       return {
         id: r.id,
         created_at: created,
-        franchisee_code: franchiseeFromNorm(norm),
-        printed_no: printedFromNorm(norm, created),
+        // numbered rows (src/lib/invoiceNumbering.js) carry both; legacy rows are derived from norm
+        franchisee_code: r.franchisee_id || parseInvoiceNorm(norm)?.franchiseeId || null,
+        printed_no: r.invoice_number || printedFromNorm(norm, created || undefined) || norm,
         norm_no: norm,
         // what UI should show everywhere:
         customer_code_display: norm,                 // <- THIS is what you want
@@ -0,0 +1,343 @@
+// routes/auth.js — login, sessions + named user accounts (ESM)
+//
+// POST  /auth/login                { username, password }  (franchisees may send franchisee_id as username)
+//         -> { token, expires_at, refresh_token, refresh_expires_at, session_id, user }
+//            access token carries role + franchisee scope + session (src/lib/auth.js)
+//         429 login_backoff / account_locked / ip_locked (+ retry_after_seconds, locked_until) after
+//         repeated failures (src/lib/loginGuard.js); every outcome lands in the auth audit log
+// POST  /auth/refresh              { refresh_token } -> new token pair (the old refresh token stops working)
+// POST  /auth/logout               Bearer token and/or { refresh_token }; { all: true } ends every own session
+// POST  /auth/bootstrap            X-SA-KEY; { username, password, display_name? }
+//         -> first SA user; refused once any active SA exists
+// GET   /auth/me                   -> current user (any role)
+// POST  /auth/password/forgot      { username, channel?: sms|email }  -> OTP to the franchisee's registered contact
+//         (same reply whether or not the account exists; rate-limited per username + IP)
+// POST  /auth/password/reset       { username, otp, new_password }  -> password set, every session ended
+// POST  /me/password               { current_password, new_password }  -> other sessions ended
+// GET   /me/sessions?all=1         -> own sessions (open only unless all=1), current one flagged
+// DELETE /me/sessions/:id          -> end one of own sessions
+// GET   /api/super/users?role=&franchisee_id=&q=&limit=&offset=
+// POST  /api/super/users           { username, role, franchisee_id?, display_name?, password? }
+//         -> user (+ generated password when none was given)
+// GET   /api/super/users/:id
+// PATCH /api/super/users/:id       { is_active?, display_name? }
+// POST  /api/super/users/:id/reset-password  -> new system password (shown once), sessions revoked
+// GET   /api/super/users/:id/sessions?all=1
+// POST  /api/super/users/:id/sessions/revoke                  { reason? }
+// POST  /api/super/franchisees/:franchisee_id/sessions/revoke  { reason? }  -> every user of the franchisee
+// GET   /api/super/auth/lockouts?kind=account|ip&key=&all=1&limit=   locked / backing off (all=1: any row)
+// POST  /api/super/auth/lockouts/clear    { username?, ip? }  -> cleared rows (audited)
+// GET   /api/super/auth/audit?event=&username=&user_id=&franchisee_id=&ip=&from=&to=&before_id=&limit=
+//         from/to = IST dates (YYYY-MM-DD)
+//
+// Accounts and hashing: src/lib/users.js, src/lib/passwords.js (strength policy); sessions:
+// src/lib/sessions.js; OTP reset: src/lib/passwordReset.js.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { AUTH_SECRET, USER_ROLES, requireKey, requireSA, requireUser, userOf } from '../src/lib/auth.js';
+import {
+  UUID_RE, authenticateUser, changePassword, createUser, getUser, hasActiveSA, listUsers, passwordOf,
+  resetUserPassword, updateUser,
+} from '../src/lib/users.js';
+import {
+  listSessions, openSession, refreshSession, revokeByRefreshToken, revokeSessions,
+} from '../src/lib/sessions.js';
+import { completePasswordReset, requestPasswordReset, verifyResetOtp } from '../src/lib/passwordReset.js';
+import {
+  AUTH_EVENTS, THROTTLE_KINDS, auditAuth, clearAccountFailures, clearThrottles, listAuthAudit,
+  listThrottles, loginFailureOutcome, releaseLoginAttempt, reserveLoginAttempt,
+} from '../src/lib/loginGuard.js';
+import { istDayStart } from '../src/lib/istPeriod.js';
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+/** Run fn(client) inside BEGIN/COMMIT and reply with its result. */
+async function inTx(res, fn, status = 200) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    res.status(status).json({ ok: true, ...out });
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+    res.status(500).json({ ok: false, code: 'users_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+export default function authRouter(app) {
+  app.post('/auth/login', async (req, res) => {
+    const b = req.body || {};
+    const username = String(b.username || b.franchisee_id || '').trim();
+    if (!username || !b.password) return res.status(400).json({ ok: false, code: 'invalid_input' });
+    if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: 'auth_secret_not_set' });
+    const ip = req.ip || null, userAgent = req.get('User-Agent');
+    const audit = (event, extra) => auditAuth(pool, { event, username, ip, userAgent, ...extra });
+    try {
+      let reservation;
+      try {
+        reservation = await reserveLoginAttempt(pool, { username, ip });
+      } catch (e) {
+        if (e?.status) await audit('login_blocked', { reason: e.code });
+        throw e;
+      }
+      let user;
+      try {
+        user = await authenticateUser(pool, { username, password: b.password });
+      } catch (e) {
+        if (e?.code !== 'bad_credentials') await releaseLoginAttempt(pool, reservation);
+        if (!e?.status) throw e;
+        await audit('login_failed', { reason: e.code });
+        if (e.code !== 'bad_credentials') throw e;
+        const f = loginFailureOutcome(reservation);
+        if (f.locked) throw f.locked;
+        if (f.retry_after_seconds) e.extra = { ...e.extra, retry_after_seconds: f.retry_after_seconds };
+        throw e;
+      }
+      await clearAccountFailures(pool, username);
+      await releaseLoginAttempt(pool, reservation, ['ip']);
+      const out = await openSession(pool, user, { ip, userAgent });
+      await audit('login_success', { userId: user.id, franchiseeId: user.franchisee_id });
+      res.json({ ok: true, ...out, franchisee_id: user.franchisee_id });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'login_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // Not in a transaction: a replayed refresh token must stay revoked although the call fails
+  app.post('/auth/refresh', async (req, res) => {
+    const token = String(req.body?.refresh_token || '').trim();
+    if (!token) return res.status(400).json({ ok: false, code: 'missing_refresh_token' });
+    if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: 'auth_secret_not_set' });
+    try {
+      const out = await refreshSession(pool, token, { ip: req.ip });
+      res.json({ ok: true, ...out, franchisee_id: out.user.franchisee_id });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'refresh_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.post('/auth/logout', (req, res) => {
+    const u = userOf(req);
+    const b = req.body || {};
+    const refresh = String(b.refresh_token || '').trim();
+    if (!u && !refresh) return res.status(401).json({ ok: false, code: 'unauthorized' });
+    return inTx(res, async (client) => {
+      if (u && b.all === true) {
+        return { sessions_revoked: await revokeSessions(client, { userId: u.id }, { actor: `user:${u.username}`, reason: 'logout_all' }) };
+      }
+      let n = 0;
+      if (u) n += await revokeSessions(client, { sessionId: u.session_id }, { actor: `user:${u.username}`, reason: 'logout' });
+      if (refresh && (await revokeByRefreshToken(client, refresh, { actor: u ? `user:${u.username}` : null }))) n += 1;
+      return { sessions_revoked: n };
+    });
+  });
+
+  // One-time: turn the shared SA key into the first named SA account
+  app.post('/auth/bootstrap', requireKey('X-SA-KEY', 'SUPER_ADMIN_KEY'), async (req, res) => {
+    const b = req.body || {};
+    try {
+      if (await hasActiveSA(pool)) return res.status(409).json({ ok: false, code: 'already_bootstrapped' });
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: 'users_failed', message: e?.message || String(e) });
+    }
+    return inTx(res, (client) => createUser(client, {
+      username: b.username, password: b.password, role: 'SA', displayName: b.display_name, actor: 'bootstrap:sa_key',
+    }), 201);
+  });
+
+  // ---- Passwords ----
+  app.post('/auth/password/forgot', (req, res) => {
+    const b = req.body || {};
+    const channel = String(b.channel || '').trim().toLowerCase() || null;
+    if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: 'auth_secret_not_set' });
+    return inTx(res, async (client) => ({
+      message: 'If the account exists and has a registered phone or e-mail, a code has been sent.',
+      ...(await requestPasswordReset(client, { username: b.username, channel, ip: req.ip })),
+    }));
+  });
+
+  // OTP attempts are counted on the pool first; the password change runs in its own transaction
+  app.post('/auth/password/reset', async (req, res) => {
+    const b = req.body || {};
+    const username = String(b.username || '').trim();
+    if (!username || !b.otp) return res.status(400).json({ ok: false, code: 'invalid_input' });
+    let otpRow;
+    try {
+      passwordOf(b.new_password, username);
+      otpRow = await verifyResetOtp(pool, { username, otp: b.otp });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      return res.status(500).json({ ok: false, code: 'password_reset_failed', message: e?.message || String(e) });
+    }
+    return inTx(res, async (client) => {
+      const { sessions_revoked } = await completePasswordReset(client, otpRow, String(b.new_password));
+      return { sessions_revoked };
+    });
+  });
+
+  app.post('/me/password', requireUser, (req, res) => {
+    const b = req.body || {};
+    if (!b.current_password || !b.new_password) return res.status(400).json({ ok: false, code: 'invalid_input' });
+    return inTx(res, (client) => changePassword(client, req.user.id, {
+      currentPassword: b.current_password, newPassword: b.new_password, keepSessionId: req.user.session_id,
+    }));
+  });
+
+  // authenticate() already checked the session is open and the user active
+  app.get('/auth/me', requireUser, (req, res) =>
+    inTx(res, async (client) => ({ user: await getUser(client, req.user.id), session_id: req.user.session_id })));
+
+  app.get('/me/sessions', requireUser, (req, res) =>
+    inTx(res, async (client) => {
+      const items = await listSessions(client, req.user.id, {
+        currentId: req.user.session_id, includeEnded: String(req.query?.all || '') === '1',
+      });
+      return { count: items.length, items };
+    }));
+
+  app.delete('/me/sessions/:id', requireUser, async (req, res) => {
+    if (!UUID_RE.test(req.params.id)) return res.status(400).json({ ok: false, code: 'bad_id' });
+    try {
+      const n = await revokeSessions(pool, { sessionId: req.params.id, userId: req.user.id },
+        { actor: `user:${req.user.username}`, reason: 'logout' });
+      if (!n) return res.status(404).json({ ok: false, code: 'not_found' });
+      res.json({ ok: true, sessions_revoked: n });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'logout_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // ---- SA: user accounts ----
+  app.get('/api/super/users', requireSA, async (req, res) => {
+    const q = req.query || {};
+    const role = String(q.role || '').trim().toUpperCase() || null;
+    if (role && !USER_ROLES.includes(role)) return res.status(400).json({ ok: false, code: 'bad_role', allowed: USER_ROLES });
+    const limit = Math.min(Math.max(Number(q.limit) || 50, 1), 200);
+    const offset = Math.max(Number(q.offset) || 0, 0);
+    try {
+      const items = await listUsers(pool, {
+        role, franchiseeId: String(q.franchisee_id || '').trim() || null,
+        search: String(q.q || '').trim() || null, limit, offset,
+      });
+      res.json({ ok: true, count: items.length, items, limit, offset });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'users_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.post('/api/super/users', requireSA, (req, res) => {
+    const b = req.body || {};
+    return inTx(res, (client) => createUser(client, {
+      username: b.username, password: b.password, role: String(b.role || '').trim().toUpperCase(),
+      franchiseeId: b.franchisee_id, displayName: b.display_name, actor: req.actor,
+    }), 201);
+  });
+
+  app.get('/api/super/users/:id', requireSA, (req, res) =>
+    inTx(res, async (client) => ({ user: await getUser(client, req.params.id) })));
+
+  app.patch('/api/super/users/:id', requireSA, (req, res) => {
+    const b = req.body || {};
+    if (b.is_active === false && req.params.id === req.user.id) {
+      return res.status(409).json({ ok: false, code: 'cannot_disable_self' });
+    }
+    return inTx(res, (client) =>
+      updateUser(client, req.params.id, { isActive: b.is_active, displayName: b.display_name, actor: req.actor }));
+  });
+
+  app.post('/api/super/users/:id/reset-password', requireSA, (req, res) =>
+    inTx(res, (client) => resetUserPassword(client, req.params.id, req.actor)));
+
+  app.get('/api/super/users/:id/sessions', requireSA, (req, res) =>
+    inTx(res, async (client) => {
+      const user = await getUser(client, req.params.id);
+      const items = await listSessions(client, user.id, { includeEnded: String(req.query?.all || '') === '1' });
+      return { user, count: items.length, items };
+    }));
+
+  app.post('/api/super/users/:id/sessions/revoke', requireSA, (req, res) =>
+    inTx(res, async (client) => {
+      const user = await getUser(client, req.params.id);
+      const reason = String(req.body?.reason || '').trim() || 'sa_revoke';
+      return { user_id: user.id, sessions_revoked: await revokeSessions(client, { userId: user.id }, { actor: req.actor, reason }) };
+    }));
+
+  app.post('/api/super/franchisees/:franchisee_id/sessions/revoke', requireSA, (req, res) => {
+    const frid = String(req.params.franchisee_id || '').trim();
+    if (!frid) return res.status(400).json({ ok: false, code: 'missing_franchisee_id' });
+    const reason = String(req.body?.reason || '').trim() || 'sa_revoke';
+    return inTx(res, async (client) => ({
+      franchisee_id: frid,
+      sessions_revoked: await revokeSessions(client, { franchiseeId: frid }, { actor: req.actor, reason }),
+    }));
+  });
+
+  // ---- SA: login lockouts + auth audit log ----
+  app.get('/api/super/auth/lockouts', requireSA, async (req, res) => {
+    const q = req.query || {};
+    const kind = String(q.kind || '').trim() || null;
+    if (kind && !THROTTLE_KINDS.includes(kind)) return res.status(400).json({ ok: false, code: 'bad_kind', allowed: THROTTLE_KINDS });
+    const limit = Math.min(Math.max(Number(q.limit) || 100, 1), 500);
+    try {
+      const items = await listThrottles(pool, {
+        kind, key: String(q.key || '').trim() || null, activeOnly: String(q.all || '') !== '1', limit,
+      });
+      res.json({ ok: true, count: items.length, items });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'lockouts_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.post('/api/super/auth/lockouts/clear', requireSA, (req, res) => {
+    const b = req.body || {};
+    const username = String(b.username || '').trim() || null;
+    const ip = String(b.ip || '').trim() || null;
+    if (!username && !ip) return res.status(400).json({ ok: false, code: 'missing_username_or_ip' });
+    return inTx(res, async (client) => {
+      const cleared = await clearThrottles(client, { username, ip }, { actor: req.actor });
+      return { count: cleared.length, cleared };
+    });
+  });
+
+  app.get('/api/super/auth/audit', requireSA, async (req, res) => {
+    const q = req.query || {};
+    const event = String(q.event || '').trim() || null;
+    if (event && !AUTH_EVENTS.includes(event)) return res.status(400).json({ ok: false, code: 'bad_event', allowed: AUTH_EVENTS });
+    const userId = String(q.user_id || '').trim() || null;
+    if (userId && !UUID_RE.test(userId)) return res.status(400).json({ ok: false, code: 'bad_user_id' });
+    const from = String(q.from || '').trim(), to = String(q.to || '').trim();
+    const badDay = (d) => d && (!DAY_RE.test(d) || !istDayStart(d));
+    if (badDay(from) || badDay(to)) return res.status(400).json({ ok: false, code: 'bad_date' });
+    const beforeId = q.before_id ? Number(q.before_id) : null;
+    if (beforeId != null && (!Number.isFinite(beforeId) || beforeId <= 0)) return res.status(400).json({ ok: false, code: 'bad_before_id' });
+    const limit = Math.min(Math.max(Number(q.limit) || 100, 1), 500);
+    try {
+      const items = await listAuthAudit(pool, {
+        event, userId, beforeId, limit,
+        username: String(q.username || '').trim() || null,
+        franchiseeId: String(q.franchisee_id || '').trim() || null,
+        ip: String(q.ip || '').trim() || null,
+        from: from ? istDayStart(from) : null, to: to ? istDayStart(to, 1) : null,
+      });
+      res.json({
+        ok: true, count: items.length, items,
+        next_before_id: items.length === limit ? items[items.length - 1].id : null,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'auth_audit_failed', message: e?.message || String(e) });
+    }
+  });
+}
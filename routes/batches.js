@@ -0,0 +1,106 @@
+// routes/batches.js — sealant batches / lots, expiry and recall (ESM)
+//
+// GET  /me/stock/batches                           -> open batch stock (FEFO order) + untracked litres
+// POST /api/super/batches                          { batch_number, manufactured_on, expires_on, note? }
+// GET  /api/super/batches?expiring_within_days=    -> batch master (+ litres still in the network)
+// GET  /api/super/batches/:batch_number/installations
+//        -> recall list: every installation (vehicle, customer, invoice) that used the batch
+//
+// Dates are YYYY-MM-DD. Stock moves by batch happen in src/lib/batches.js.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireSA } from '../src/lib/auth.js';
+import { getInventoryMapping } from '../src/inventory.js';
+import { loadBatchStock, normaliseBatch, normaliseBatchNumber, registerBatch } from '../src/lib/batches.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+
+export default function batchesRouter(app) {
+  app.get('/me/stock/batches', requireFranchisee, async (req, res) => {
+    try {
+      res.json({ ok: true, franchisee_id: req.franchisee_id, ...(await loadBatchStock(pool, await getInventoryMapping(pool), req.franchisee_id)) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'stock_batches_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.post('/api/super/batches', requireSA, async (req, res) => {
+    let b;
+    try { b = normaliseBatch(req.body); }
+    catch (e) { return res.status(e.status || 400).json({ ok: false, code: e.code, ...e.extra }); }
+    try {
+      const out = await registerBatch(pool, { ...b, actor: req.actor });
+      res.status(out.created ? 201 : 200).json({ ok: true, ...out });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'batch_create_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.get('/api/super/batches', requireSA, async (req, res) => {
+    const within = req.query?.expiring_within_days;
+    const days = within == null || within === '' ? null : Number(within);
+    if (days != null && (!Number.isInteger(days) || days < 0)) return res.status(400).json({ ok: false, code: 'bad_expiring_within_days' });
+    try {
+      const r = await pool.query(
+        `SELECT b.batch_number, b.manufactured_on::text AS manufactured_on, b.expires_on::text AS expires_on, b.note,
+                COALESCE(SUM(s.litres_remaining), 0)::float AS litres_in_network,
+                COUNT(s.id) FILTER (WHERE s.litres_remaining > 0)::int AS franchisees_holding
+           FROM public.sealant_batches b
+           LEFT JOIN public.franchisee_batch_stock s ON s.batch_number = b.batch_number
+          WHERE $1::int IS NULL OR b.expires_on <= ((NOW() AT TIME ZONE 'Asia/Kolkata')::date + $1::int)
+          GROUP BY b.batch_number
+          ORDER BY b.expires_on, b.batch_number`,
+        [days]
+      );
+      res.json({ ok: true, count: r.rowCount, items: r.rows });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'batches_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.get('/api/super/batches/:batch_number/installations', requireSA, async (req, res) => {
+    let batch;
+    try { batch = normaliseBatchNumber(req.params.batch_number); }
+    catch (e) { return res.status(400).json({ ok: false, code: e.code }); }
+    try {
+      const br = await pool.query(
+        `SELECT batch_number, manufactured_on::text AS manufactured_on, expires_on::text AS expires_on
+           FROM public.sealant_batches WHERE batch_number=$1`,
+        [batch]
+      );
+      if (!br.rowCount) return res.status(404).json({ ok: false, code: 'unknown_batch' });
+      const r = await pool.query(
+        `SELECT ib.installation_id, ib.franchisee_id, ib.litres::float AS litres, inst.completed_at,
+                i.id AS invoice_id, i.invoice_number, i.vehicle_number, i.customer_name, i.mobile_number
+           FROM public.installation_batches ib
+           JOIN public.installations inst ON inst.id = ib.installation_id
+           LEFT JOIN public.invoices i ON i.id = inst.invoice_id OR i.installation_id = inst.id
+          WHERE ib.batch_number=$1
+          ORDER BY inst.completed_at, ib.installation_id`,
+        [batch]
+      );
+      const holding = await pool.query(
+        `SELECT franchisee_id, litres_remaining::float AS litres_remaining
+           FROM public.franchisee_batch_stock WHERE batch_number=$1 AND litres_remaining > 0 ORDER BY franchisee_id`,
+        [batch]
+      );
+      res.json({
+        ok: true,
+        batch: br.rows[0],
+        installations_count: r.rowCount,
+        vehicles_count: new Set(r.rows.map((x) => x.vehicle_number).filter(Boolean)).size,
+        items: r.rows,
+        still_in_stock: holding.rows,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'batch_recall_failed', message: e?.message || String(e) });
+    }
+  });
+}
@@ -4,7 +4,8 @@
 //
 // Key behavior:
 //  • Detects actual DB column names (franchisee, invoice_number, customer_code, etc.) at runtime
-//  • Generates printed invoice number TS-SS-CCC-NNNN/MMYY and customer code <Franchisee>-NNNN
+//  • Printed invoice number + customer code come from src/lib/invoiceNumbering.js (gap-free, per FY);
+//    the body cannot set them (NUMBERING_FIELDS)
 //  • Only inserts into columns that really exist
 //  • If a target column is missing in DB, still generates values (for response + referrals)
 //  • Enforces GST 18% + HSN 35069999
@@ -15,6 +16,7 @@ import pkg from "pg";
 const { Pool } = pkg;
 
 import { validateReferral, creditReferral } from "../referralsClient.js";
+import { allocateInvoiceNumber } from "../src/lib/invoiceNumbering.js";
 
 const router = express.Router();
 
@@ -40,15 +42,13 @@ const has = (cols, name) => cols.has(String(name).toLowerCase());
 const qid = (s) => `"${s}"`;
 const pick = (cols, candidates) => candidates.find((c) => has(cols, c)) || null;
 
+// Written only by the numbering service, never taken from the request body
+const NUMBERING_FIELDS = ["invoice_number", "invoice_number_norm", "customer_code", "invoice_seq", "invoice_fy", "irp_doc_no"];
+
 function istNow() {
   const now = new Date();
   return new Date(now.getTime() + 330 * 60 * 1000);
 }
-function fmtMMYY(d) {
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const yy = String(d.getUTCFullYear()).slice(-2);
-  return `${mm}${yy}`;
-}
 function computePricing(input = {}) {
   const qty = Number(input.total_qty_ml ?? input.qty_ml ?? input.quantity_ml ?? input.dosage_ml ?? 0) || 0;
   const mrp = Number(input.mrp_per_ml ?? input.price_per_ml ?? input.rate_per_ml ?? input.mrp_ml ?? 0) || 0;
@@ -116,45 +116,13 @@ router.post("/api/invoices/full", async (req, res) => {
       return res.status(400).json({ error: "franchisee_code_required" });
     }
 
-    // Lock per franchisee to avoid races
+    // Numbering service: counter row lock serialises concurrent requests
     await client.query("BEGIN");
-    await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [franchisee]);
-
-    // Compute current max sequences ONLY if those columns exist; else start at 0
-    let cseq = 0;
-    if (COL.custCode && COL.franch) {
-      const r = await client.query(
-        `
-        SELECT COALESCE(MAX(CAST(regexp_replace(${qid(COL.custCode)},
-               '.*-(\\d{1,4})$','\\1') AS integer)), 0) AS maxseq
-        FROM public.invoices
-        WHERE ${qid(COL.franch)} = $1
-        `,
-        [franchisee]
-      );
-      cseq = Number(r.rows[0]?.maxseq || 0);
-    }
-
-    let iseq = 0;
-    if (COL.invNo && COL.franch) {
-      const r = await client.query(
-        `
-        SELECT COALESCE(MAX(CAST(regexp_replace(${qid(COL.invNo)},
-               '.*/(\\d{1,4})/\\d{4}$','\\1') AS integer)), 0) AS maxseq
-        FROM public.invoices
-        WHERE ${qid(COL.franch)} = $1
-        `,
-        [franchisee]
-      );
-      iseq = Number(r.rows[0]?.maxseq || 0);
-    }
-
-    const mmyy = fmtMMYY(istNow());
-    const nextCustSeq = (cseq || 0) + 1;
-    const nextInvSeq = (iseq || 0) + 1;
-
-    const genCustomerCode = `${franchisee}-${String(nextCustSeq).padStart(4, "0")}`;
-    const genInvoiceNumber = `${franchisee}/${String(nextInvSeq).padStart(4, "0")}/${mmyy}`;
+    const num = await allocateInvoiceNumber(client, franchisee);
+    const genCustomerCode = num.invoice_number_norm;
+    const genInvoiceNumber = num.invoice_number;
+    const numbering = new Set([...NUMBERING_FIELDS, COL.invNo, COL.custCode].filter(Boolean).map((k) => k.toLowerCase()));
+    const passthrough = Object.fromEntries(Object.entries(body).filter(([k]) => !numbering.has(k.toLowerCase())));
 
     // Compute pricing
     const pricing = computePricing(body);
@@ -164,10 +132,6 @@ router.post("/api/invoices/full", async (req, res) => {
     const rowToInsert = {
       // store franchisee if column exists
       ...(COL.franch ? { [COL.franch]: franchisee } : {}),
-      // store generated numbers into whichever columns exist
-      ...(COL.invNo ? { [COL.invNo]: body.invoice_number?.trim() || genInvoiceNumber } : {}),
-      ...(COL.custCode ? { [COL.custCode]: body.customer_code?.trim() || genCustomerCode } : {}),
-
       // pricing
       ...(COL.subtotal ? { [COL.subtotal]: pricing.subtotal_ex_gst } : {}),
       ...(COL.gstRate ? { [COL.gstRate]: pricing.gst_rate } : {}),
@@ -177,8 +141,16 @@ router.post("/api/invoices/full", async (req, res) => {
 
       // invoice timestamp (if column exists)
       ...(COL.invTsIst ? { [COL.invTsIst]: nowIstISO } : {}),
-      // include all passthrough body fields that match existing columns
-      ...body,
+      // include all passthrough body fields that match existing columns (numbering fields excluded)
+      ...passthrough,
+
+      // allocated numbers last, into whichever columns exist
+      ...(COL.invNo ? { [COL.invNo]: genInvoiceNumber } : {}),
+      ...(COL.custCode ? { [COL.custCode]: genCustomerCode } : {}),
+      invoice_number_norm: num.invoice_number_norm,
+      invoice_seq: num.invoice_seq,
+      invoice_fy: num.invoice_fy,
+      irp_doc_no: num.doc_no,
     };
 
     // Insert (only existing columns are included by insertInvoice)
@@ -188,8 +160,8 @@ router.post("/api/invoices/full", async (req, res) => {
 
     // Respond with generated numbers even if those columns don't exist in DB
     const id = row.id ?? row.invoice_id;
-    const outInvoiceNo = row[COL.invNo] ?? (body.invoice_number?.trim() || genInvoiceNumber);
-    const outCustomerCode = row[COL.custCode] ?? (body.customer_code?.trim() || genCustomerCode);
+    const outInvoiceNo = row[COL.invNo] ?? genInvoiceNumber;
+    const outCustomerCode = row[COL.custCode] ?? genCustomerCode;
 
     res.status(201).json({
       ok: true,
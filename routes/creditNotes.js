@@ -0,0 +1,143 @@
+// routes/creditNotes.js — invoice cancellation + credit notes (ESM)
+//
+// POST /api/invoices/:id/cancel        { reason, restock?, irn_cancel_reason_code? } -> full credit note, invoice cancelled
+// POST /api/invoices/:id/credit-notes  { reason, litres?, amount_before_gst?, restock? } -> partial credit note
+// GET  /api/invoices/:id/credit-notes                                   -> notes for one invoice
+// GET  /api/credit-notes/:id/pdf?download=1                             -> credit note PDF
+//
+// restock (default true) puts back only litres the invoice's completed
+// installation consumed (src/lib/creditNotes.js); credit_note.litres_returned
+// says how many.
+//
+// Franchisee token (own invoices only) or SA token. Referral credit is
+// reversed after COMMIT (best effort; outcome stored on the credit note).
+// Cancelling an invoice with an IRN younger than 24h also cancels the IRN at
+// the IRP, in the same transaction (src/lib/einvoice.js).
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchiseeOrSA } from '../src/lib/auth.js';
+import { issueCreditNote } from '../src/lib/creditNotes.js';
+import { cancelEInvoiceForInvoice } from '../src/lib/einvoice.js';
+import { reverseReferral } from '../referralsClient.js';
+import { createCreditNotePdf } from '../pdf/credit_note.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+const REFERRALS_ENABLED = String(process.env.REFERRALS_ENABLED ?? 'true').toLowerCase() !== 'false';
+
+async function reverseReferralFor(cn, invoice) {
+  let status = 'skipped';
+  if (REFERRALS_ENABLED) {
+    try {
+      const r = await reverseReferral({
+        invoiceId: cn.invoice_id,
+        customerCode: invoice.customer_code,
+        creditNoteId: cn.id,
+        creditNoteNumber: cn.credit_note_number,
+        subtotal: Number(cn.total_before_gst),
+        gst: Number(cn.gst_amount),
+        litres: Number(cn.litres_returned),
+        reason: cn.reason,
+        createdAt: cn.created_at,
+      });
+      status = r?.ok ? 'ok' : 'failed';
+    } catch { status = 'failed'; }
+  }
+  try { await pool.query(`UPDATE public.credit_notes SET referral_reversal_status=$2 WHERE id=$1`, [cn.id, status]); } catch {}
+  return status;
+}
+
+export default function creditNotesRouter(app) {
+  async function handle(req, res, kind) {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    const body = req.body || {};
+    const reason = String(body.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    const litres = body.litres == null ? undefined : Number(body.litres);
+    const amountBeforeGst = body.amount_before_gst == null ? undefined : Number(body.amount_before_gst);
+    if (kind === 'partial' && litres === undefined && amountBeforeGst === undefined) {
+      return res.status(400).json({ ok: false, code: 'missing_litres_or_amount' });
+    }
+
+    const client = await pool.connect();
+    let out, einvoice = null;
+    try {
+      await client.query('BEGIN');
+      out = await issueCreditNote(client, {
+        invoiceId: id,
+        franchiseeId: req.is_sa ? null : req.franchisee_id,
+        kind, reason, litres, amountBeforeGst,
+        restock: body.restock !== false,
+        actor: req.actor,
+      });
+      if (kind === 'cancellation') {
+        einvoice = await cancelEInvoiceForInvoice(client, {
+          invoiceId: id, reason, reasonCode: body.irn_cancel_reason_code || '4', actor: req.actor,
+        });
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      return res.status(500).json({ ok: false, code: 'credit_note_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+
+    const referral_reversal = await reverseReferralFor(out.credit_note, out.invoice);
+    res.status(201).json({
+      ok: true,
+      credit_note: { ...out.credit_note, referral_reversal_status: referral_reversal },
+      invoice: out.invoice,
+      ...(einvoice ? { einvoice } : {}),
+    });
+  }
+
+  app.post('/api/invoices/:id/cancel', requireFranchiseeOrSA, (req, res) => handle(req, res, 'cancellation'));
+  app.post('/api/invoices/:id/credit-notes', requireFranchiseeOrSA, (req, res) => handle(req, res, 'partial'));
+
+  app.get('/api/invoices/:id/credit-notes', requireFranchiseeOrSA, async (req, res) => {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    try {
+      const params = [id];
+      let sql = `SELECT * FROM public.credit_notes WHERE invoice_id=$1`;
+      if (!req.is_sa) { sql += ` AND franchisee_id=$2`; params.push(req.franchisee_id); }
+      const r = await pool.query(`${sql} ORDER BY id`, params);
+      res.json({ ok: true, items: r.rows });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'credit_notes_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // Franchisees only see their own notes (another outlet's id is a 404)
+  app.get('/api/credit-notes/:id/pdf', requireFranchiseeOrSA, async (req, res) => {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    const download = String(req.query.download || '').trim() === '1';
+    const client = await pool.connect();
+    try {
+      const params = [id];
+      let sql = `SELECT * FROM public.credit_notes WHERE id=$1`;
+      if (!req.is_sa) { sql += ` AND franchisee_id=$2`; params.push(req.franchisee_id); }
+      const cr = await client.query(`${sql} LIMIT 1`, params);
+      if (!cr.rowCount) return res.status(404).json({ ok: false, code: 'not_found' });
+      const cn = cr.rows[0];
+      const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 LIMIT 1`, [cn.invoice_id]);
+      const fq = await client.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [cn.franchisee_id]);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="credit-note-${id}.pdf"`);
+      await createCreditNotePdf(res, cn, ir.rows[0] || null, fq.rows[0] || null);
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'pdf_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+}
@@ -0,0 +1,117 @@
+// routes/einvoice.js — e-invoice (IRN) for B2B invoices (ESM)
+//
+// GET  /api/invoices/:id/einvoice/payload   -> INV-01 JSON preview + what is missing
+// POST /api/invoices/:id/einvoice           { buyer?: { legal_name, address1, address2, location, pincode, phone, email } }
+//                                           -> IRN, ack no/date, signed QR (stored on the invoice)
+// GET  /api/invoices/:id/einvoice           -> current IRN status + adapter submissions
+//
+// Franchisee token (own invoices only) or SA token. IRN cancellation happens in
+// POST /api/invoices/:id/cancel (routes/creditNotes.js), within 24h of ack.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchiseeOrSA } from '../src/lib/auth.js';
+import { buildEInvoicePayload, generateEInvoice } from '../src/lib/einvoice.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+function idOf(req, res) {
+  const id = Number(req.params.id || 0);
+  if (!Number.isFinite(id) || id <= 0) { res.status(400).json({ ok: false, code: 'bad_id' }); return null; }
+  return id;
+}
+
+async function loadOwned(client, req, res, id) {
+  const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 LIMIT 1`, [id]);
+  if (!ir.rowCount) { res.status(404).json({ ok: false, code: 'not_found' }); return null; }
+  const inv = ir.rows[0];
+  if (!req.is_sa && (inv.franchisee_id || inv.franchisee_code) !== req.franchisee_id) {
+    res.status(403).json({ ok: false, code: 'wrong_owner' });
+    return null;
+  }
+  return inv;
+}
+
+export default function einvoiceRouter(app) {
+  app.get('/api/invoices/:id/einvoice/payload', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const client = await pool.connect();
+    try {
+      const inv = await loadOwned(client, req, res, id); if (!inv) return;
+      if (!inv.customer_gstin) return res.status(400).json({ ok: false, code: 'einvoice_requires_customer_gstin' });
+      const fq = await client.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [inv.franchisee_id || inv.franchisee_code]);
+      const buyer = {
+        legal_name: req.query.buyer_legal_name, address1: req.query.buyer_address1,
+        location: req.query.buyer_location, pincode: req.query.buyer_pincode,
+      };
+      const { payload, errors } = buildEInvoicePayload(inv, fq.rows[0] || null, buyer);
+      res.json({ ok: true, valid: errors.length === 0, missing_or_invalid: errors, payload });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'einvoice_payload_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/invoices/:id/einvoice', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await generateEInvoice(client, {
+        invoiceId: id,
+        franchiseeId: req.is_sa ? null : req.franchisee_id,
+        buyer: req.body?.buyer || {},
+        actor: req.actor,
+      });
+      await client.query('COMMIT');
+      res.status(201).json({ ok: true, einvoice: out.invoice });
+    } catch (e) {
+      // IRP failures are recorded on the invoice, so keep that write
+      const { commit, ...extra } = e?.extra || {};
+      try { await client.query(commit ? 'COMMIT' : 'ROLLBACK'); } catch {}
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...extra });
+      res.status(500).json({ ok: false, code: 'einvoice_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/api/invoices/:id/einvoice', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const client = await pool.connect();
+    try {
+      const inv = await loadOwned(client, req, res, id); if (!inv) return;
+      const subs = await client.query(
+        `SELECT id, action, provider, ok, error, created_by, created_at
+           FROM public.einvoice_submissions WHERE invoice_id=$1 ORDER BY id`,
+        [id]
+      );
+      res.json({
+        ok: true,
+        einvoice: {
+          id: inv.id,
+          invoice_number: inv.invoice_number,
+          irp_doc_no: inv.irp_doc_no || null,
+          einvoice_status: inv.einvoice_status || null,
+          irn: inv.irn || null,
+          irn_ack_no: inv.irn_ack_no || null,
+          irn_ack_date: inv.irn_ack_date || null,
+          irn_signed_qr: inv.irn_signed_qr || null,
+          irn_provider: inv.irn_provider || null,
+          irn_cancelled_at: inv.irn_cancelled_at || null,
+          einvoice_error: inv.einvoice_error || null,
+        },
+        submissions: subs.rows,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'einvoice_status_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+}
@@ -0,0 +1,46 @@
+// routes/gst.js — GST return exports (ESM)
+//
+// GET /me/gst/gstr1?month=YYYY-MM                              franchisee token
+// GET /api/super/franchisees/:franchisee_id/gst/gstr1?month=   SA token
+//   &download=1 -> attachment GSTR1_<gstin>_<MMYYYY>.json (bare offline-tool JSON)
+//
+// Month is the IST calendar month (src/lib/istPeriod.js, same as /me/summary).
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireSA } from '../src/lib/auth.js';
+import { MONTH_RE } from '../src/lib/istPeriod.js';
+import { loadGstr1 } from '../src/lib/gstr1.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+async function sendGstr1(req, res, franchiseeId) {
+  const month = String(req.query.month || '').trim() || undefined;
+  if (month && !MONTH_RE.test(month)) return res.status(400).json({ ok: false, code: 'bad_month' });
+  const client = await pool.connect();
+  try {
+    const out = await loadGstr1(client, franchiseeId, month);
+    if (!out) return res.status(404).json({ ok: false, code: 'franchisee_not_found' });
+    if (!out.gstin) return res.status(409).json({ ok: false, code: 'franchisee_gstin_missing' });
+    res.setHeader('Cache-Control', 'no-store');
+    if (String(req.query.download || '').trim() === '1') {
+      res.setHeader('Content-Disposition', `attachment; filename="GSTR1_${out.gstin}_${out.gstr1.fp}.json"`);
+      return res.json(out.gstr1);
+    }
+    res.json({ ok: true, franchisee_id: franchiseeId, period: out.period, counts: out.counts, gstr1: out.gstr1 });
+  } catch (e) {
+    res.status(500).json({ ok: false, code: 'gstr1_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+export default function gstRouter(app) {
+  app.get('/me/gst/gstr1', requireFranchisee, (req, res) => sendGstr1(req, res, req.franchisee_id));
+  app.get('/api/super/franchisees/:franchisee_id/gst/gstr1', requireSA, (req, res) =>
+    sendGstr1(req, res, String(req.params.franchisee_id || '').trim()));
+}
@@ -1,78 +1,84 @@
 // routes/installations.js — token-protected installs (Strict Actuals, ESM-safe)
+//
+// POST /installations/start            { tyre_count?, vehicle_type?, tyre_width_mm?, aspect_ratio?, rim_diameter_in? }
+//        -> reserves the expected litres when available-to-promise allows (allowed_to_proceed)
+// POST /installations/complete          { id, used_litres }   (Idempotency-Key supported)
+//        -> 400 stock_reserved when the litres beyond its own reservation are held by other started jobs
+// POST /installations/:id/cancel        { reason }            started -> cancelled (reservation released)
+// GET  /installations?status=&installer_user_id=&from=&to=&before_id=&limit=     from/to = IST dates (YYYY-MM-DD) on start time
+// GET  /installations/:id               -> installation + batches + linked invoice
+//
+// All scoped to the token's franchisee; the owner or one of its installers
+// (routes/installers.js). installer_user_id records the installer who started /
+// completed it. Stale starts are expired by src/lib/installations.js.
 
-import crypto from 'crypto';
 import pkg from 'pg';
 const { Pool } = pkg;
 
+import { requireFranchiseeOrInstaller } from '../src/lib/auth.js';
+import { idempotency, saveIdempotentResponse } from '../src/lib/idempotency.js';
+import { consumeForInstallation } from '../src/lib/batches.js';
+import { notifyIfLowStock } from '../src/lib/stockForecast.js';
+import { getInventoryMapping, getInventoryRowForUpdate } from '../src/inventory.js';
+import { INSTALLATION_STATUSES, expectedLitres, reservedLitres } from '../src/lib/installations.js';
+import { normaliseVehicleCategory } from '../src/lib/dosage.js';
+import { istDayStart } from '../src/lib/istPeriod.js';
+import { UUID_RE } from '../src/lib/users.js';
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false },
 });
 
-// ---- Token verify (same scheme as server.js, ESM) ----
-const AUTH_SECRET = process.env.AUTH_SECRET || '';
-
-function b64url(buf) {
-  return Buffer.from(buf).toString('base64')
-    .replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
-}
-function verifyToken(token) {
-  try {
-    const [v, p64, sig] = String(token || '').split('.');
-    if (v !== 'v1' || !p64 || !sig) return null;
-    const expected = b64url(crypto.createHmac('sha256', AUTH_SECRET).update(`${v}.${p64}`).digest());
-    if (sig !== expected) return null;
-
-    const json = Buffer.from(p64.replace(/-/g,'+').replace(/_/g,'/'), 'base64').toString('utf8');
-    const obj = JSON.parse(json);
-    if (!obj?.sub || !obj?.exp) return null;
-    if (Math.floor(Date.now()/1000) > Number(obj.exp)) return null;
-    return { franchisee_id: String(obj.sub) };
-  } catch { return null; }
-}
-function requireFranchisee(req, res, next) {
-  if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: 'auth_secret_not_set' });
-  const auth = req.get('Authorization') || '';
-  const bearer = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
-  const alt = req.get('X-FRANCHISEE-TOKEN') || '';
-  const parsed = verifyToken(bearer || alt);
-  if (!parsed) return res.status(401).json({ ok: false, code: 'unauthorized' });
-  req.franchisee_id = parsed.franchisee_id;
-  next();
-}
-
-// ---- Inventory config ----
-const INV_TABLE = process.env.INVENTORY_TABLE || 'inventory';
-const INV_FR_COL = process.env.INVENTORY_FRANCHISEE_COL || 'franchisee_id';
-const INV_STOCK_COL = process.env.INVENTORY_STOCK_COL || 'available_litres';
+// ---- Inventory config (table / columns come from src/inventory.js) ----
 const STOCK_THRESHOLD_LITRES = Number(process.env.STOCK_THRESHOLD_LITRES || 20);
 
-const qid = n => `"${n}"`;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const INSTALLATION_COLS = `id::text AS id, franchisee_id, status, stock_check_litres_snapshot::float AS snapshot_litres,
+  stock_check_time, allowed_to_proceed, tyre_count, vehicle_category, tyre_width_mm::float AS tyre_width_mm,
+  aspect_ratio::float AS aspect_ratio, rim_diameter_in::float AS rim_diameter_in, dosage_ml_per_tyre::float AS dosage_ml_per_tyre,
+  reserved_litres::float AS reserved_litres, used_litres::float AS used_litres, completed_at, invoice_id::text AS invoice_id,
+  batch_numbers, cancelled_at, cancelled_by, cancel_reason, installer_user_id::text AS installer_user_id, created_at, updated_at`;
 
 export default function installationsRouter(app) {
-  // Start installation
-  app.post('/installations/start', requireFranchisee, async (req, res) => {
+  // Start installation: reserve the expected litres against available-to-promise
+  app.post('/installations/start', requireFranchiseeOrInstaller, async (req, res) => {
+    const b = req.body || {};
+    const tyreCount = Number(b.tyre_count || 4);
+    const widthMm = Number(b.tyre_width_mm || 195);
+    const aspectRatio = Number(b.aspect_ratio || 55);
+    const rimIn = Number(b.rim_diameter_in || 15);
+    const category = normaliseVehicleCategory(b.vehicle_type || b.vehicle_category);
+    if (!Number.isInteger(tyreCount) || tyreCount <= 0) return res.status(400).json({ ok: false, code: 'bad_tyre_count' });
+    if (![widthMm, aspectRatio, rimIn].every(n => Number.isFinite(n) && n > 0)) return res.status(400).json({ ok: false, code: 'bad_tyre_size' });
+
     const client = await pool.connect();
     try {
       const frid = req.franchisee_id;
-      const r = await client.query(
-        `SELECT ${qid(INV_STOCK_COL)} AS stock
-           FROM public.${qid(INV_TABLE)}
-          WHERE ${qid(INV_FR_COL)}=$1
-          LIMIT 1`,
-        [frid]
-      );
-      const snap = r.rowCount ? Number(r.rows[0].stock) : 0;
-      const allowed = snap >= STOCK_THRESHOLD_LITRES;
+      const expected = await expectedLitres(client, { tyreCount, category, widthMm, aspectRatio, rimIn });
+
+      await client.query('BEGIN');
+      // Row lock serialises concurrent starts for the outlet
+      const row = await getInventoryRowForUpdate(client, await getInventoryMapping(client), frid);
+      const snap = row ? Number(row.available_litres) : 0;
+      const reserved = await reservedLitres(client, frid);
+      const atp = Math.round((snap - reserved.litres) * 1000) / 1000;
+      const allowed = atp >= STOCK_THRESHOLD_LITRES && atp >= expected.litres;
+      const reserve = allowed ? expected.litres : 0;
       const now = new Date().toISOString();
 
       const ins = await client.query(
         `INSERT INTO public.installations
-           (franchisee_id, stock_check_litres_snapshot, stock_check_time, allowed_to_proceed, status, created_at)
-         VALUES ($1,$2,$3,$4,'started',$5)
+           (franchisee_id, stock_check_litres_snapshot, stock_check_time, allowed_to_proceed, status, created_at,
+            tyre_count, vehicle_category, tyre_width_mm, aspect_ratio, rim_diameter_in, dosage_ml_per_tyre, reserved_litres,
+            installer_user_id)
+         VALUES ($1,$2,$3,$4,'started',$5,$6,$7,$8,$9,$10,$11,$12,$13)
          RETURNING id`,
-        [frid, snap, now, allowed, now]
+        [frid, snap, now, allowed, now, tyreCount, category, widthMm, aspectRatio, rimIn, expected.ml_per_tyre, reserve,
+         req.installer_id]
       );
+      await client.query('COMMIT');
 
       res.status(200).json({
         ok: true,
@@ -81,8 +87,13 @@ export default function installationsRouter(app) {
         checked_at: now,
         threshold_litres: STOCK_THRESHOLD_LITRES,
         allowed_to_proceed: allowed,
+        expected_litres: expected.litres,
+        dosage: { vehicle_category: category, tyre_count: tyreCount, ml_per_tyre: expected.ml_per_tyre, source: expected.source, rule_id: expected.rule_id },
+        reserved_litres: reserve,
+        available_to_promise_litres: Math.round((atp - reserve) * 1000) / 1000,
       });
     } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
       res.status(500).json({ ok: false, code: 'start_failed', message: e?.message || String(e) });
     } finally {
       client.release();
@@ -90,7 +101,8 @@ export default function installationsRouter(app) {
   });
 
   // Complete installation
-  app.post('/installations/complete', requireFranchisee, async (req, res) => {
+  const completeIdempotency = idempotency(pool, { endpoint: 'installations.complete', franchiseeOf: req => req.franchisee_id });
+  app.post('/installations/complete', requireFranchiseeOrInstaller, completeIdempotency, async (req, res) => {
     const { id, used_litres } = req.body || {};
     const iid = Number(id);
     const used = Number(used_litres);
@@ -107,38 +119,41 @@ export default function installationsRouter(app) {
       const row = r.rows[0];
       if (row.franchisee_id !== frid) { await client.query('ROLLBACK'); return res.status(403).json({ ok: false, code: 'wrong_owner' }); }
       if (row.status === 'completed') { await client.query('ROLLBACK'); return res.status(409).json({ ok: false, code: 'already_completed' }); }
+      if (row.status === 'cancelled') { await client.query('ROLLBACK'); return res.status(409).json({ ok: false, code: 'installation_cancelled', cancel_reason: row.cancel_reason }); }
 
-      const sel = await client.query(
-        `SELECT ${qid(INV_STOCK_COL)} AS stock
-           FROM public.${qid(INV_TABLE)}
-          WHERE ${qid(INV_FR_COL)}=$1
-          FOR UPDATE`,
-        [frid]
-      );
-      if (!sel.rowCount) { await client.query('ROLLBACK'); return res.status(400).json({ ok: false, code: 'inventory_row_missing' }); }
-
-      const current = Number(sel.rows[0].stock || 0);
-      const after = current - used;
-      if (after < 0) { await client.query('ROLLBACK'); return res.status(400).json({ ok: false, code: 'insufficient_stock', available_litres: current }); }
-
-      await client.query(
-        `UPDATE public.${qid(INV_TABLE)} SET ${qid(INV_STOCK_COL)}=$2 WHERE ${qid(INV_FR_COL)}=$1`,
-        [frid, after]
-      );
+      // Deduct + ledger entry + FEFO batches (src/lib/batches.js) in this transaction
+      const mapping = await getInventoryMapping(client);
+      const mv = await consumeForInstallation(client, mapping, {
+        franchiseeId: frid, installationId: iid, litres: used, actor: req.actor,
+      });
+      if (!mv.ok) {
+        await client.query('ROLLBACK');
+        const { ok, code, ...extra } = mv;
+        return res.status(400).json({ ok: false, code, ...extra });
+      }
+      const after = mv.available_litres;
       const now = new Date().toISOString();
       await client.query(
         `UPDATE public.installations
-            SET status='completed', used_litres=$2, completed_at=$3, updated_at=$3
+            SET status='completed', used_litres=$2, completed_at=$3, updated_at=$3,
+                installer_user_id=COALESCE($4, installer_user_id)
           WHERE id=$1`,
-        [iid, used, now]
+        [iid, used, now, req.installer_id]
       );
+      // Low cover / below threshold -> notification outbox (same transaction)
+      await notifyIfLowStock(client, mapping, frid);
 
-      await client.query('COMMIT');
-      res.status(200).json({
+      const out = {
         ok: true,
-        installation: { id: String(iid), status: 'completed', used_litres: used, completed_at: now, updated_at: now },
+        installation: {
+          id: String(iid), status: 'completed', used_litres: used, completed_at: now, updated_at: now, batches: mv.batches,
+          reserved_litres: Number(row.reserved_litres || 0), // consumed: no longer held against available-to-promise
+        },
         available_litres_after: after
-      });
+      };
+      await saveIdempotentResponse(client, res, 200, out);
+      await client.query('COMMIT');
+      res.status(200).json(out);
     } catch (e) {
       try { await client.query('ROLLBACK'); } catch {}
       res.status(500).json({ ok: false, code: 'complete_failed', message: e?.message || String(e) });
@@ -146,4 +161,106 @@ export default function installationsRouter(app) {
       client.release();
     }
   });
+
+  // Cancel a started installation (customer walked away, wrong vehicle, ...)
+  app.post('/installations/:id/cancel', requireFranchiseeOrInstaller, async (req, res) => {
+    const iid = Number(req.params.id);
+    const reason = String(req.body?.reason || '').trim();
+    if (!Number.isFinite(iid) || iid <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+
+    const frid = req.franchisee_id;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const r = await client.query(`SELECT * FROM public.installations WHERE id=$1 FOR UPDATE`, [iid]);
+      if (!r.rowCount) { await client.query('ROLLBACK'); return res.status(404).json({ ok: false, code: 'not_found' }); }
+      const row = r.rows[0];
+      if (row.franchisee_id !== frid) { await client.query('ROLLBACK'); return res.status(403).json({ ok: false, code: 'wrong_owner' }); }
+      if (row.status !== 'started') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ ok: false, code: row.status === 'completed' ? 'already_completed' : 'already_cancelled' });
+      }
+      const u = await client.query(
+        `UPDATE public.installations
+            SET status='cancelled', cancelled_at=NOW(), cancelled_by=$2, cancel_reason=$3, updated_at=NOW()
+          WHERE id=$1
+          RETURNING ${INSTALLATION_COLS}`,
+        [iid, req.actor, reason]
+      );
+      await client.query('COMMIT');
+      res.status(200).json({ ok: true, installation: u.rows[0] });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      res.status(500).json({ ok: false, code: 'cancel_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  // List own installations, newest first
+  app.get('/installations', requireFranchiseeOrInstaller, async (req, res) => {
+    const q = req.query || {};
+    const status = String(q.status || '').trim() || null;
+    if (status && !INSTALLATION_STATUSES.includes(status)) return res.status(400).json({ ok: false, code: 'bad_status', allowed: INSTALLATION_STATUSES });
+    const from = String(q.from || '').trim(), to = String(q.to || '').trim();
+    const badDay = (d) => d && (!DAY_RE.test(d) || !istDayStart(d));
+    if (badDay(from) || badDay(to)) return res.status(400).json({ ok: false, code: 'bad_date' });
+    const beforeId = q.before_id ? Number(q.before_id) : null;
+    if (beforeId != null && (!Number.isFinite(beforeId) || beforeId <= 0)) return res.status(400).json({ ok: false, code: 'bad_before_id' });
+    const installerId = String(q.installer_user_id || '').trim() || null;
+    if (installerId && !UUID_RE.test(installerId)) return res.status(400).json({ ok: false, code: 'bad_installer_user_id' });
+    const limit = Math.min(Math.max(Number(q.limit) || 50, 1), 200);
+    try {
+      const r = await pool.query(
+        `SELECT ${INSTALLATION_COLS}
+           FROM public.installations
+          WHERE franchisee_id=$1
+            AND ($2::text IS NULL OR status=$2)
+            AND ($3::timestamptz IS NULL OR created_at >= $3::timestamptz)
+            AND ($4::timestamptz IS NULL OR created_at < $4::timestamptz)
+            AND ($5::bigint IS NULL OR id < $5)
+            AND ($7::uuid IS NULL OR installer_user_id=$7)
+          ORDER BY id DESC
+          LIMIT $6`,
+        [req.franchisee_id, status, from ? istDayStart(from) : null, to ? istDayStart(to, 1) : null, beforeId, limit, installerId]
+      );
+      res.json({
+        ok: true, count: r.rowCount, items: r.rows,
+        next_before_id: r.rowCount === limit ? Number(r.rows[r.rowCount - 1].id) : null,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'installations_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // Detail: installation + batches used + linked invoice
+  app.get('/installations/:id', requireFranchiseeOrInstaller, async (req, res) => {
+    const iid = Number(req.params.id);
+    if (!Number.isFinite(iid) || iid <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    try {
+      const r = await pool.query(`SELECT ${INSTALLATION_COLS} FROM public.installations WHERE id=$1`, [iid]);
+      if (!r.rowCount) return res.status(404).json({ ok: false, code: 'not_found' });
+      const inst = r.rows[0];
+      if (inst.franchisee_id !== req.franchisee_id) return res.status(403).json({ ok: false, code: 'wrong_owner' });
+      const b = await pool.query(
+        `SELECT ib.batch_number, ib.litres::float AS litres, sb.expires_on::text AS expires_on
+           FROM public.installation_batches ib
+           LEFT JOIN public.sealant_batches sb ON sb.batch_number = ib.batch_number
+          WHERE ib.installation_id=$1
+          ORDER BY ib.id`,
+        [iid]
+      );
+      const i = await pool.query(
+        `SELECT id::text AS id, invoice_number, total_with_gst::float AS total_with_gst, status, created_at
+           FROM public.invoices
+          WHERE id=$1 OR installation_id=$2
+          LIMIT 1`,
+        [inst.invoice_id, iid]
+      );
+      res.json({ ok: true, installation: { ...inst, batches: b.rows }, invoice: i.rows[0] || null });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'installation_get_failed', message: e?.message || String(e) });
+    }
+  });
 }
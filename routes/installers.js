@@ -0,0 +1,84 @@
+// routes/installers.js — installer sub-accounts managed by the franchisee owner (ESM)
+//
+// GET   /me/installers?q=&include_disabled=1   -> the outlet's installers
+// POST  /me/installers                 { username, display_name, password? }
+//         -> installer (+ generated password when none was given, shown once)
+// PATCH /me/installers/:id             { is_active?, display_name? }   disabling ends their sessions
+// POST  /me/installers/:id/reset-password  -> new system password (shown once), sessions revoked
+//
+// Owner token only (requireFranchisee). An installer signs in with its own
+// username and may start / complete / cancel installations and create invoices
+// for the outlet (requireFranchiseeOrInstaller); everything else stays with the owner.
+// display_name is what the invoice PDF prints as the installer.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee } from '../src/lib/auth.js';
+import { createUser, getInstaller, listUsers, resetUserPassword, updateUser } from '../src/lib/users.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+/** Run fn(client) inside BEGIN/COMMIT and reply with its result. */
+async function inTx(res, fn, status = 200) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    res.status(status).json({ ok: true, ...out });
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+    res.status(500).json({ ok: false, code: 'installers_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+export default function installersRouter(app) {
+  app.get('/me/installers', requireFranchisee, async (req, res) => {
+    const q = req.query || {};
+    try {
+      let items = await listUsers(pool, {
+        role: 'INSTALLER', franchiseeId: req.franchisee_id, search: String(q.q || '').trim() || null, limit: 200,
+      });
+      if (String(q.include_disabled || '') !== '1') items = items.filter((u) => u.is_active);
+      res.json({ ok: true, franchisee_id: req.franchisee_id, count: items.length, items });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'installers_list_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.post('/me/installers', requireFranchisee, (req, res) => {
+    const b = req.body || {};
+    const displayName = String(b.display_name || '').trim();
+    if (!displayName) return res.status(400).json({ ok: false, code: 'missing_display_name' });
+    return inTx(res, (client) => createUser(client, {
+      username: b.username, password: b.password, role: 'INSTALLER', franchiseeId: req.franchisee_id,
+      displayName, actor: `franchisee:${req.franchisee_id}`,
+    }), 201);
+  });
+
+  app.patch('/me/installers/:id', requireFranchisee, (req, res) => {
+    const b = req.body || {};
+    if (b.display_name !== undefined && !String(b.display_name || '').trim()) {
+      return res.status(400).json({ ok: false, code: 'missing_display_name' });
+    }
+    return inTx(res, async (client) => {
+      const inst = await getInstaller(client, req.franchisee_id, req.params.id);
+      return updateUser(client, inst.id, {
+        isActive: b.is_active, displayName: b.display_name, actor: `franchisee:${req.franchisee_id}`,
+      });
+    });
+  });
+
+  app.post('/me/installers/:id/reset-password', requireFranchisee, (req, res) =>
+    inTx(res, async (client) => {
+      const inst = await getInstaller(client, req.franchisee_id, req.params.id);
+      return resetUserPassword(client, inst.id, `franchisee:${req.franchisee_id}`);
+    }));
+}
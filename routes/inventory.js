@@ -0,0 +1,363 @@
+// routes/inventory.js — stock movement ledger (ESM)
+//
+// GET  /me/stock/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD&kind=&before_id=&limit=
+//        -> movements newest first, each with balance_after (running balance),
+//           plus stock column vs ledger total
+// GET  /api/super/franchisees/:franchisee_id/stock/ledger       same, SA token
+// POST /api/super/inventory/adjustments   { franchisee_id, litres (signed), reason, batch_number? }
+// POST /api/super/inventory/replenishments { franchisee_id, litres, reference, batch_number?, note? }
+// POST /api/super/inventory/transfers     { from_franchisee_id, to_franchisee_id, litres, note? }
+// GET  /api/super/inventory/low-stock?status=critical|low|ok|all
+//        -> network-wide days of cover + reorder suggestions (default: critical + low)
+// GET    /api/super/inventory/mapping          -> resolved mapping + source, override / env / detected
+// PUT    /api/super/inventory/mapping          { table, franchisee_col, stock_col }  persistent override
+//          (+ openings_carried: the new table's pre-ledger stock booked as opening movements)
+// DELETE /api/super/inventory/mapping          -> back to env / detected
+// GET    /api/super/inventory/tables?like=     /api/super/inventory/tables/:table/columns
+// GET    /api/super/inventory/stock?q=&limit=&offset=   -> every franchisee's on-hand / reserved / available
+// POST   /api/super/inventory/opening-balances { items: [{ franchisee_id, litres }], note? }
+//          only before any non-opening movement; all items or none
+//
+// Outgoing moves cannot take litres reserved by started installations (409 stock_reserved).
+// Every write goes through moveStock() (src/inventory.js): stock column and
+// inventory_movements row change in one transaction. Dates are IST days.
+// The stock table / columns come from getInventoryMapping() (src/inventory.js).
+
+import crypto from 'crypto';
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireSA } from '../src/lib/auth.js';
+import {
+  MOVEMENT_KINDS, clearInventoryMappingOverride, describeInventoryMapping, getInventoryMapping, getStock,
+  ledgerBalance, listAllTables, listColumnsForTable, listInventoryRows, listMovements, moveStock,
+  setInventoryMappingOverride, setOpeningBalance,
+} from '../src/inventory.js';
+import { STOCK_STATUSES, notifyIfLowStock, stockForecasts } from '../src/lib/stockForecast.js';
+import { creditBatch, normaliseBatchNumber, takeStock } from '../src/lib/batches.js';
+import { istDayStart } from '../src/lib/istPeriod.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+async function sendLedger(req, res, franchiseeId) {
+  const q = req.query || {};
+  const from = String(q.from || '').trim(), to = String(q.to || '').trim();
+  const badDay = (d) => d && (!DAY_RE.test(d) || !istDayStart(d));
+  if (badDay(from) || badDay(to)) return res.status(400).json({ ok: false, code: 'bad_date' });
+  const kind = String(q.kind || '').trim() || null;
+  if (kind && !MOVEMENT_KINDS.includes(kind)) return res.status(400).json({ ok: false, code: 'bad_kind', allowed: MOVEMENT_KINDS });
+  const beforeId = q.before_id ? Number(q.before_id) : null;
+  if (beforeId != null && (!Number.isFinite(beforeId) || beforeId <= 0)) return res.status(400).json({ ok: false, code: 'bad_before_id' });
+  const limit = Math.min(Math.max(Number(q.limit) || 100, 1), 500);
+
+  const client = await pool.connect();
+  try {
+    const r = await listMovements(client, franchiseeId, {
+      from: from ? istDayStart(from) : null,
+      to: to ? istDayStart(to, 1) : null,
+      kind, beforeId, limit,
+    });
+    const cur = await getStock(client, await getInventoryMapping(client), franchiseeId);
+    const stock = cur == null ? null : round3(cur);
+    const led = await ledgerBalance(client, franchiseeId);
+    res.json({
+      ok: true,
+      franchisee_id: franchiseeId,
+      available_litres: stock,
+      ledger_balance_litres: led.balance,
+      in_sync: stock != null && Math.abs(led.balance - stock) < 0.0005,
+      count: r.rowCount,
+      items: r.rows,
+      next_before_id: r.rowCount === limit ? r.rows[r.rowCount - 1].id : null,
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, code: 'stock_ledger_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs moves (array of moveStock args) in one transaction; all or nothing.
+ * Batch stock (src/lib/batches.js) follows the stock column: outgoing legs take
+ * `batchNumber` or untracked-then-FEFO litres, incoming legs credit `batchNumber`
+ * or the batches taken by move `batchesFrom` (transfer legs).
+ */
+async function runMoves(res, moves, status = 201) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const mapping = await getInventoryMapping(client);
+    const out = [];
+    const reject = async (code, m, extra = {}) => {
+      await client.query('ROLLBACK');
+      return res.status(code === 'inventory_row_missing' ? 404 : 409).json({ ok: false, code, franchisee_id: m.franchiseeId, ...extra });
+    };
+    for (const m of moves) {
+      const mv = await moveStock(client, mapping, m);
+      if (!mv.ok) { const { ok, code, ...extra } = mv; return reject(code, m, extra); }
+      m.availableAfter = mv.available_litres;
+      out.push({ ...mv.movement, litres: Number(mv.movement.litres), balance_after: mv.available_litres });
+    }
+    for (const [i, m] of moves.entries()) {
+      if (m.litres >= 0) continue;
+      const took = await takeStock(client, {
+        franchiseeId: m.franchiseeId, litres: -m.litres, availableBefore: m.availableAfter - m.litres,
+        batchNumber: m.batchNumber || null, allowExpired: Boolean(m.allowExpired),
+      });
+      if (!took.ok) { const { ok, code, ...extra } = took; return reject(code, m, extra); }
+      m.taken = took.batches;
+      out[i].batches = took.batches;
+    }
+    for (const [i, m] of moves.entries()) {
+      if (m.litres <= 0) continue;
+      const credit = m.batchNumber ? [{ batch_number: m.batchNumber, litres: m.litres }] : (m.batchesFrom?.taken || []);
+      for (const b of credit) await creditBatch(client, { franchiseeId: m.franchiseeId, batchNumber: b.batch_number, litres: b.litres });
+      out[i].batches = credit.map(({ batch_number, litres }) => ({ batch_number, litres }));
+    }
+    for (const m of moves) if (m.litres < 0) await notifyIfLowStock(client, mapping, m.franchiseeId);
+    await client.query('COMMIT');
+    res.status(status).json({ ok: true, movements: out });
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+    res.status(500).json({ ok: false, code: 'stock_move_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+/** Optional batch_number in a body; sends 400 and returns undefined when malformed. */
+function batchOf(b, res) {
+  if (b.batch_number == null || String(b.batch_number).trim() === '') return null;
+  try { return normaliseBatchNumber(b.batch_number); }
+  catch (e) { res.status(400).json({ ok: false, code: e.code }); return undefined; }
+}
+
+export default function inventoryRouter(app) {
+  app.get('/me/stock/ledger', requireFranchisee, (req, res) => sendLedger(req, res, req.franchisee_id));
+  app.get('/api/super/franchisees/:franchisee_id/stock/ledger', requireSA, (req, res) =>
+    sendLedger(req, res, String(req.params.franchisee_id || '').trim()));
+
+  app.post('/api/super/inventory/adjustments', requireSA, (req, res) => {
+    const b = req.body || {};
+    const frid = String(b.franchisee_id || '').trim();
+    const litres = round3(b.litres);
+    const reason = String(b.reason || '').trim();
+    if (!frid) return res.status(400).json({ ok: false, code: 'missing_franchisee_id' });
+    if (!Number.isFinite(Number(b.litres)) || litres === 0) return res.status(400).json({ ok: false, code: 'bad_litres' });
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    const batchNumber = batchOf(b, res); if (batchNumber === undefined) return;
+    // Write-offs may take expired batches
+    return runMoves(res, [{
+      franchiseeId: frid, kind: 'adjustment', litres, sourceType: 'manual', actor: req.actor, note: reason,
+      batchNumber, allowExpired: true,
+    }]);
+  });
+
+  app.post('/api/super/inventory/replenishments', requireSA, (req, res) => {
+    const b = req.body || {};
+    const frid = String(b.franchisee_id || '').trim();
+    const litres = round3(b.litres);
+    const reference = String(b.reference || '').trim();
+    if (!frid) return res.status(400).json({ ok: false, code: 'missing_franchisee_id' });
+    if (!(litres > 0)) return res.status(400).json({ ok: false, code: 'bad_litres' });
+    if (!reference) return res.status(400).json({ ok: false, code: 'missing_reference' });
+    const batchNumber = batchOf(b, res); if (batchNumber === undefined) return;
+    return runMoves(res, [{
+      franchiseeId: frid, kind: 'replenishment', litres, sourceType: 'delivery', sourceId: reference,
+      actor: req.actor, note: String(b.note || '').trim() || null, batchNumber,
+    }]);
+  });
+
+  app.post('/api/super/inventory/transfers', requireSA, (req, res) => {
+    const b = req.body || {};
+    const from = String(b.from_franchisee_id || '').trim();
+    const to = String(b.to_franchisee_id || '').trim();
+    const litres = round3(b.litres);
+    if (!from || !to) return res.status(400).json({ ok: false, code: 'missing_franchisee_id' });
+    if (from === to) return res.status(400).json({ ok: false, code: 'same_franchisee' });
+    if (!(litres > 0)) return res.status(400).json({ ok: false, code: 'bad_litres' });
+    // Both legs share one transfer reference
+    const ref = `TRF-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const note = String(b.note || '').trim() || null;
+    const actor = req.actor;
+    const outgoing = { franchiseeId: from, kind: 'transfer', litres: -litres, sourceType: 'transfer', sourceId: ref, actor, note: note || `To ${to}` };
+    const legs = [
+      outgoing,
+      // Destination receives the same batches the source gave up
+      { franchiseeId: to, kind: 'transfer', litres, sourceType: 'transfer', sourceId: ref, actor, note: note || `From ${from}`, batchesFrom: outgoing },
+    ];
+    // Lock inventory rows in a fixed order so opposite transfers cannot deadlock
+    return runMoves(res, legs.sort((a, b) => a.franchiseeId.localeCompare(b.franchiseeId)));
+  });
+
+  app.get('/api/super/inventory/low-stock', requireSA, async (req, res) => {
+    const status = String(req.query?.status || '').trim() || null;
+    if (status && status !== 'all' && !STOCK_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, code: 'bad_status', allowed: [...STOCK_STATUSES, 'all'] });
+    }
+    try {
+      const rows = await stockForecasts(pool, await getInventoryMapping(pool));
+      const items = rows
+        .filter((r) => (status === 'all' ? true : status ? r.status === status : r.status !== 'ok'))
+        // critical first, then fewest days of cover (no consumption = last)
+        .sort((a, b) => STOCK_STATUSES.indexOf(a.status) - STOCK_STATUSES.indexOf(b.status)
+          || (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity));
+      res.json({
+        ok: true,
+        counts: Object.fromEntries(STOCK_STATUSES.map((k) => [k, rows.filter((r) => r.status === k).length])),
+        suggested_reorder_litres: items.reduce((t, r) => t + r.suggested_reorder_litres, 0),
+        count: items.length,
+        items,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'low_stock_report_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // ---- SA inventory administration (mapping, network stock, opening balances) ----
+  app.get('/api/super/inventory/mapping', requireSA, async (_req, res) => {
+    try {
+      res.json({ ok: true, ...(await describeInventoryMapping(pool)) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'inventory_mapping_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.put('/api/super/inventory/mapping', requireSA, async (req, res) => {
+    const b = req.body || {};
+    const m = {
+      table: String(b.table || '').trim(),
+      franchiseeCol: String(b.franchisee_col || '').trim(),
+      stockCol: String(b.stock_col || '').trim(),
+    };
+    if (!m.table || !m.franchiseeCol || !m.stockCol) return res.status(400).json({ ok: false, code: 'missing_mapping' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await setInventoryMappingOverride(client, { ...m, actor: req.actor });
+      if (!out.ok) {
+        await client.query('ROLLBACK');
+        const { ok, code, ...extra } = out;
+        return res.status(400).json({ ok: false, code, ...extra });
+      }
+      await client.query('COMMIT');
+      res.json({ ok: true, mapping: out.mapping, openings_carried: out.openings_carried });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      res.status(500).json({ ok: false, code: 'inventory_mapping_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.delete('/api/super/inventory/mapping', requireSA, async (_req, res) => {
+    try {
+      res.json({ ok: true, ...(await clearInventoryMappingOverride(pool)) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'inventory_mapping_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // Schema browser for choosing an override
+  app.get('/api/super/inventory/tables', requireSA, async (req, res) => {
+    const like = String(req.query?.like || '').trim() || null;
+    try {
+      const r = await listAllTables(pool, like);
+      res.json({ ok: true, count: r.rowCount, items: r.rows.map((x) => x.table_name) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'inventory_tables_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.get('/api/super/inventory/tables/:table/columns', requireSA, async (req, res) => {
+    try {
+      const r = await listColumnsForTable(pool, String(req.params.table || ''));
+      if (!r.rows.length) return res.status(404).json({ ok: false, code: 'unknown_table' });
+      res.json({ ok: true, table: req.params.table, items: r.rows });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'inventory_columns_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.get('/api/super/inventory/stock', requireSA, async (req, res) => {
+    const q = req.query || {};
+    const search = String(q.q || '').trim() || null;
+    const limit = Math.min(Math.max(Number(q.limit) || 100, 1), 500);
+    const offset = Math.max(Number(q.offset) || 0, 0);
+    try {
+      const mapping = await getInventoryMapping(pool);
+      const r = await listInventoryRows(pool, mapping, { limit, offset, search });
+      const total = r.rowCount ? r.rows[0].total : 0;
+      res.json({
+        ok: true,
+        mapping,
+        total,
+        count: r.rowCount,
+        items: r.rows.map(({ total: _t, ...row }) => ({
+          ...row,
+          available_litres: round3(row.available_litres),
+          reserved_litres: round3(row.reserved_litres),
+          available_to_promise_litres: round3(row.available_to_promise_litres),
+        })),
+        next_offset: offset + r.rowCount < total ? offset + r.rowCount : null,
+      });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'inventory_stock_failed', message: e?.message || String(e) });
+    }
+  });
+
+  // Opening balances: { items: [{ franchisee_id, litres }], note? } — all or nothing
+  app.post('/api/super/inventory/opening-balances', requireSA, async (req, res) => {
+    const b = req.body || {};
+    const items = Array.isArray(b.items) ? b.items : (b.franchisee_id ? [b] : []);
+    if (!items.length || items.length > 500) return res.status(400).json({ ok: false, code: 'bad_items', max: 500 });
+    const rows = [];
+    for (const [i, it] of items.entries()) {
+      const frid = String(it?.franchisee_id || '').trim();
+      const litres = round3(it?.litres);
+      if (!frid) return res.status(400).json({ ok: false, code: 'missing_franchisee_id', index: i });
+      if (it?.litres == null || it.litres === '' || !Number.isFinite(Number(it.litres)) || litres < 0) {
+        return res.status(400).json({ ok: false, code: 'bad_litres', index: i });
+      }
+      if (rows.some((r) => r.franchiseeId === frid)) return res.status(400).json({ ok: false, code: 'duplicate_franchisee_id', franchisee_id: frid });
+      rows.push({ franchiseeId: frid, litres });
+    }
+    const note = String(b.note || '').trim() || null;
+    const actor = req.actor;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const mapping = await getInventoryMapping(client);
+      const out = [];
+      for (const r of rows.sort((x, y) => x.franchiseeId.localeCompare(y.franchiseeId))) {
+        const fr = await client.query(`SELECT 1 FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [r.franchiseeId]);
+        if (!fr.rowCount) {
+          await client.query('ROLLBACK');
+          return res.status(404).json({ ok: false, code: 'franchisee_not_found', franchisee_id: r.franchiseeId });
+        }
+        const { ok, code, ...set } = await setOpeningBalance(client, mapping, { ...r, actor, note });
+        if (!ok) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ ok: false, code, franchisee_id: r.franchiseeId, ...set });
+        }
+        out.push({ franchisee_id: r.franchiseeId, ...set });
+      }
+      await client.query('COMMIT');
+      res.status(201).json({ ok: true, count: out.length, items: out });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      res.status(500).json({ ok: false, code: 'opening_balance_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+}
@@ -0,0 +1,69 @@
+// routes/invoiceRevisions.js — invoice amendments + revision history (ESM)
+//
+// PATCH /api/invoices/:id            { reason, <whitelisted fields> } -> new revision
+// GET   /api/invoices/:id/revisions                                 -> revision history
+//
+// Franchisee token (own invoices only) or SA token. Whitelist and the
+// financial-field refusal live in src/lib/invoiceRevisions.js.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchiseeOrSA } from '../src/lib/auth.js';
+import { amendInvoice } from '../src/lib/invoiceRevisions.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+export default function invoiceRevisionsRouter(app) {
+  app.patch('/api/invoices/:id', requireFranchiseeOrSA, async (req, res) => {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    const { reason: rawReason, ...patch } = req.body || {};
+    const reason = String(rawReason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await amendInvoice(client, {
+        invoiceId: id,
+        franchiseeId: req.is_sa ? null : req.franchisee_id,
+        patch, reason,
+        actor: req.actor,
+      });
+      await client.query('COMMIT');
+      res.json({ ok: true, changed: !!out.revision, revision: out.revision, invoice: out.invoice });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'amend_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/api/invoices/:id/revisions', requireFranchiseeOrSA, async (req, res) => {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    try {
+      const ir = await pool.query(
+        `SELECT id, COALESCE(franchisee_id, franchisee_code) AS franchisee_id, revision_no, revised_at
+           FROM public.invoices WHERE id=$1`,
+        [id]
+      );
+      if (!ir.rowCount) return res.status(404).json({ ok: false, code: 'not_found' });
+      const inv = ir.rows[0];
+      if (!req.is_sa && inv.franchisee_id !== req.franchisee_id) return res.status(403).json({ ok: false, code: 'wrong_owner' });
+      const r = await pool.query(
+        `SELECT * FROM public.invoice_revisions WHERE invoice_id=$1 ORDER BY revision_no`,
+        [id]
+      );
+      res.json({ ok: true, invoice_id: inv.id, revision_no: inv.revision_no, revised_at: inv.revised_at, items: r.rows });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'revisions_list_failed', message: e?.message || String(e) });
+    }
+  });
+}
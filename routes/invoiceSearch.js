@@ -0,0 +1,80 @@
+// routes/invoiceSearch.js — filterable, cursor-paginated invoice search (ESM)
+//
+// GET /api/invoices/search
+//   from, to            IST dates YYYY-MM-DD (inclusive)
+//   franchisee_id       SA only (franchisee tokens are always scoped to self)
+//   vehicle_number      partial, ignores spaces/dashes
+//   mobile_number       partial, digits only
+//   customer_code       exact
+//   tax_mode            IGST | CGST+SGST
+//   min_amount, max_amount   on total_with_gst
+//   status              issued,partially_credited,cancelled (comma list)
+//   sort                created_at (default) | total_with_gst | id
+//   order               desc (default) | asc
+//   limit               default 50, max 200
+//   cursor              next_cursor from the previous page
+//
+// -> { ok, total, count, items, next_cursor }   total ignores the cursor.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchiseeOrSA } from '../src/lib/auth.js';
+import { buildInvoiceSearch, encodeCursor } from '../src/lib/invoiceSearch.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+let cachedCols = null;
+async function invoiceColumns(client) {
+  if (cachedCols) return cachedCols;
+  const r = await client.query(
+    `SELECT lower(column_name) AS name FROM information_schema.columns
+      WHERE table_schema='public' AND table_name='invoices'`
+  );
+  cachedCols = new Set(r.rows.map((x) => x.name));
+  return cachedCols;
+}
+
+export default function invoiceSearchRouter(app) {
+  app.get('/api/invoices/search', requireFranchiseeOrSA, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const cols = await invoiceColumns(client);
+      const s = buildInvoiceSearch(req.query, { cols, franchiseeId: req.is_sa ? null : req.franchisee_id });
+      const whereSql = s.where.length ? `WHERE ${s.where.join(' AND ')}` : '';
+      const pageWhere = [...s.where, ...(s.keyset ? [s.keyset] : [])];
+
+      const total = await client.query(`SELECT COUNT(*)::int AS n FROM public.invoices i ${whereSql}`, s.params);
+      const r = await client.query(
+        `SELECT i.*, ${s.sortKey} AS sort_key FROM public.invoices i
+          ${pageWhere.length ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+          ORDER BY ${s.orderBy}
+          LIMIT ${s.limit + 1}`,
+        [...s.params, ...s.keysetParams]
+      );
+      const page = r.rows.slice(0, s.limit);
+      const next_cursor = r.rows.length > s.limit ? encodeCursor(s.sort, s.order, page[page.length - 1]) : null;
+      const items = page.map(({ sort_key, ...row }) => row);
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({
+        ok: true,
+        total: total.rows[0].n,
+        count: items.length,
+        sort: s.sort,
+        order: s.order,
+        filters: s.filters,
+        items,
+        next_cursor,
+      });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'invoice_search_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+}
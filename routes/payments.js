@@ -0,0 +1,116 @@
+// routes/payments.js — customer payments + receivables (ESM)
+//
+// POST /api/invoices/:id/payments   { method, amount, reference?, paid_at?, note? }
+//                                   or { payments: [{ method, amount, reference? }, ...], paid_at?, note? }  (split)
+//                                   method: cash | upi | card | bank_transfer. Idempotency-Key supported.
+// GET  /api/invoices/:id/payments   -> payment legs + amount paid / balance due / status
+// POST /api/payments/:id/void       { reason } -> leg voided, invoice balance recomputed
+// GET  /me/receivables?bucket=      -> open invoices with ageing buckets (0_30 / 31_60 / 61_90 / over_90 days)
+//
+// Franchisee token (own invoices only) or SA token, except /me/receivables (token).
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireFranchiseeOrSA } from '../src/lib/auth.js';
+import { idempotency, saveIdempotentResponse } from '../src/lib/idempotency.js';
+import { AGEING_BUCKETS, loadPaymentState, loadReceivables, recordPayment, voidPayment } from '../src/lib/payments.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+function idOf(req, res) {
+  const id = Number(req.params.id || 0);
+  if (!Number.isFinite(id) || id <= 0) { res.status(400).json({ ok: false, code: 'bad_id' }); return null; }
+  return id;
+}
+
+export default function paymentsRouter(app) {
+  const paymentIdempotency = idempotency(pool, { endpoint: 'invoices.payments', franchiseeOf: req => req.franchisee_id || req.actor });
+
+  app.post('/api/invoices/:id/payments', requireFranchiseeOrSA, paymentIdempotency, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await recordPayment(client, {
+        invoiceId: id,
+        franchiseeId: req.is_sa ? null : req.franchisee_id,
+        body: req.body || {},
+        actor: req.actor,
+      });
+      const body = { ok: true, ...out };
+      await saveIdempotentResponse(client, res, 201, body);
+      await client.query('COMMIT');
+      res.status(201).json(body);
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'payment_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/api/invoices/:id/payments', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const client = await pool.connect();
+    try {
+      const ir = await client.query(`SELECT id, invoice_number, franchisee_id, franchisee_code FROM public.invoices WHERE id=$1 LIMIT 1`, [id]);
+      if (!ir.rowCount) return res.status(404).json({ ok: false, code: 'not_found' });
+      const inv = ir.rows[0];
+      if (!req.is_sa && (inv.franchisee_id || inv.franchisee_code) !== req.franchisee_id) {
+        return res.status(403).json({ ok: false, code: 'wrong_owner' });
+      }
+      const state = await loadPaymentState(client, id);
+      const pr = await client.query(`SELECT * FROM public.payments WHERE invoice_id=$1 ORDER BY paid_at, id`, [id]);
+      res.json({ ok: true, invoice: { id: inv.id, invoice_number: inv.invoice_number, ...state }, items: pr.rows });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'payments_list_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.post('/api/payments/:id/void', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const out = await voidPayment(client, {
+        paymentId: id,
+        franchiseeId: req.is_sa ? null : req.franchisee_id,
+        reason,
+        actor: req.actor,
+      });
+      await client.query('COMMIT');
+      res.json({ ok: true, ...out });
+    } catch (e) {
+      try { await client.query('ROLLBACK'); } catch {}
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'payment_void_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+
+  app.get('/me/receivables', requireFranchisee, async (req, res) => {
+    const bucket = String(req.query.bucket || '').trim() || null;
+    if (bucket && !AGEING_BUCKETS.some(b => b.key === bucket)) {
+      return res.status(400).json({ ok: false, code: 'bad_bucket', allowed: AGEING_BUCKETS.map(b => b.key) });
+    }
+    const client = await pool.connect();
+    try {
+      const out = await loadReceivables(client, req.franchisee_id, { bucket });
+      res.json({ ok: true, franchisee_id: req.franchisee_id, ...out });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'receivables_failed', message: e?.message || String(e) });
+    } finally {
+      client.release();
+    }
+  });
+}
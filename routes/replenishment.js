@@ -0,0 +1,169 @@
+// routes/replenishment.js — stock replenishment orders HQ -> franchisee (ESM)
+//
+// POST /me/replenishments                       { litres, note? }              -> requested
+// GET  /me/replenishments?status=&before_id=&limit=
+// POST /me/replenishments/:id/receive           { received_litres?, note? }    -> received (stock + HQ invoice)
+// GET  /api/super/replenishments?status=&franchisee_id=&before_id=&limit=
+// POST /api/super/replenishments/:id/approve    { litres?, note? }
+// POST /api/super/replenishments/:id/reject     { reason }
+// POST /api/super/replenishments/:id/dispatch   { litres, batch_number, manufactured_on?, expires_on?,
+//                                                 rate_per_litre?, reference?, note? }
+// POST /api/replenishments/:id/cancel           { reason }  franchisee while requested, SA until dispatch
+// GET  /api/replenishments/:id                  -> order + state-change events
+// GET  /api/replenishments/:id/pdf              -> HQ tax invoice (after receipt)
+//
+// /api/replenishments/* take a franchisee token (own orders only) or SA token.
+// State machine + stock/invoice side effects: src/lib/replenishment.js. Dispatch and receive need
+// HQ_GSTIN + HQ_STATE_CODE (else 500 hq_tax_config_missing { missing }).
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireFranchiseeOrSA, requireSA } from '../src/lib/auth.js';
+import {
+  HQ, ORDER_STATUSES, approveOrder, cancelOrder, createOrder, dispatchOrder,
+  listOrders, loadOrder, receiveOrder, rejectOrder,
+} from '../src/lib/replenishment.js';
+import { createHqInvoicePdf } from '../pdf/hq_invoice.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+
+function idOf(req, res) {
+  const id = Number(req.params.id || 0);
+  if (!Number.isFinite(id) || id <= 0) { res.status(400).json({ ok: false, code: 'bad_id' }); return null; }
+  return id;
+}
+
+/** Run fn(client) inside BEGIN/COMMIT and reply with its result. */
+async function inTx(res, fn, status = 200) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    res.status(status).json({ ok: true, ...out });
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+    res.status(500).json({ ok: false, code: 'replenishment_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+async function sendList(req, res, franchiseeId) {
+  const q = req.query || {};
+  const status = String(q.status || '').trim() || null;
+  if (status && !ORDER_STATUSES.includes(status)) return res.status(400).json({ ok: false, code: 'bad_status', allowed: ORDER_STATUSES });
+  const beforeId = q.before_id ? Number(q.before_id) : null;
+  if (beforeId != null && (!Number.isFinite(beforeId) || beforeId <= 0)) return res.status(400).json({ ok: false, code: 'bad_before_id' });
+  const limit = Math.min(Math.max(Number(q.limit) || 50, 1), 200);
+  try {
+    const items = await listOrders(pool, { franchiseeId, status, beforeId, limit });
+    res.json({ ok: true, count: items.length, items, next_before_id: items.length === limit ? items[items.length - 1].id : null });
+  } catch (e) {
+    res.status(500).json({ ok: false, code: 'replenishment_list_failed', message: e?.message || String(e) });
+  }
+}
+
+export default function replenishmentRouter(app) {
+  // ---- franchisee ----
+  app.post('/me/replenishments', requireFranchisee, (req, res) => {
+    const b = req.body || {};
+    return inTx(res, async (client) => ({
+      order: await createOrder(client, {
+        franchiseeId: req.franchisee_id, litres: b.litres,
+        note: String(b.note || '').trim() || null, actor: `franchisee:${req.franchisee_id}`,
+      }),
+    }), 201);
+  });
+
+  app.get('/me/replenishments', requireFranchisee, (req, res) => sendList(req, res, req.franchisee_id));
+
+  app.post('/me/replenishments/:id/receive', requireFranchisee, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const b = req.body || {};
+    return inTx(res, (client) => receiveOrder(client, {
+      orderId: id, franchiseeId: req.franchisee_id,
+      receivedLitres: b.received_litres == null || b.received_litres === '' ? null : b.received_litres,
+      note: String(b.note || '').trim() || null, actor: `franchisee:${req.franchisee_id}`,
+    }));
+  });
+
+  // ---- SA ----
+  app.get('/api/super/replenishments', requireSA, (req, res) =>
+    sendList(req, res, String(req.query?.franchisee_id || '').trim() || null));
+
+  app.post('/api/super/replenishments/:id/approve', requireSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const b = req.body || {};
+    return inTx(res, async (client) => ({
+      order: await approveOrder(client, {
+        orderId: id, litres: b.litres == null || b.litres === '' ? null : b.litres,
+        note: String(b.note || '').trim() || null, actor: req.actor,
+      }),
+    }));
+  });
+
+  app.post('/api/super/replenishments/:id/reject', requireSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    return inTx(res, async (client) => ({ order: await rejectOrder(client, { orderId: id, reason, actor: req.actor }) }));
+  });
+
+  app.post('/api/super/replenishments/:id/dispatch', requireSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const b = req.body || {};
+    return inTx(res, async (client) => ({
+      order: await dispatchOrder(client, {
+        orderId: id, litres: b.litres, batchNumber: b.batch_number, ratePerLitre: b.rate_per_litre,
+        manufacturedOn: b.manufactured_on, expiresOn: b.expires_on,
+        reference: String(b.reference || '').trim() || null,
+        note: String(b.note || '').trim() || null, actor: req.actor,
+      }),
+    }));
+  });
+
+  // ---- either side ----
+  app.post('/api/replenishments/:id/cancel', requireFranchiseeOrSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    return inTx(res, async (client) => ({
+      order: await cancelOrder(client, {
+        orderId: id, franchiseeId: req.is_sa ? null : req.franchisee_id, reason, actor: req.actor,
+      }),
+    }));
+  });
+
+  app.get('/api/replenishments/:id', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    try {
+      res.json({ ok: true, ...(await loadOrder(pool, id, req.is_sa ? null : req.franchisee_id)) });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'replenishment_get_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.get('/api/replenishments/:id/pdf', requireFranchiseeOrSA, async (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const download = String(req.query.download || '').trim() === '1';
+    try {
+      const { order } = await loadOrder(pool, id, req.is_sa ? null : req.franchisee_id);
+      if (!order.hq_invoice_number) return res.status(409).json({ ok: false, code: 'not_invoiced', status: order.status });
+      const fq = await pool.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [order.franchisee_id]);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="hq-invoice-${id}.pdf"`);
+      await createHqInvoicePdf(res, order, fq.rows[0] || null, HQ);
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+      res.status(500).json({ ok: false, code: 'pdf_failed', message: e?.message || String(e) });
+    }
+  });
+}
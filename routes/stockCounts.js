@@ -0,0 +1,114 @@
+// routes/stockCounts.js — physical stock counts and variance reconciliation (ESM)
+//
+// POST /me/stock/counts                          { counted_litres, note? }   (Idempotency-Key supported)
+//        -> posted (within tolerance, adjustment written) | pending_approval
+// GET  /me/stock/counts?status=&before_id=&limit=  -> own history + variance trend
+// GET  /api/super/stock/counts?status=&franchisee_id=&before_id=&limit=
+// POST /api/super/stock/counts/:id/approve       { note? }    -> adjustment posted
+// POST /api/super/stock/counts/:id/reject        { reason }   -> recount needed, stock untouched
+// GET  /api/super/franchisees/:franchisee_id/stock/counts?months=  -> history + variance trend (audit)
+//
+// Comparison, tolerance and adjustment posting: src/lib/stockCounts.js.
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireSA } from '../src/lib/auth.js';
+import { idempotency, saveIdempotentResponse } from '../src/lib/idempotency.js';
+import { getInventoryMapping } from '../src/inventory.js';
+import {
+  COUNT_STATUSES, COUNT_TOLERANCE, approveCount, listCounts, rejectCount, submitCount, varianceTrend,
+} from '../src/lib/stockCounts.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+
+function idOf(req, res) {
+  const id = Number(req.params.id || 0);
+  if (!Number.isFinite(id) || id <= 0) { res.status(400).json({ ok: false, code: 'bad_id' }); return null; }
+  return id;
+}
+
+/** Run fn(client) inside BEGIN/COMMIT and reply with its result (stored for an Idempotency-Key before COMMIT). */
+async function inTx(res, fn, status = 200) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await fn(client);
+    const body = { ok: true, ...out };
+    await saveIdempotentResponse(client, res, status, body);
+    await client.query('COMMIT');
+    res.status(status).json(body);
+  } catch (e) {
+    try { await client.query('ROLLBACK'); } catch {}
+    if (e?.status) return res.status(e.status).json({ ok: false, code: e.code, ...e.extra });
+    res.status(500).json({ ok: false, code: 'stock_count_failed', message: e?.message || String(e) });
+  } finally {
+    client.release();
+  }
+}
+
+/** History page (+ trend when withTrend) for one franchisee, or all when franchiseeId is null. */
+async function sendCounts(req, res, franchiseeId, withTrend) {
+  const q = req.query || {};
+  const status = String(q.status || '').trim() || null;
+  if (status && !COUNT_STATUSES.includes(status)) return res.status(400).json({ ok: false, code: 'bad_status', allowed: COUNT_STATUSES });
+  const beforeId = q.before_id ? Number(q.before_id) : null;
+  if (beforeId != null && (!Number.isFinite(beforeId) || beforeId <= 0)) return res.status(400).json({ ok: false, code: 'bad_before_id' });
+  const months = q.months == null || q.months === '' ? 12 : Number(q.months);
+  if (!Number.isInteger(months) || months < 1 || months > 60) return res.status(400).json({ ok: false, code: 'bad_months' });
+  const limit = Math.min(Math.max(Number(q.limit) || 50, 1), 200);
+  try {
+    const items = await listCounts(pool, { franchiseeId, status, beforeId, limit });
+    const trend = withTrend ? await varianceTrend(pool, franchiseeId, { months }) : undefined;
+    res.json({
+      ok: true,
+      ...(franchiseeId ? { franchisee_id: franchiseeId } : {}),
+      tolerance: { litres: COUNT_TOLERANCE.litres, pct: COUNT_TOLERANCE.pct },
+      count: items.length,
+      items,
+      next_before_id: items.length === limit ? items[items.length - 1].id : null,
+      ...(trend ? { trend } : {}),
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, code: 'stock_counts_list_failed', message: e?.message || String(e) });
+  }
+}
+
+export default function stockCountsRouter(app) {
+  // ---- franchisee ----
+  const countIdempotency = idempotency(pool, { endpoint: 'stock.counts', franchiseeOf: req => req.franchisee_id });
+  app.post('/me/stock/counts', requireFranchisee, countIdempotency, (req, res) => {
+    const b = req.body || {};
+    return inTx(res, async (client) => submitCount(client, await getInventoryMapping(client), {
+      franchiseeId: req.franchisee_id, countedLitres: b.counted_litres,
+      note: String(b.note || '').trim() || null, actor: `franchisee:${req.franchisee_id}`,
+    }), 201);
+  });
+
+  app.get('/me/stock/counts', requireFranchisee, (req, res) => sendCounts(req, res, req.franchisee_id, true));
+
+  // ---- SA ----
+  app.get('/api/super/stock/counts', requireSA, (req, res) =>
+    sendCounts(req, res, String(req.query?.franchisee_id || '').trim() || null, false));
+
+  app.post('/api/super/stock/counts/:id/approve', requireSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    return inTx(res, async (client) => approveCount(client, await getInventoryMapping(client), {
+      countId: id, note: String(req.body?.note || '').trim() || null, actor: req.actor,
+    }));
+  });
+
+  app.post('/api/super/stock/counts/:id/reject', requireSA, (req, res) => {
+    const id = idOf(req, res); if (!id) return;
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ ok: false, code: 'missing_reason' });
+    return inTx(res, (client) => rejectCount(client, { countId: id, reason, actor: req.actor }));
+  });
+
+  app.get('/api/super/franchisees/:franchisee_id/stock/counts', requireSA, (req, res) =>
+    sendCounts(req, res, String(req.params.franchisee_id || '').trim(), true));
+}
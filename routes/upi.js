@@ -0,0 +1,82 @@
+// routes/upi.js — franchisee UPI collection details (ESM)
+//
+// GET /me/upi                                    -> { vpa, payee_name, qr_enabled }
+// PUT /me/upi                                    { vpa?, payee_name?, qr_enabled? }
+// PUT /api/super/franchisees/:franchisee_id/upi  same body, SA token
+// GET /api/invoices/:id/upi                      -> upi://pay link the PDF would print (null when hidden)
+//
+// The v46 PDF draws the link as a QR while the invoice is unpaid (src/lib/upi.js).
+
+import pkg from 'pg';
+const { Pool } = pkg;
+
+import { requireFranchisee, requireFranchiseeOrSA, requireSA } from '../src/lib/auth.js';
+import { invoiceUpiUri, normaliseUpiSettings } from '../src/lib/upi.js';
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+const view = (fr) => ({
+  franchisee_id: fr.franchisee_id,
+  vpa: fr.upi_vpa || null,
+  payee_name: fr.upi_payee_name || null,
+  qr_enabled: fr.upi_qr_enabled !== false,
+  updated_at: fr.upi_updated_at || null,
+});
+
+async function saveUpi(req, res, franchiseeId) {
+  let fields;
+  try { fields = normaliseUpiSettings(req.body); }
+  catch (e) { return res.status(e.status || 400).json({ ok: false, code: e.code, ...e.extra }); }
+  const sets = Object.keys(fields).map((k, i) => `${k}=$${i + 2}`);
+  try {
+    const r = await pool.query(
+      `UPDATE public.franchisees SET ${sets.join(', ')}, upi_updated_at=NOW()
+        WHERE franchisee_id=$1
+        RETURNING franchisee_id, upi_vpa, upi_payee_name, upi_qr_enabled, upi_updated_at`,
+      [franchiseeId, ...Object.values(fields)]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok: false, code: 'franchisee_not_found' });
+    res.json({ ok: true, upi: view(r.rows[0]) });
+  } catch (e) {
+    res.status(500).json({ ok: false, code: 'upi_update_failed', message: e?.message || String(e) });
+  }
+}
+
+export default function upiRouter(app) {
+  app.get('/me/upi', requireFranchisee, async (req, res) => {
+    try {
+      const r = await pool.query(
+        `SELECT franchisee_id, upi_vpa, upi_payee_name, upi_qr_enabled, upi_updated_at
+           FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`,
+        [req.franchisee_id]
+      );
+      if (!r.rowCount) return res.status(404).json({ ok: false, code: 'franchisee_not_found' });
+      res.json({ ok: true, upi: view(r.rows[0]) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'upi_get_failed', message: e?.message || String(e) });
+    }
+  });
+
+  app.put('/me/upi', requireFranchisee, (req, res) => saveUpi(req, res, req.franchisee_id));
+  app.put('/api/super/franchisees/:franchisee_id/upi', requireSA, (req, res) =>
+    saveUpi(req, res, String(req.params.franchisee_id || '').trim()));
+
+  app.get('/api/invoices/:id/upi', requireFranchiseeOrSA, async (req, res) => {
+    const id = Number(req.params.id || 0);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ ok: false, code: 'bad_id' });
+    try {
+      const ir = await pool.query(`SELECT * FROM public.invoices WHERE id=$1 LIMIT 1`, [id]);
+      if (!ir.rowCount) return res.status(404).json({ ok: false, code: 'not_found' });
+      const inv = ir.rows[0];
+      const frid = inv.franchisee_id || inv.franchisee_code;
+      if (!req.is_sa && frid !== req.franchisee_id) return res.status(403).json({ ok: false, code: 'wrong_owner' });
+      const fq = await pool.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [frid]);
+      res.json({ ok: true, invoice_id: id, upi_uri: invoiceUpiUri(inv, fq.rows[0] || null) });
+    } catch (e) {
+      res.status(500).json({ ok: false, code: 'upi_link_failed', message: e?.message || String(e) });
+    }
+  });
+}
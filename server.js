@@ -4,17 +4,70 @@
 // + Invoices: customer_code = invoice_number_norm (new)
 // + SA tools to repair historical customer_code
 // + Persist aspect_ratio so PDF renders "195/55 R15"
+// + Tyre-size-driven dosage (dosage_rules) + real line items on /api/invoices/full
+// + Gap-free FY invoice numbering (src/lib/invoiceNumbering.js)
+// + Place-of-supply CGST/SGST vs IGST split (src/lib/tax.js)
+// + Invoice cancellation / credit notes (routes/creditNotes.js)
+// + Idempotency-Key replay on invoice create / installation complete
+// + Invoice <-> installation link (billing + stock deduction in one transaction)
+// + Invoice amendments with revision history (routes/invoiceRevisions.js)
+// + Filterable, cursor-paginated invoice search (routes/invoiceSearch.js)
+// + GSTR-1 / HSN summary export per IST month (routes/gst.js)
+// + E-invoice (IRN) via pluggable IRP adapter (routes/einvoice.js)
+// + Payments (cash/UPI/card/bank, split + partial), receivables ageing (routes/payments.js)
+// + Franchisee UPI VPA + upi://pay QR on unpaid invoice PDFs (routes/upi.js)
+// + Append-only stock movement ledger (inventory_movements, routes/inventory.js)
+// + Replenishment orders HQ -> franchisee with HQ tax invoice (routes/replenishment.js)
+// + Days of cover / reorder suggestion on /me/stock, SA low-stock report, low_stock outbox
+// + Sealant batches with expiry, FEFO consumption, batch on invoice PDF, SA recall (routes/batches.js)
+// + Physical stock counts, variance vs book / invoiced vs installed, SA approval (routes/stockCounts.js)
+// + Installation cancel, stale-start expiry sweeper, list / detail (routes/installations.js)
+// + Stock reservation at installation start; /me/stock on-hand / reserved / available-to-promise
+// + One login over users (SA / ADMIN / FRANCHISEE), role + franchisee scope in the token (routes/auth.js)
+// + Short-lived access tokens, rotating refresh tokens, server-side sessions + revocation
+// + Installer sub-accounts under a franchisee; installer recorded on installations / invoices (routes/installers.js)
+// + Self-service password change (/me/password), OTP forgot-password via pluggable notifier
+// + Login backoff / lockout per account + IP, SA lockout view / clear, auth audit log (src/lib/loginGuard.js)
 
 import express from 'express';
-import crypto from 'crypto';
 import pkg from 'pg';
 const { Pool } = pkg;
 
 import { createV46Pdf } from './pdf/invoice_v46.js';
 import adminLatestInvoicesRouter from './routes/admin.latest.invoices.js';
 import installationsRouter from './routes/installations.js';
+import creditNotesRouter from './routes/creditNotes.js';
+import invoiceRevisionsRouter from './routes/invoiceRevisions.js';
+import invoiceSearchRouter from './routes/invoiceSearch.js';
+import gstRouter from './routes/gst.js';
+import einvoiceRouter from './routes/einvoice.js';
+import paymentsRouter from './routes/payments.js';
+import upiRouter from './routes/upi.js';
+import inventoryRouter from './routes/inventory.js';
+import replenishmentRouter from './routes/replenishment.js';
+import batchesRouter from './routes/batches.js';
+import stockCountsRouter from './routes/stockCounts.js';
+import authRouter from './routes/auth.js';
+import installersRouter from './routes/installers.js';
+import onboardingRouter from './onboarding.routes.js';
+import { idempotency, saveIdempotentResponse, startIdempotencyCleanup } from './src/lib/idempotency.js';
+import { reservedLitres, startInstallationExpiry } from './src/lib/installations.js';
+import { actorOf, authenticate, requireSA, requireFranchisee, requireFranchiseeOrInstaller, tokenFranchisee, userOf } from './src/lib/auth.js';
+import { resetFranchiseePassword } from './src/lib/users.js';
+import { startSessionCleanup } from './src/lib/sessions.js';
+import { startLoginThrottleCleanup } from './src/lib/loginGuard.js';
+import { startOtpRedaction } from './src/lib/passwordReset.js';
+import { normaliseVehicleCategory, lookupDosage, buildLineItems } from './src/lib/dosage.js';
+import { allocateInvoiceNumber, printedFromNorm } from './src/lib/invoiceNumbering.js';
+import { GSTIN_RE, resolveStateCode, determineTaxMode, splitGst } from './src/lib/tax.js';
+import { istMonthBounds, toIstLocalString } from './src/lib/istPeriod.js';
+import { getInventoryMapping, getStock, insertOrUpdateInventoryRow, ledgerBalance, seedLedgerOpenings } from './src/inventory.js';
+import { consumeForInstallation } from './src/lib/batches.js';
+import { stockForecasts, notifyIfLowStock } from './src/lib/stockForecast.js';
 
 const app = express();
+// One proxy hop in front (Render), so req.ip is the client for session / login records
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 
 // ------------------------------- CORS ---------------------------------
 const ORIGINS = (process.env.ALLOWED_ORIGINS ||
@@ -27,15 +80,24 @@ app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
     res.setHeader('Vary', 'Origin');
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'Content-Type, Authorization, X-REF-API-KEY, X-SA-KEY, X-ADMIN-KEY, X-SA-USER, X-ADMIN-USER, X-FRANCHISEE-KEY, X-FRANCHISEE-TOKEN'
+    'Content-Type, Authorization, X-REF-API-KEY, X-SA-KEY, X-ADMIN-KEY, X-SA-USER, X-ADMIN-USER, X-FRANCHISEE-KEY, X-FRANCHISEE-TOKEN, Idempotency-Key'
   );
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
 
+// ------------------------------- DB -----------------------------------
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false },
+});
+
+// req.user from the Bearer token + its open session (src/lib/auth.js); authz.js requireRole() reads it
+app.use(authenticate(pool));
+
 // ------------------------------- Routers -------------------------------
 app.use('/api/invoices/admin', adminLatestInvoicesRouter);
 
@@ -45,11 +107,47 @@ app.use(express.json({ limit: '15mb' }));
 // Stock-lock / installations routes (token-protected)
 installationsRouter(app);
 
-// ------------------------------- DB -----------------------------------
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+// Invoice cancellation + credit notes (franchisee or SA token)
+creditNotesRouter(app);
+
+// Invoice amendments (whitelisted, non-financial fields) + revision history
+invoiceRevisionsRouter(app);
+
+// Invoice search: filters + keyset pagination + total (franchisee or SA token)
+invoiceSearchRouter(app);
+
+// GST exports: GSTR-1 JSON for a month (franchisee token, SA per franchisee)
+gstRouter(app);
+
+// E-invoice: INV-01 payload, IRN generation/status (franchisee or SA token)
+einvoiceRouter(app);
+
+// Payments against invoices + /me/receivables ageing (franchisee or SA token)
+paymentsRouter(app);
+
+// Franchisee UPI VPA / payee name / QR toggle (token; SA per franchisee)
+upiRouter(app);
+
+// Stock ledger: /me/stock/ledger + SA adjustments / replenishments / transfers
+inventoryRouter(app);
+
+// Replenishment: request -> approve -> dispatch -> receive (stock credit + HQ invoice)
+replenishmentRouter(app);
+
+// Sealant batches: /me/stock/batches + SA batch master / recall
+batchesRouter(app);
+
+// Physical stock counts: /me/stock/counts + SA approval / history
+stockCountsRouter(app);
+
+// Login, /auth/me, SA-managed user accounts
+authRouter(app);
+
+// Installer sub-accounts: /me/installers (franchisee owner)
+installersRouter(app);
+
+// Franchisee onboarding applications (ADMIN / SA users, authz.js requireRole)
+app.use('/api/onboarding', onboardingRouter);
 
 // --------------------------- Helpers ----------------------------------
 let cachedCols = null;
@@ -66,50 +164,30 @@ async function getInvoiceCols(client) {
 const has = (cols, n) => cols.has(String(n).toLowerCase());
 const qid = n => `"${n}"`;
 function findCol(cols, candidates) { for (const c of candidates) if (has(cols,c)) return c; return null; }
-const pad = (n, w=4) => String(Math.max(0, Number(n)||0)).padStart(w,'0');
-function mmYY(d=new Date()){const mm=String(d.getUTCMonth()+1).padStart(2,'0'); const yy=String(d.getUTCFullYear()).slice(-2); return `${mm}${yy}`;}
-function printedFromNorm(norm){ if(!norm||typeof norm!=='string') return null; const m=norm.match(/^(.*)-(\d{4})$/); if(!m) return null; const p=m[1], seq=m[2]; return `${p}/${mmYY()}/${seq}`; }
-
-// -------------------------- Franchisee AUTH (F1) ----------------------
-async function ensureFranchiseeAuthColumns() {
-  const client = await pool.connect();
-  try { await client.query(`ALTER TABLE public.franchisees ADD COLUMN IF NOT EXISTS hashed_password TEXT`); }
-  finally { client.release(); }
-}
-ensureFranchiseeAuthColumns().catch(()=>{});
-
-const PW_ALPH='ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789-_';
-function generatePassword(len=20){ const b=crypto.randomBytes(len); let out=''; for(let i=0;i<len;i++) out+=PW_ALPH[b[i]%PW_ALPH.length]; return `${out.slice(0,5)}-${out.slice(5,10)}-${out.slice(10,15)}-${out.slice(15,20)}`; }
-function scryptHash(p){ const salt=crypto.randomBytes(16); const N=16384,r=8,p1=1,keylen=64; const dk=crypto.scryptSync(p,salt,keylen,{N,r,p:p1}); return `scrypt$${N}$${r}$${p1}$${salt.toString('base64')}$${dk.toString('base64')}`; }
-function scryptVerify(p,stored){ try{ const [alg,Ns,rs,ps,saltB64,hashB64]=String(stored).split('$'); if(alg!=='scrypt')return false; const N=Number(Ns), r=Number(rs), p1=Number(ps); const salt=Buffer.from(saltB64,'base64'); const keylen=Buffer.from(hashB64,'base64').length; const dk=crypto.scryptSync(p,salt,keylen,{N,r,p:p1}); return crypto.timingSafeEqual(dk,Buffer.from(hashB64,'base64')); }catch{ return false; } }
-
-const AUTH_SECRET=process.env.AUTH_SECRET||'';
-const TOKEN_TTL_HOURS=Number(process.env.TOKEN_TTL_HOURS||8);
-function b64url(buf){return Buffer.from(buf).toString('base64').replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');}
-function signToken(franchisee_id, hours=TOKEN_TTL_HOURS){ if(!AUTH_SECRET) throw new Error('auth_secret_not_set'); const exp=Math.floor(Date.now()/1000)+Math.max(1,hours)*3600; const payload=JSON.stringify({sub:String(franchisee_id),exp}); const p64=b64url(payload); const toSign=`v1.${p64}`; const sig=b64url(crypto.createHmac('sha256',AUTH_SECRET).update(toSign).digest()); return `${toSign}.${sig}`; }
-function verifyToken(token){ try{ const [v,p64,sig]=String(token||'').split('.'); if(v!=='v1'||!p64||!sig) return null; const expect=b64url(crypto.createHmac('sha256',AUTH_SECRET).update(`${v}.${p64}`).digest()); if(sig!==expect) return null; const json=Buffer.from(p64.replace(/-/g,'+').replace(/_/g,'/'),'base64').toString('utf8'); const obj=JSON.parse(json); if(!obj||!obj.sub||!obj.exp) return null; if(Math.floor(Date.now()/1000)>Number(obj.exp)) return null; return { franchisee_id:String(obj.sub) }; } catch { return null; } }
-
-function requireKey(header, envName){
-  return (req,res,next)=>{ const key=req.get(header)||''; const expect=process.env[envName]||''; if(!expect) return res.status(500).json({ok:false,error:`${envName.toLowerCase()}_not_set`}); if(key!==expect) return res.status(401).json({ok:false,error:'unauthorized'}); next(); };
-}
-const requireSA = requireKey('X-SA-KEY','SUPER_ADMIN_KEY');
-function requireFranchisee(req,res,next){ const auth=req.get('Authorization')||''; const bearer=auth.startsWith('Bearer ')?auth.slice(7).trim():''; const alt=req.get('X-FRANCHISEE-TOKEN')||''; if(!AUTH_SECRET) return res.status(500).json({ok:false,code:'auth_secret_not_set'}); const parsed=verifyToken(bearer||alt); if(!parsed) return res.status(401).json({ok:false,code:'unauthorized'}); req.franchisee_id=parsed.franchisee_id; next(); }
 
 // ------------------------------- Health --------------------------------
 app.get('/', (_req,res)=>res.send('MaxTT Billing API is running'));
 app.get('/api/health', (_req,res)=>res.json({ok:true}));
 
 // ------------------------------- AUTH F1 --------------------------------
+// Franchisee login = FRANCHISEE user with username = franchisee_id (src/lib/users.js)
+async function resetFranchiseeLogin(res, client, frid, actor){
+  // Ends the franchisee login's sessions too (src/lib/sessions.js)
+  const { password, sessions_revoked }=await resetFranchiseePassword(client, frid, actor);
+  return res.status(200).json({ok:true,franchisee_id:frid,password,sessions_revoked});
+}
+
 app.post('/admin/franchisees/reset-password/:id', requireSA, async (req,res)=>{
   const id=Number(req.params.id||0); if(!Number.isFinite(id)||id<=0) return res.status(400).json({ok:false,code:'bad_id'});
   const client=await pool.connect();
   try{
-    await ensureFranchiseeAuthColumns();
-    const pw=generatePassword(20), hashed=scryptHash(pw);
-    const q=await client.query(`UPDATE public.franchisees SET hashed_password=$2, updated_at=NOW() WHERE id=$1 RETURNING franchisee_id`,[id,hashed]);
-    if(!q.rowCount) return res.status(404).json({ok:false,code:'not_found'});
-    return res.status(200).json({ok:true,franchisee_id:q.rows[0].franchisee_id,password:pw});
-  }catch(e){ return res.status(500).json({ok:false,code:'reset_failed',message:e?.message||String(e)}); }
+    const q=await client.query(`SELECT franchisee_id FROM public.franchisees WHERE id=$1`,[id]);
+    if(!q.rowCount||!q.rows[0].franchisee_id) return res.status(404).json({ok:false,code:'not_found'});
+    return await resetFranchiseeLogin(res, client, q.rows[0].franchisee_id, req.actor);
+  }catch(e){
+    if(e?.status) return res.status(e.status).json({ok:false,code:e.code});
+    return res.status(500).json({ok:false,code:'reset_failed',message:e?.message||String(e)});
+  }
   finally{ client.release(); }
 });
 
@@ -117,58 +195,52 @@ app.post('/admin/franchisees/reset-password/by-franchisee-id/:franchisee_id', re
   const frid=String(req.params.franchisee_id||'').trim(); if(!frid) return res.status(400).json({ok:false,code:'missing_franchisee_id'});
   const client=await pool.connect();
   try{
-    await ensureFranchiseeAuthColumns();
-    const pw=generatePassword(20), hashed=scryptHash(pw);
-    const q=await client.query(`UPDATE public.franchisees SET hashed_password=$2, updated_at=NOW() WHERE franchisee_id=$1 RETURNING franchisee_id`,[frid,hashed]);
+    const q=await client.query(`SELECT 1 FROM public.franchisees WHERE franchisee_id=$1`,[frid]);
     if(!q.rowCount) return res.status(404).json({ok:false,code:'not_found'});
-    return res.status(200).json({ok:true,franchisee_id:frid,password:pw});
-  }catch(e){ return res.status(500).json({ok:false,code:'reset_failed',message:e?.message||String(e)}); }
+    return await resetFranchiseeLogin(res, client, frid, req.actor);
+  }catch(e){
+    if(e?.status) return res.status(e.status).json({ok:false,code:e.code});
+    return res.status(500).json({ok:false,code:'reset_failed',message:e?.message||String(e)});
+  }
   finally{ client.release(); }
 });
 
-// Login
-app.post('/auth/login', async (req,res)=>{
-  const { franchisee_id, password } = req.body||{};
-  if(!franchisee_id||!password) return res.status(400).json({ok:false,code:'invalid_input'});
-  if(!AUTH_SECRET) return res.status(500).json({ok:false,code:'auth_secret_not_set'});
-  const client=await pool.connect();
-  try{
-    const q=await client.query(`SELECT id, franchisee_id, hashed_password FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`,[String(franchisee_id)]);
-    if(!q.rowCount) return res.status(401).json({ok:false,code:'bad_credentials'});
-    const row=q.rows[0];
-    if(!row.hashed_password) return res.status(403).json({ok:false,code:'password_not_set'});
-    if(!scryptVerify(String(password), row.hashed_password)) return res.status(401).json({ok:false,code:'bad_credentials'});
-    const token=signToken(row.franchisee_id, TOKEN_TTL_HOURS);
-    const expires_at=new Date(Date.now()+TOKEN_TTL_HOURS*3600*1000).toISOString();
-    return res.status(200).json({ok:true,token,franchisee_id:row.franchisee_id,expires_at});
-  }catch(e){ return res.status(500).json({ok:false,code:'login_failed',message:e?.message||String(e)}); }
-  finally{ client.release(); }
-});
+// Login: POST /auth/login (routes/auth.js)
 
 // Token ping
-app.get('/me/ping', requireFranchisee, (req,res)=>res.status(200).json({ok:true,franchisee_id:req.franchisee_id}));
+app.get('/me/ping', requireFranchiseeOrInstaller, (req,res)=>res.status(200).json({ok:true,franchisee_id:req.franchisee_id,installer_user_id:req.installer_id}));
 
 // --------------------- F2: My stock (token-protected) ------------------
-const INV_TABLE=process.env.INVENTORY_TABLE||'inventory';
-const INV_FR_COL=process.env.INVENTORY_FRANCHISEE_COL||'franchisee_id';
-const INV_STOCK_COL=process.env.INVENTORY_STOCK_COL||'available_litres';
+// Stock table / columns: getInventoryMapping() (src/inventory.js), shared with every route
 const INITIAL_STOCK_LITRES=Number(process.env.INITIAL_STOCK_LITRES||120);
 
 app.get('/me/stock', requireFranchisee, async (req,res)=>{
   const client=await pool.connect();
   try{
     const frid=req.franchisee_id;
-    const r=await client.query(`SELECT ${qid(INV_STOCK_COL)} AS stock FROM public.${qid(INV_TABLE)} WHERE ${qid(INV_FR_COL)}=$1 LIMIT 1`,[frid]);
-    const stock=r.rowCount?Number(r.rows[0].stock):0;
-    res.status(200).json({ok:true,franchisee_id:frid,available_litres:stock});
+    const mapping=await getInventoryMapping(client);
+    const stock=(await getStock(client, mapping, frid))??0;
+    // Litres reserved by started installations (src/lib/installations.js)
+    const rsv=await reservedLitres(client, frid);
+    // Stock column vs inventory_movements; a mismatch means an unrecorded write
+    const led=await ledgerBalance(client, frid);
+    // Average daily consumption, days of cover, reorder suggestion (src/lib/stockForecast.js)
+    const [fc]=await stockForecasts(client, mapping, { franchiseeId:frid });
+    res.status(200).json({ok:true,franchisee_id:frid,available_litres:stock,
+      on_hand_litres:stock, reserved_litres:rsv.litres, available_to_promise_litres:Math.round((stock-rsv.litres)*1000)/1000,
+      active_reservations:rsv.count,
+      ledger:{ balance_litres:led.balance, movements:led.movements, in_sync:Math.abs(led.balance-stock)<0.0005 },
+      forecast:fc?{ status:fc.status, avg_daily_consumption_litres:fc.avg_daily_consumption_litres,
+        consumption_window_days:fc.consumption_window_days, installations_in_window:fc.installations_in_window,
+        days_of_cover:fc.days_of_cover, low_cover_days:fc.low_cover_days, threshold_litres:fc.threshold_litres,
+        on_order_litres:fc.on_order_litres, suggested_reorder_litres:fc.suggested_reorder_litres }:null});
   }catch(e){ res.status(500).json({ok:false,code:'me_stock_failed',message:e?.message||String(e)}); }
   finally{ client.release(); }
 });
 
 // --------------------- Baseline: set onboarded_at (SA) -----------------
-const requireSA2 = requireKey('X-SA-KEY', 'SUPER_ADMIN_KEY');
 
-app.post('/api/super/franchisees/set-onboarded-at/:franchisee_id', requireSA2, async (req,res)=>{
+app.post('/api/super/franchisees/set-onboarded-at/:franchisee_id', requireSA, async (req,res)=>{
   const frid=String(req.params.franchisee_id||'').trim(); if(!frid) return res.status(400).json({ok:false,error:'missing_franchisee_id'});
   const atStr=(req.body?.at||'').toString().trim();
   let when=new Date(); if(atStr){ const d=new Date(atStr); if(isNaN(d.getTime())) return res.status(400).json({ok:false,error:'bad_timestamp'}); when=d; }
@@ -183,8 +255,6 @@ app.post('/api/super/franchisees/set-onboarded-at/:franchisee_id', requireSA2, a
 
 // --------------------- F3 (Strict Actuals): /me/summary ----------------
 const METRICS_TZ=process.env.METRICS_TZ||'Asia/Kolkata';
-function istMonthBounds(monthParam){ const pad2=n=>String(n).padStart(2,'0'); let y,m; if(monthParam&&/^\d{4}-\d{2}$/.test(monthParam)){ y=Number(monthParam.slice(0,4)); m=Number(monthParam.slice(5,7)); } else { const now=new Date(Date.now()+330*60*1000); y=now.getUTCFullYear(); m=now.getUTCMonth()+1; } const startUtcMs=Date.UTC(y,m-1,1,-5,-30,0); const endUtcMs=Date.UTC(m===12?y+1:y,m===12?0:m,1,-5,-30,0); const startUtcIso=new Date(startUtcMs).toISOString(); const endUtcIso=new Date(endUtcMs).toISOString(); const monthStr=`${y}-${pad2(m)}`; const startLocal=`${monthStr}-01T00:00:00+05:30`; const nextY=m===12?y+1:y; const nextM=m===12?1:m+1; const endLocal=`${nextY}-${pad2(nextM)}-01T00:00:00+05:30`; return {monthStr,startUtcIso,endUtcIso,startLocal,endLocal,tz:'Asia/Kolkata'}; }
-function toIstLocalString(utcIso){ const d=new Date(utcIso); const ms=d.getTime()+330*60*1000; const z=new Date(ms); const p=n=>String(n).padStart(2,'0'); return `${z.getUTCFullYear()}-${p(z.getUTCMonth()+1)}-${p(z.getUTCDate())}T${p(z.getUTCHours())}:${p(z.getUTCMinutes())}:${p(z.getUTCSeconds())}+05:30`; }
 
 app.get('/me/summary', requireFranchisee, async (req,res)=>{
   const client=await pool.connect();
@@ -200,8 +270,7 @@ app.get('/me/summary', requireFranchisee, async (req,res)=>{
     if(onboardedAtUtcIso && new Date(onboardedAtUtcIso) > new Date(b.startUtcIso)) effStartUtcIso = onboardedAtUtcIso;
     const effStartLocal = toIstLocalString(effStartUtcIso);
 
-    const rStock=await client.query(`SELECT ${qid(INV_STOCK_COL)} AS stock FROM public.${qid(INV_TABLE)} WHERE ${qid(INV_FR_COL)}=$1 LIMIT 1`,[frid]);
-    const currentStock=rStock.rowCount?Number(rStock.rows[0].stock):0;
+    const currentStock=(await getStock(client, await getInventoryMapping(client), frid))??0;
 
     const rInst=await client.query(
       `SELECT COUNT(*)::int AS vehicles, COALESCE(SUM(used_litres),0)::float AS used_l
@@ -232,17 +301,75 @@ app.get('/me/summary', requireFranchisee, async (req,res)=>{
           AND created_at >= $2::timestamp AND created_at < $3::timestamp`,
       [frid, startNoTz, endNoTz]
     );
-    const salesThisMonth=Number(rSales.rows[0]?.sales||0);
-    const gstThisMonth=Number(rSales.rows[0]?.gst||0);
+    // Credit notes count as negative sales in the month they are issued
+    const rCredits=await client.query(
+      `SELECT COALESCE(SUM(total_with_gst),0)::float AS credits,
+              COALESCE(SUM(gst_amount),0)::float AS gst,
+              COUNT(*)::int AS notes
+         FROM public.credit_notes
+        WHERE franchisee_id=$1
+          AND created_at >= $2::timestamptz AND created_at < $3::timestamptz`,
+      [frid, effStartUtcIso, b.endUtcIso]
+    );
+    const grossSalesThisMonth=Number(rSales.rows[0]?.sales||0);
+    const creditNotesThisMonth=Number(rCredits.rows[0]?.credits||0);
+    const salesThisMonth=grossSalesThisMonth-creditNotesThisMonth;
+    const gstThisMonth=Number(rSales.rows[0]?.gst||0)-Number(rCredits.rows[0]?.gst||0);
+
+    // Collections: money received in the month (any invoice date), apart from sales billed
+    const rCollect=await client.query(
+      `SELECT method, COALESCE(SUM(amount),0)::float AS amount, COUNT(*)::int AS n
+         FROM public.payments
+        WHERE franchisee_id=$1 AND voided_at IS NULL
+          AND paid_at >= $2::timestamptz AND paid_at < $3::timestamptz
+        GROUP BY method`,
+      [frid, effStartUtcIso, b.endUtcIso]
+    );
+    const collectionsByMethod={ cash:0, upi:0, card:0, bank_transfer:0 };
+    for(const r of rCollect.rows) collectionsByMethod[r.method]=Number(r.amount);
+    const collectionsThisMonth=Math.round(rCollect.rows.reduce((s,r)=>s+Number(r.amount),0)*100)/100;
+    const rOutstanding=await client.query(
+      `SELECT COALESCE(SUM(COALESCE(balance_due,total_with_gst)),0)::float AS due, COUNT(*)::int AS n
+         FROM public.invoices
+        WHERE franchisee_id=$1 AND COALESCE(status,'issued') <> 'cancelled' AND payment_status <> 'unknown'
+          AND COALESCE(balance_due,total_with_gst) > 0`,
+      [frid]
+    );
 
     const rRecon=await client.query(
       `SELECT COUNT(*)::int AS pending
          FROM public.installations
-        WHERE franchisee_id=$1 AND status <> 'completed'
+        WHERE franchisee_id=$1 AND status='started'
           AND created_at >= $2::timestamptz AND created_at < $3::timestamptz`,
       [frid, effStartUtcIso, b.endUtcIso]
     );
     const needsReconciliation=rRecon.rows[0]?.pending||0;
+    // Physical stock counts (routes/stockCounts.js): last one and any awaiting SA
+    const rCount=await client.query(
+      `SELECT id, status, counted_litres::float AS counted_litres, variance_litres::float AS variance_litres, created_at,
+              COUNT(*) FILTER (WHERE status='pending_approval') OVER ()::int AS pending
+         FROM public.stock_counts
+        WHERE franchisee_id=$1
+        ORDER BY id DESC LIMIT 1`,
+      [frid]
+    );
+    const lastCount=rCount.rows[0]||null;
+
+    // Billing vs material drift: invoices with no installation, completed installations with no invoice
+    const rUnlinkedInv=await client.query(
+      `SELECT COUNT(*)::int AS n
+         FROM public.invoices
+        WHERE franchisee_id=$1 AND installation_id IS NULL AND COALESCE(status,'issued') <> 'cancelled'
+          AND created_at >= $2::timestamp AND created_at < $3::timestamp`,
+      [frid, startNoTz, endNoTz]
+    );
+    const rUnlinkedInst=await client.query(
+      `SELECT COUNT(*)::int AS n
+         FROM public.installations
+        WHERE franchisee_id=$1 AND status='completed' AND invoice_id IS NULL
+          AND completed_at >= $2::timestamptz AND completed_at < $3::timestamptz`,
+      [frid, effStartUtcIso, b.endUtcIso]
+    );
 
     res.status(200).json({
       ok:true, franchisee_id:frid,
@@ -250,10 +377,23 @@ app.get('/me/summary', requireFranchisee, async (req,res)=>{
       current_stock_l: currentStock,
       vehicles_this_month: vehiclesThisMonth,
       sales_this_month: salesThisMonth,
+      gross_sales_this_month: grossSalesThisMonth,
+      credit_notes_this_month: -creditNotesThisMonth,
+      credit_notes_count_this_month: rCredits.rows[0]?.notes||0,
       gst_this_month: gstThisMonth,
+      collections_this_month: collectionsThisMonth,
+      collections_by_method_this_month: collectionsByMethod,
+      payments_count_this_month: rCollect.rows.reduce((s,r)=>s+r.n,0),
+      outstanding_receivables: Number(rOutstanding.rows[0]?.due||0),
+      outstanding_invoices_count: rOutstanding.rows[0]?.n||0,
       material_used_this_month_l: materialUsedThisMonthL,
       material_used_to_date_l: materialUsedToDateL,
       needs_reconciliation_count: needsReconciliation,
+      invoices_without_installation_count: rUnlinkedInv.rows[0]?.n||0,
+      installations_without_invoice_count: rUnlinkedInst.rows[0]?.n||0,
+      stock_counts_pending_approval: lastCount?.pending||0,
+      last_stock_count: lastCount?{ id:lastCount.id, status:lastCount.status, counted_litres:lastCount.counted_litres,
+        variance_litres:lastCount.variance_litres, counted_at:lastCount.created_at }:null,
       computed_via:{ material:'installations_only', baseline_applied:Boolean(onboardedAtUtcIso) }
     });
   }catch(e){ res.status(500).json({ok:false,code:'me_summary_failed',message:e?.message||String(e)}); }
@@ -261,50 +401,120 @@ app.get('/me/summary', requireFranchisee, async (req,res)=>{
 });
 
 // ---------------------- Invoices: create (schema-adaptive) -------------
-app.post('/api/invoices/full', async (req,res)=>{
+const DEFAULT_INSTALLATION_CHARGES=Number(process.env.DEFAULT_INSTALLATION_CHARGES||0);
+
+const invoiceIdempotency=idempotency(pool,{ endpoint:'invoices.full', franchiseeOf:req=>req.body?.franchisee_id||req.body?.franchiseeId||tokenFranchisee(req) });
+
+app.post('/api/invoices/full', invoiceIdempotency, async (req,res)=>{
   const client=await pool.connect();
   try{
     const body=req.body||{};
-    const franchisee_id=String(body.franchisee_id||body.franchiseeId||'').trim();
+    // Token is optional here, but when present it must match the body (and it is required to bill an installation)
+    const token_frid=tokenFranchisee(req);
+    const token_user=userOf(req);
+    const installer=token_user?.role==='INSTALLER' ? token_user : null;
+    const franchisee_id=String(body.franchisee_id||body.franchiseeId||token_frid||'').trim();
+    const installation_id=body.installation_id==null||body.installation_id==='' ? null : Number(body.installation_id);
     const tyre_width_mm=Number(body.tyre_width_mm||195);
     const aspect_ratio=Number(body.aspect_ratio || 55);             // <-- capture aspect
     const rim_diameter_in=Number(body.rim_diameter_in||15);
     const tyre_count=Number(body.tyre_count||4);
+    const vehicle_type=String(body.vehicle_type||body.vehicle_category||'').trim()||null;
+    const installation_charges=Number(body.installation_charges ?? DEFAULT_INSTALLATION_CHARGES);
+    const discount_amount=Number(body.discount_amount ?? 0);
+    const customer_gstin=String(body.customer_gstin||'').trim().toUpperCase()||null;
+    const place_of_supply_in=String(body.place_of_supply||body.place_of_supply_state||'').trim()||null;
     if(!franchisee_id) return res.status(400).json({ok:false,error:'missing_franchisee_id'});
-
-    const DEFAULT_QTY_ML=Number(process.env.DEFAULT_QTY_ML||1200);
+    if(token_frid&&token_frid!==franchisee_id) return res.status(403).json({ok:false,error:'wrong_franchisee'});
+    if(installation_id!==null&&(!Number.isInteger(installation_id)||installation_id<=0)) return res.status(400).json({ok:false,error:'bad_installation_id'});
+    if(installation_id!==null&&!token_frid) return res.status(401).json({ok:false,error:'unauthorized'});
+    if(!Number.isInteger(tyre_count)||tyre_count<=0) return res.status(400).json({ok:false,error:'bad_tyre_count'});
+    if(![tyre_width_mm,aspect_ratio,rim_diameter_in].every(n=>Number.isFinite(n)&&n>0)) return res.status(400).json({ok:false,error:'bad_tyre_size'});
+    if(!Number.isFinite(installation_charges)||installation_charges<0) return res.status(400).json({ok:false,error:'bad_installation_charges'});
+    if(!Number.isFinite(discount_amount)||discount_amount<0) return res.status(400).json({ok:false,error:'bad_discount_amount'});
+    if(customer_gstin&&!GSTIN_RE.test(customer_gstin)) return res.status(400).json({ok:false,error:'bad_customer_gstin'});
+    if(place_of_supply_in&&!resolveStateCode(place_of_supply_in)) return res.status(400).json({ok:false,error:'bad_place_of_supply'});
+
+    // Dosage from dosage_rules (tyre size + vehicle category) -> line items -> totals
+    const vehicle_category=normaliseVehicleCategory(vehicle_type);
+    const dosage=await lookupDosage(client,{ category:vehicle_category, widthMm:tyre_width_mm, aspectRatio:aspect_ratio, rimIn:rim_diameter_in });
     const MRP_PER_ML=Number(process.env.MRP_PER_ML||process.env.FALLBACK_MRP_PER_ML||4.5);
-    const total_before_gst=Math.round(DEFAULT_QTY_ML*MRP_PER_ML);
-    const gst_amount=Math.round(total_before_gst*0.18);
-    const total_with_gst=total_before_gst+gst_amount;
+    const priced=buildLineItems({ mlPerTyre:dosage.ml_per_tyre, tyreCount:tyre_count, pricePerMl:MRP_PER_ML, installationCharges:installation_charges, discountAmount:discount_amount, gstRate:18, hsnCode:'35069999' });
+    if(priced.total_before_gst<0) return res.status(400).json({ok:false,error:'discount_exceeds_amount'});
+    const { dosage_ml, total_before_gst, gst_amount, total_with_gst } = priced;
+
+    // Place of supply: franchisee state vs customer GSTIN / requested state
+    const frq=await client.query(`SELECT gstin, state_code FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`,[franchisee_id]);
+    const tax=determineTaxMode({ supplierGstin:frq.rows[0]?.gstin, supplierStateCode:frq.rows[0]?.state_code, customerGstin:customer_gstin, placeOfSupply:place_of_supply_in });
+    const split=splitGst(gst_amount, tax.tax_mode);
 
     const cols=await getInvoiceCols(client);
     const fcol=findCol(cols,['franchisee_id','franchisee_code'])||'franchisee_id';
     const idCol=findCol(cols,['id','invoice_id'])||'id';
 
-    const seqQ=await client.query(`SELECT COUNT(*)::int AS c FROM public.invoices WHERE ${qid(fcol)}=$1`,[franchisee_id]);
-    const seq=(seqQ.rows?.[0]?.c||0)+1;
-    const seqStr=pad(seq,4);
-    const invoice_number_norm=`${franchisee_id}-${seqStr}`;
-    const invoice_number_printed=`${franchisee_id}/${mmYY()}/${seqStr}`;
+    // Installer from the token; the name is printed on the PDF
+    let installer_name=null;
+    if(installer){
+      const uq=await client.query(`SELECT COALESCE(display_name, username) AS name FROM public.users WHERE id=$1`,[installer.id]);
+      installer_name=uq.rows[0]?.name||installer.username;
+    }
+
+    const createdAt=new Date();
+    await client.query('BEGIN');
+
+    // Installation link: must belong to the caller and not be billed yet
+    let inst=null;
+    if(installation_id!==null){
+      const ir=await client.query(`SELECT * FROM public.installations WHERE id=$1 FOR UPDATE`,[installation_id]);
+      if(!ir.rowCount){ await client.query('ROLLBACK'); return res.status(404).json({ok:false,error:'installation_not_found'}); }
+      inst=ir.rows[0];
+      if(inst.franchisee_id!==franchisee_id){ await client.query('ROLLBACK'); return res.status(403).json({ok:false,error:'installation_wrong_owner'}); }
+      if(inst.invoice_id){ await client.query('ROLLBACK'); return res.status(409).json({ok:false,error:'installation_already_invoiced',invoice_id:inst.invoice_id}); }
+      if(inst.status==='cancelled'){ await client.query('ROLLBACK'); return res.status(409).json({ok:false,error:'installation_cancelled'}); }
+    }
+
+    const num=await allocateInvoiceNumber(client, franchisee_id, { date:createdAt });
+    const invoice_number_norm=num.invoice_number_norm;
+    const invoice_number_printed=num.invoice_number;
 
     const toInsert={};
     toInsert[fcol]=franchisee_id;
     if(has(cols,'invoice_number_norm')) toInsert['invoice_number_norm']=invoice_number_norm;
     if(has(cols,'invoice_number')) toInsert['invoice_number']=invoice_number_printed;
+    if(has(cols,'invoice_seq')) toInsert['invoice_seq']=num.invoice_seq;
+    if(has(cols,'invoice_fy')) toInsert['invoice_fy']=num.invoice_fy;
+    if(has(cols,'irp_doc_no')) toInsert['irp_doc_no']=num.doc_no;
     if(has(cols,'customer_code')) toInsert['customer_code']=invoice_number_norm; // lock to norm
     if(has(cols,'tyre_count')) toInsert['tyre_count']=tyre_count;
     if(has(cols,'tyre_width_mm')) toInsert['tyre_width_mm']=tyre_width_mm;
     if(has(cols,'aspect_ratio')) toInsert['aspect_ratio']=aspect_ratio;          // <-- NEW: persist aspect
     if(has(cols,'rim_diameter_in')) toInsert['rim_diameter_in']=rim_diameter_in;
-    if(has(cols,'dosage_ml')) toInsert['dosage_ml']=DEFAULT_QTY_ML;
+    if(has(cols,'vehicle_type')&&vehicle_type) toInsert['vehicle_type']=vehicle_type;
+    if(has(cols,'vehicle_category')) toInsert['vehicle_category']=vehicle_category;
+    if(has(cols,'dosage_ml')) toInsert['dosage_ml']=dosage_ml;
+    if(has(cols,'dosage_ml_per_tyre')) toInsert['dosage_ml_per_tyre']=dosage.ml_per_tyre;
+    if(has(cols,'dosage_rule_id')) toInsert['dosage_rule_id']=dosage.rule_id;
     if(has(cols,'price_per_ml')) toInsert['price_per_ml']=MRP_PER_ML;
+    if(has(cols,'installation_charges')) toInsert['installation_charges']=priced.line_items.some(li=>li.kind==='installation')?installation_charges:null;
+    if(has(cols,'discount_amount')) toInsert['discount_amount']=priced.line_items.some(li=>li.kind==='discount')?discount_amount:null;
+    if(has(cols,'line_items')) toInsert['line_items']=JSON.stringify(priced.line_items);
     if(has(cols,'total_before_gst')) toInsert['total_before_gst']=total_before_gst;
     if(has(cols,'gst_amount')) toInsert['gst_amount']=gst_amount;
     if(has(cols,'total_with_gst')) toInsert['total_with_gst']=total_with_gst;
+    if(has(cols,'customer_gstin')&&customer_gstin) toInsert['customer_gstin']=customer_gstin;
+    if(has(cols,'tax_mode')) toInsert['tax_mode']=tax.tax_mode;
+    if(has(cols,'cgst_amount')) toInsert['cgst_amount']=split.cgst_amount;
+    if(has(cols,'sgst_amount')) toInsert['sgst_amount']=split.sgst_amount;
+    if(has(cols,'igst_amount')) toInsert['igst_amount']=split.igst_amount;
+    if(has(cols,'supplier_state_code')) toInsert['supplier_state_code']=tax.supplier_state_code;
+    if(has(cols,'place_of_supply_code')) toInsert['place_of_supply_code']=tax.place_of_supply_code;
+    if(has(cols,'place_of_supply')) toInsert['place_of_supply']=tax.place_of_supply;
+    if(has(cols,'installation_id')&&inst) toInsert['installation_id']=inst.id;
+    if(has(cols,'installer_user_id')&&installer) toInsert['installer_user_id']=installer.id;
+    if(has(cols,'installer_name')&&installer_name) toInsert['installer_name']=installer_name;
     if(has(cols,'hsn_code')) toInsert['hsn_code']='35069999';
     if(has(cols,'gst_rate')) toInsert['gst_rate']=18;
-    if(has(cols,'created_at')) toInsert['created_at']=new Date().toISOString();
+    if(has(cols,'created_at')) toInsert['created_at']=createdAt.toISOString();
 
     const columns=Object.keys(toInsert);
     const values=Object.values(toInsert);
@@ -314,25 +524,63 @@ app.post('/api/invoices/full', async (req,res)=>{
                          ${has(cols,'invoice_number_norm')?'"invoice_number_norm"':'NULL AS invoice_number_norm'},
                          ${has(cols,'invoice_number')?'"invoice_number"':'NULL AS invoice_number'}`;
     const r=await client.query(sql, values);
-
     const row=r.rows[0];
-    const printed=row.invoice_number || printedFromNorm(row.invoice_number_norm) || invoice_number_printed;
-    res.status(201).json({
+
+    // Complete the installation with the invoice dosage (a job already completed
+    // via /installations/complete has had its stock deducted; only link it)
+    let installation=null, available_litres_after=null, batches=null;
+    if(inst){
+      let used=Number(inst.used_litres||0), completedAt=inst.completed_at;
+      if(inst.status!=='completed'){
+        used=Math.round(dosage_ml)/1000;
+        const mapping=await getInventoryMapping(client);
+        const mv=await consumeForInstallation(client, mapping, { franchiseeId:franchisee_id, installationId:inst.id, litres:used,
+          actor:token_user?actorOf(token_user):`franchisee:${franchisee_id}`, note:`Invoice ${row.invoice_number||invoice_number_printed}` });
+        if(!mv.ok){ await client.query('ROLLBACK'); const { ok, code, ...extra }=mv; return res.status(400).json({ok:false,error:code,...extra,required_litres:used}); }
+        batches=mv.batches;
+        available_litres_after=mv.available_litres;
+        completedAt=createdAt.toISOString();
+      }
+      await client.query(
+        `UPDATE public.installations
+            SET status='completed', used_litres=$2, completed_at=$3, invoice_id=$4, updated_at=NOW(),
+                installer_user_id=COALESCE($5, installer_user_id)
+          WHERE id=$1`,
+        [inst.id, used, completedAt, row.id, installer?.id||null]
+      );
+      installation={ id:String(inst.id), status:'completed', used_litres:used, completed_at:completedAt,
+        batch_numbers: batches ? batches.map(b=>b.batch_number) : (inst.batch_numbers||[]) };
+      if(available_litres_after!=null) await notifyIfLowStock(client, await getInventoryMapping(client), franchisee_id);
+    }
+
+    const printed=row.invoice_number || invoice_number_printed;
+    const out={
       ok:true,
       id: row.id,
       invoice_number: printed,
       invoice_number_norm: row.invoice_number_norm || invoice_number_norm,
+      invoice_seq: num.invoice_seq,
+      financial_year: num.invoice_fy,
       customer_code: row.customer_code || invoice_number_norm,
-      qty_ml_saved: Number(process.env.DEFAULT_QTY_ML||1200),
-    });
+      qty_ml_saved: dosage_ml,
+      dosage:{ vehicle_category, ml_per_tyre:dosage.ml_per_tyre, tyre_count, total_ml:dosage_ml, source:dosage.source, rule_id:dosage.rule_id },
+      line_items: priced.line_items,
+      total_before_gst, gst_amount, total_with_gst,
+      tax:{ tax_mode:tax.tax_mode, place_of_supply:tax.place_of_supply, pos_source:tax.pos_source, ...split },
+      ...(installation?{ installation, available_litres_after }:{}),
+    };
+    await saveIdempotentResponse(client, res, 201, out);
+    await client.query('COMMIT');
+    res.status(201).json(out);
   }catch(err){
+    try{ await client.query('ROLLBACK'); }catch{}
     console.error('create_invoice error:', err);
     res.status(500).json({ok:false,where:'create_invoice',message:err?.message||String(err)});
   }finally{ client.release(); }
 });
 
 // -------- SA tools: fix historical customer_code values ----------------
-app.post('/api/super/invoices/fix-customer-code/:id', requireSA2, async (req,res)=>{
+app.post('/api/super/invoices/fix-customer-code/:id', requireSA, async (req,res)=>{
   const id=Number(req.params.id||0);
   if(!Number.isFinite(id)||id<=0) return res.status(400).json({ok:false,error:'bad_id'});
   const client=await pool.connect();
@@ -347,7 +595,7 @@ app.post('/api/super/invoices/fix-customer-code/:id', requireSA2, async (req,res
   finally{ client.release(); }
 });
 
-app.post('/api/super/invoices/fix-customer-codes/by-franchisee/:franchisee_id', requireSA2, async (req,res)=>{
+app.post('/api/super/invoices/fix-customer-codes/by-franchisee/:franchisee_id', requireSA, async (req,res)=>{
   const frid=String(req.params.franchisee_id||'').trim();
   if(!frid) return res.status(400).json({ok:false,error:'missing_franchisee_id'});
   const client=await pool.connect();
@@ -401,7 +649,7 @@ app.get(['/api/invoices/:id/full2','/invoices/:id/full2'], async (req,res)=>{
     if(!r.rows.length) return res.status(404).json({ok:false,error:'not_found'});
     res.setHeader('Cache-Control','no-store');
     const doc=r.rows[0];
-    const printed= doc.invoice_number || (doc.invoice_number_norm?printedFromNorm(doc.invoice_number_norm):null);
+    const printed= doc.invoice_number || (doc.invoice_number_norm?printedFromNorm(doc.invoice_number_norm, doc.created_at||undefined):null);
     res.json(printed?{...doc, invoice_number:printed}:doc);
   }catch(err){ res.status(500).json({ok:false,where:'get_invoice_full2',message:e?.message||String(err)}); }
   finally{ client.release(); }
@@ -420,14 +668,26 @@ app.get('/api/invoices/by-norm/:norm', async (req,res)=>{
 });
 
 // -------------- Franchisee Onboarding (Admin/SA) + F2 seeding ----------
-app.post('/api/super/franchisees/approve/:id', requireSA2, async (req,res)=>{
+// First approval creates the inventory row with INITIAL_STOCK_LITRES and an
+// "opening" ledger entry; re-approval leaves existing stock alone.
+async function seedOpeningStock(client, frid, approver){
+  const mapping=await getInventoryMapping(client);
+  const cur=await getStock(client, mapping, frid);
+  if(cur!=null) return { seeded_litres:0, available_litres:cur };
+  const initial=INITIAL_STOCK_LITRES;
+  await insertOrUpdateInventoryRow(client, mapping, frid, initial,
+    { kind:'opening', sourceType:'franchisee_approval', sourceId:frid, actor:`sa:${approver}`, note:'Initial stock on approval' });
+  return { seeded_litres:initial, available_litres:initial };
+}
+
+app.post('/api/super/franchisees/approve/:id', requireSA, async (req,res)=>{
   const client=await pool.connect();
   try{
     await client.query('BEGIN');
     const id=Number(req.params.id||0);
     if(!Number.isFinite(id)||id<=0){ await client.query('ROLLBACK'); return res.status(400).json({ok:false,error:'bad_id'}); }
     const note=(req.body?.note||'').trim();
-    const approver=(req.get('X-SA-USER')||'superadmin').trim()||'superadmin';
+    const approver=req.user.username;
     const nowIso=new Date().toISOString();
 
     const r=await client.query(
@@ -441,12 +701,8 @@ app.post('/api/super/franchisees/approve/:id', requireSA2, async (req,res)=>{
 
     let seeded_inventory_litres=0, inventory_after=null;
     if(frid){
-      const sel=await client.query(`SELECT ${qid(INV_STOCK_COL)} AS stock FROM public.${qid(INV_TABLE)} WHERE ${qid(INV_FR_COL)}=$1 LIMIT 1`,[frid]);
-      if(sel.rowCount===0){
-        const initial=INITIAL_STOCK_LITRES;
-        const ins=await client.query(`INSERT INTO public.${qid(INV_TABLE)} (${qid(INV_FR_COL)},${qid(INV_STOCK_COL)}) VALUES ($1,$2) RETURNING ${qid(INV_STOCK_COL)} AS stock`,[frid, initial]);
-        seeded_inventory_litres=initial; inventory_after=Number(ins.rows[0].stock);
-      } else { inventory_after=Number(sel.rows[0].stock); }
+      const seed=await seedOpeningStock(client, frid, approver);
+      seeded_inventory_litres=seed.seeded_litres; inventory_after=seed.available_litres;
     }
 
     await client.query('COMMIT');
@@ -455,14 +711,14 @@ app.post('/api/super/franchisees/approve/:id', requireSA2, async (req,res)=>{
   finally{ client.release(); }
 });
 
-app.post('/api/super/franchisees/approve/by-franchisee-id/:franchisee_id', requireSA2, async (req,res)=>{
+app.post('/api/super/franchisees/approve/by-franchisee-id/:franchisee_id', requireSA, async (req,res)=>{
   const client=await pool.connect();
   try{
     await client.query('BEGIN');
     const frid=String(req.params.franchisee_id||'').trim();
     if(!frid){ await client.query('ROLLBACK'); return res.status(400).json({ok:false,error:'missing_franchisee_id'}); }
     const note=(req.body?.note||'').trim();
-    const approver=(req.get('X-SA-USER')||'superadmin').trim()||'superadmin';
+    const approver=req.user.username;
     const nowIso=new Date().toISOString();
 
     const r=await client.query(
@@ -475,12 +731,8 @@ app.post('/api/super/franchisees/approve/by-franchisee-id/:franchisee_id', requi
     const frRow=r.rows[0];
 
     let seeded_inventory_litres=0, inventory_after=null;
-    const sel=await client.query(`SELECT ${qid(INV_STOCK_COL)} AS stock FROM public.${qid(INV_TABLE)} WHERE ${qid(INV_FR_COL)}=$1 LIMIT 1`,[frid]);
-    if(sel.rowCount===0){
-      const initial=INITIAL_STOCK_LITRES;
-      const ins=await client.query(`INSERT INTO public.${qid(INV_TABLE)} (${qid(INV_FR_COL)},${qid(INV_STOCK_COL)}) VALUES ($1,$2) RETURNING ${qid(INV_STOCK_COL)} AS stock`,[frid, initial]);
-      seeded_inventory_litres=initial; inventory_after=Number(ins.rows[0].stock);
-    } else { inventory_after=Number(sel.rows[0].stock); }
+    const seed=await seedOpeningStock(client, frid, approver);
+    seeded_inventory_litres=seed.seeded_litres; inventory_after=seed.available_litres;
 
     await client.query('COMMIT');
     res.json({ok:true, franchisee:frRow, seeded_inventory_litres, inventory_after});
@@ -488,13 +740,13 @@ app.post('/api/super/franchisees/approve/by-franchisee-id/:franchisee_id', requi
   finally{ client.release(); }
 });
 
-app.post('/api/super/franchisees/reject/:id', requireSA2, async (req,res)=>{
+app.post('/api/super/franchisees/reject/:id', requireSA, async (req,res)=>{
   const client=await pool.connect();
   try{
     const id=Number(req.params.id||0);
     if(!Number.isFinite(id)||id<=0) return res.status(400).json({ok:false,error:'bad_id'});
     const reason=(req.body?.reason||'').trim(); if(!reason) return res.status(400).json({ok:false,error:'missing_reason'});
-    const approver=(req.get('X-SA-USER')||'superadmin').trim()||'superadmin';
+    const approver=req.user.username;
     const nowIso=new Date().toISOString();
     const r=await client.query(
       `UPDATE public.franchisees
@@ -519,10 +771,13 @@ app.get('/api/invoices/:id/pdf', async (req,res)=>{
     const inv=ir.rows[0];
     const frCode=inv.franchisee_id||inv.franchisee_code||'';
     let fr=null;
-    if(frCode){ const frq=await client.query(`SELECT * FROM public.franchisees WHERE code=$1 LIMIT 1`,[frCode]); fr=frq.rows[0]||null; }
+    if(frCode){ const frq=await client.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`,[frCode]); fr=frq.rows[0]||null; }
+    // Sealant batch(es) used on the linked installation (src/lib/batches.js)
+    const bq=await client.query(`SELECT batch_numbers FROM public.installations WHERE invoice_id=$1 OR id=$2 LIMIT 1`,[id, inv.installation_id||null]);
+    // installer_name as stored: set from the installer account at creation, amendable (invoiceRevisions.js)
     res.setHeader('Content-Type','application/pdf');
     res.setHeader('Content-Disposition', `${download?'attachment':'inline'}; filename="invoice-${id}.pdf"`);
-    await createV46Pdf(res, inv, fr);
+    await createV46Pdf(res, { ...inv, batch_numbers:bq.rows[0]?.batch_numbers||[] }, fr);
   }catch(e){ res.status(500).json({error:'pdf_failed',message:e?.message||String(e)}); }
   finally{ client.release(); }
 });
@@ -531,5 +786,12 @@ app.get('/api/invoices/:id/pdf', async (req,res)=>{
 app.use((_req,res)=>res.status(404).json({error:'not_found'}));
 
 // ------------------------------ Start ----------------------------------
+startIdempotencyCleanup(pool);
+startInstallationExpiry(pool);
+startSessionCleanup(pool);
+startLoginThrottleCleanup(pool);
+startOtpRedaction(pool);
+seedLedgerOpenings(pool);
+
 const port=Number(process.env.PORT||10000);
 app.listen(port,()=>console.log(`Billing API listening on :${port}`));
@@ -1,4 +1,21 @@
 // src/inventory.js  (ESM) — Expanded detector + schema helpers
+//
+// The one place that knows where franchisee stock lives. Every route and lib
+// resolves the mapping with getInventoryMapping() and reads / writes stock
+// through the helpers below, so the table and columns cannot differ between
+// routes. Precedence:
+//   1) SA override persisted in inventory_mapping_override (PUT /api/super/inventory/mapping)
+//   2) env INVENTORY_TABLE / INVENTORY_FRANCHISEE_COL / INVENTORY_STOCK_COL (missing ones default)
+//   3) auto-detected from information_schema
+//   4) inventory.franchisee_id / available_litres
+// The resolved mapping is cached for INVENTORY_MAPPING_CACHE_SECONDS (default 60)
+// so an override made on one instance reaches the others.
+//
+// Stock that predates the ledger gets its "opening" movement from
+// seedLedgerOpenings() at startup and from setInventoryMappingOverride(), under
+// whichever mapping is in force (not only the default inventory table).
+
+import { reservedLitres } from "./lib/installations.js";
 
 // Broadened synonym sets (UK/US spellings + common variants)
 const STOCK_COL_CANDIDATES = [
@@ -20,12 +37,17 @@ function isSafeIdentifier(s) {
   return typeof s === "string" && /^[a-zA-Z0-9_]+$/.test(s);
 }
 
+const DEFAULT_MAPPING = { table: "inventory", franchiseeCol: "franchisee_id", stockCol: "available_litres" };
+
 // ENV override support: set INVENTORY_TABLE, INVENTORY_FRANCHISEE_COL, INVENTORY_STOCK_COL
+// (any one set = env mapping, the others fall back to the defaults)
 function envMapping() {
-  const table = process.env.INVENTORY_TABLE;
-  const franchiseeCol = process.env.INVENTORY_FRANCHISEE_COL;
-  const stockCol = process.env.INVENTORY_STOCK_COL;
-  if (table && franchiseeCol && stockCol && [table, franchiseeCol, stockCol].every(isSafeIdentifier)) {
+  const { INVENTORY_TABLE, INVENTORY_FRANCHISEE_COL, INVENTORY_STOCK_COL } = process.env;
+  if (!INVENTORY_TABLE && !INVENTORY_FRANCHISEE_COL && !INVENTORY_STOCK_COL) return null;
+  const table = INVENTORY_TABLE || DEFAULT_MAPPING.table;
+  const franchiseeCol = INVENTORY_FRANCHISEE_COL || DEFAULT_MAPPING.franchiseeCol;
+  const stockCol = INVENTORY_STOCK_COL || DEFAULT_MAPPING.stockCol;
+  if ([table, franchiseeCol, stockCol].every(isSafeIdentifier)) {
     return { table, franchiseeCol, stockCol, source: "env" };
   }
   return null;
@@ -66,7 +88,9 @@ export async function detectInventoryMapping(client) {
       (t.includes("inventory") ? 4 : 0) +
       (t.includes("stock") ? 3 : 0) +
       (t.includes("franchisee") ? 2 : 0) +
-      (t.includes("kiosk") ? 1 : 0) + 1;
+      (t.includes("kiosk") ? 1 : 0) + 1 +
+      // the schema this service ships with wins ties
+      (t === DEFAULT_MAPPING.table && hasFr === DEFAULT_MAPPING.franchiseeCol && hasStock === DEFAULT_MAPPING.stockCol ? 5 : 0);
 
     if (!best || score > best.score) {
       best = { table, franchiseeCol: hasFr, stockCol: hasStock, score };
@@ -83,12 +107,106 @@ export async function detectInventoryMapping(client) {
 export function setManualMappingForSession(table, franchiseeCol, stockCol) {
   if ([table, franchiseeCol, stockCol].every(isSafeIdentifier)) {
     cached = { table, franchiseeCol, stockCol, source: "manual" };
+    resolved = null;
     return cached;
   }
   return null;
 }
 
+// ---- Resolved mapping (SA override > env > auto-detect > default)
+const MAPPING_TTL_MS = Number(process.env.INVENTORY_MAPPING_CACHE_SECONDS || 60) * 1000;
+const NUMERIC_TYPES = ["numeric", "integer", "bigint", "smallint", "real", "double precision"];
+let resolved = null;
+let resolvedAt = 0;
+
+async function loadMappingOverride(client) {
+  const r = await client.query(
+    `SELECT table_name, franchisee_col, stock_col, updated_by, updated_at
+       FROM public.inventory_mapping_override WHERE id=1`
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * The mapping every stock read / write must use.
+ * @returns {Promise<{table:string, franchiseeCol:string, stockCol:string, source:"override"|"env"|"auto"|"manual"|"default"}>}
+ */
+export async function getInventoryMapping(client, { fresh = false } = {}) {
+  if (!fresh && resolved && Date.now() - resolvedAt < MAPPING_TTL_MS) return resolved;
+  const o = await loadMappingOverride(client);
+  let m = o && [o.table_name, o.franchisee_col, o.stock_col].every(isSafeIdentifier)
+    ? { table: o.table_name, franchiseeCol: o.franchisee_col, stockCol: o.stock_col, source: "override" }
+    : await detectInventoryMapping(client);
+  if (!m) m = { ...DEFAULT_MAPPING, source: "default" };
+  resolved = m;
+  resolvedAt = Date.now();
+  return m;
+}
+
+/** Resolved mapping plus what each source would give, for SA review. */
+export async function describeInventoryMapping(client) {
+  const mapping = await getInventoryMapping(client, { fresh: true });
+  const override = await loadMappingOverride(client);
+  const detected = await detectInventoryMapping(client);
+  return { mapping, override, env: envMapping(), detected, default: DEFAULT_MAPPING };
+}
+
+/**
+ * Check a mapping against information_schema: table and columns exist, stock column is numeric.
+ * @returns {Promise<{ok:true}|{ok:false, code:string, column?:string}>}
+ */
+export async function validateInventoryMapping(client, { table, franchiseeCol, stockCol }) {
+  if (![table, franchiseeCol, stockCol].every(isSafeIdentifier)) return { ok: false, code: "bad_identifier" };
+  const cols = (await listColumnsForTable(client, table)).rows;
+  if (!cols.length) return { ok: false, code: "unknown_table" };
+  const fr = cols.find((c) => c.column_name === franchiseeCol);
+  if (!fr) return { ok: false, code: "unknown_column", column: franchiseeCol };
+  const st = cols.find((c) => c.column_name === stockCol);
+  if (!st) return { ok: false, code: "unknown_column", column: stockCol };
+  if (!NUMERIC_TYPES.includes(st.data_type)) return { ok: false, code: "stock_column_not_numeric", column: stockCol, data_type: st.data_type };
+  return { ok: true };
+}
+
+/** Persist an SA override (validated) and switch this instance to it immediately. */
+export async function setInventoryMappingOverride(client, { table, franchiseeCol, stockCol, actor }) {
+  const v = await validateInventoryMapping(client, { table, franchiseeCol, stockCol });
+  if (!v.ok) return v;
+  await client.query(
+    `INSERT INTO public.inventory_mapping_override (id, table_name, franchisee_col, stock_col, updated_by, updated_at)
+     VALUES (1,$1,$2,$3,$4,NOW())
+     ON CONFLICT (id) DO UPDATE
+        SET table_name=EXCLUDED.table_name, franchisee_col=EXCLUDED.franchisee_col,
+            stock_col=EXCLUDED.stock_col, updated_by=EXCLUDED.updated_by, updated_at=NOW()`,
+    [table, franchiseeCol, stockCol, actor]
+  );
+  resolved = null;
+  const mapping = await getInventoryMapping(client);
+  return { ok: true, mapping, openings_carried: await carryOpeningBalances(client, mapping, { actor }) };
+}
+
+/** Drop the SA override; the env / detected mapping applies again. */
+export async function clearInventoryMappingOverride(client) {
+  const r = await client.query(`DELETE FROM public.inventory_mapping_override WHERE id=1`);
+  resolved = null;
+  return { removed: r.rowCount > 0, mapping: await getInventoryMapping(client) };
+}
+
+/** "(SELECT franchisee_id, available_litres FROM <stock table>)" for joins. */
+export function stockRelation(mapping) {
+  return `(SELECT "${mapping.franchiseeCol}" AS franchisee_id, "${mapping.stockCol}"::numeric AS available_litres
+             FROM "${mapping.table}")`;
+}
+
 // ---- Inventory row helpers
+/** Current stock without locking; null when the franchisee has no inventory row. */
+export async function getStock(client, mapping, franchiseeId) {
+  const r = await client.query(
+    `SELECT "${mapping.stockCol}"::float AS available_litres FROM "${mapping.table}" WHERE "${mapping.franchiseeCol}" = $1 LIMIT 1`,
+    [franchiseeId]
+  );
+  return r.rowCount ? Number(r.rows[0].available_litres) : null;
+}
+
 export async function getInventoryRowForUpdate(client, mapping, franchiseeId) {
   const sql = `
     SELECT "${mapping.stockCol}"::numeric AS available_litres
@@ -100,18 +218,34 @@ export async function getInventoryRowForUpdate(client, mapping, franchiseeId) {
   return r.rowCount ? r.rows[0] : null;
 }
 
-export async function listInventoryRows(client, mapping, limit = 10) {
+/**
+ * Stock rows with franchisee name + active reservations.
+ * opts: a limit, or { limit, offset, search } (search = franchisee id / legal name / city code, ILIKE)
+ */
+export async function listInventoryRows(client, mapping, opts = 10) {
+  const { limit = 10, offset = 0, search = null } = typeof opts === "number" ? { limit: opts } : opts;
   const sql = `
-    SELECT "${mapping.franchiseeCol}" AS franchisee_id, "${mapping.stockCol}"::numeric AS available_litres
-    FROM "${mapping.table}"
+    SELECT s.franchisee_id, s.available_litres::float AS available_litres,
+           f.legal_name, f.city_code, f.state_code, f.status,
+           COALESCE(rv.reserved, 0)::float AS reserved_litres,
+           (s.available_litres - COALESCE(rv.reserved, 0))::float AS available_to_promise_litres,
+           COUNT(*) OVER ()::int AS total
+    FROM ${stockRelation(mapping)} s
+    LEFT JOIN public.franchisees f ON f.franchisee_id = s.franchisee_id
+    LEFT JOIN (SELECT franchisee_id, SUM(reserved_litres) AS reserved
+                 FROM public.installations WHERE status = 'started'
+                GROUP BY franchisee_id) rv ON rv.franchisee_id = s.franchisee_id
+    WHERE $3::text IS NULL
+       OR s.franchisee_id ILIKE $3 OR f.legal_name ILIKE $3 OR f.city_code ILIKE $3
     ORDER BY 1
-    LIMIT $1
+    LIMIT $1 OFFSET $2
   `;
-  return client.query(sql, [limit]);
+  return client.query(sql, [limit, offset, search ? `%${search}%` : null]);
 }
 
-export async function insertOrUpdateInventoryRow(client, mapping, franchiseeId, litres) {
+export async function insertOrUpdateInventoryRow(client, mapping, franchiseeId, litres, ledger = null) {
   // Try update then insert (works without unique constraint too, but may duplicate if not careful)
+  const prev = await getInventoryRowForUpdate(client, mapping, franchiseeId);
   const upd = await client.query(
     `UPDATE "${mapping.table}"
         SET "${mapping.stockCol}" = $2
@@ -119,17 +253,34 @@ export async function insertOrUpdateInventoryRow(client, mapping, franchiseeId,
       RETURNING "${mapping.franchiseeCol}"`,
     [franchiseeId, litres]
   );
-  if (upd.rowCount) return { action: "updated" };
-
-  await client.query(
-    `INSERT INTO "${mapping.table}" ("${mapping.franchiseeCol}", "${mapping.stockCol}")
-     VALUES ($1, $2)`,
-    [franchiseeId, litres]
-  );
-  return { action: "inserted" };
+  let action = "updated";
+  if (!upd.rowCount) {
+    await client.query(
+      `INSERT INTO "${mapping.table}" ("${mapping.franchiseeCol}", "${mapping.stockCol}")
+       VALUES ($1, $2)`,
+      [franchiseeId, litres]
+    );
+    action = "inserted";
+  }
+  // An absolute set is recorded as the difference it makes
+  const delta = Number(litres) - Number(prev?.available_litres || 0);
+  if (ledger && delta !== 0) {
+    await appendMovement(client, {
+      kind: action === "inserted" ? "opening" : "adjustment",
+      ...ledger,
+      franchiseeId,
+      litres: delta,
+      balanceAfter: Number(litres),
+    });
+  }
+  return { action };
 }
 
-export async function deductStockAndReturn(client, mapping, franchiseeId, usedLitres) {
+/**
+ * ledger (optional, recommended): { kind?, sourceType, sourceId?, actor, note? }
+ * written to inventory_movements with the new balance. kind defaults to "consumption".
+ */
+export async function deductStockAndReturn(client, mapping, franchiseeId, usedLitres, ledger = null) {
   const sql = `
     UPDATE "${mapping.table}"
        SET "${mapping.stockCol}" = "${mapping.stockCol}" - $2
@@ -137,7 +288,189 @@ export async function deductStockAndReturn(client, mapping, franchiseeId, usedLi
        AND "${mapping.stockCol}"::numeric >= $2
      RETURNING "${mapping.stockCol}"::numeric AS available_litres
   `;
-  return client.query(sql, [franchiseeId, usedLitres]);
+  const r = await client.query(sql, [franchiseeId, usedLitres]);
+  if (ledger && r.rowCount) {
+    await appendMovement(client, {
+      kind: "consumption",
+      ...ledger,
+      franchiseeId,
+      litres: -Number(usedLitres),
+      balanceAfter: Number(r.rows[0].available_litres),
+    });
+  }
+  return r;
+}
+
+/** Same ledger argument as deductStockAndReturn; kind defaults to "reversal". */
+export async function creditStockAndReturn(client, mapping, franchiseeId, litres, ledger = null) {
+  const sql = `
+    UPDATE "${mapping.table}"
+       SET "${mapping.stockCol}" = "${mapping.stockCol}" + $2
+     WHERE "${mapping.franchiseeCol}" = $1
+     RETURNING "${mapping.stockCol}"::numeric AS available_litres
+  `;
+  const r = await client.query(sql, [franchiseeId, litres]);
+  if (ledger && r.rowCount) {
+    await appendMovement(client, {
+      kind: "reversal",
+      ...ledger,
+      franchiseeId,
+      litres: Number(litres),
+      balanceAfter: Number(r.rows[0].available_litres),
+    });
+  }
+  return r;
+}
+
+// ---- Stock movement ledger (inventory_movements, append-only)
+export const MOVEMENT_KINDS = ["opening", "replenishment", "consumption", "adjustment", "transfer", "reversal"];
+
+export async function appendMovement(client, { franchiseeId, kind, litres, balanceAfter, sourceType, sourceId = null, actor, note = null }) {
+  const r = await client.query(
+    `INSERT INTO public.inventory_movements
+       (franchisee_id, kind, litres, balance_after, source_type, source_id, note, actor)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+     RETURNING *`,
+    [franchiseeId, kind, litres, balanceAfter, sourceType, sourceId == null ? null : String(sourceId), note, actor]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Carry stock that predates the ledger into it: one "opening" movement per
+ * franchisee with non-zero stock under `mapping` and no movement yet. The stock
+ * rows are locked first so a concurrent move or another instance's run cannot
+ * slip in between. Inside the caller's transaction; returns the rows added.
+ */
+export async function carryOpeningBalances(client, mapping, { actor = "system:ledger" } = {}) {
+  await client.query(
+    `SELECT 1 FROM "${mapping.table}" WHERE COALESCE("${mapping.stockCol}", 0) <> 0 FOR UPDATE`
+  );
+  const r = await client.query(
+    `INSERT INTO public.inventory_movements (franchisee_id, kind, litres, balance_after, source_type, note, actor)
+     SELECT s.franchisee_id, 'opening', s.available_litres, s.available_litres, 'ledger_start',
+            'Balance carried into the ledger', $1
+       FROM ${stockRelation(mapping)} s
+      WHERE COALESCE(s.available_litres, 0) <> 0
+        AND NOT EXISTS (SELECT 1 FROM public.inventory_movements m WHERE m.franchisee_id = s.franchisee_id)`,
+    [actor]
+  );
+  return r.rowCount;
+}
+
+/** Startup: carry pre-ledger stock of the resolved mapping (override / env / detected) into the ledger. */
+export async function seedLedgerOpenings(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const n = await carryOpeningBalances(client, await getInventoryMapping(client, { fresh: true }));
+    await client.query("COMMIT");
+    if (n) console.log(`inventory: carried ${n} opening balance(s) into the ledger`);
+    return n;
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    console.error("inventory opening balances failed", e?.message || e);
+    return 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply a signed move to one franchisee's stock and record it, inside the
+ * caller's transaction. Refuses to go below zero unless allowNegative.
+ * An outgoing move must also leave the active reservations of started
+ * installations (src/lib/installations.js) covered, except the one of
+ * reservedFor (the installation being consumed) and unless ignoreReservations
+ * (a stock count booking what is physically there).
+ * @returns {Promise<{ok:true, available_litres:number, movement:object}
+ *                  |{ok:false, code:string, available_litres?:number, reserved_litres?:number, available_to_promise_litres?:number}>}
+ */
+export async function moveStock(client, mapping, { franchiseeId, kind, litres, sourceType, sourceId = null, actor, note = null, allowNegative = false, reservedFor = null, ignoreReservations = false }) {
+  if (litres < 0 && !allowNegative && !ignoreReservations) {
+    // Row lock first: starts reserve under the same lock, so the sum below stays valid
+    const cur = await getInventoryRowForUpdate(client, mapping, franchiseeId);
+    if (!cur) return { ok: false, code: "inventory_row_missing" };
+    const held = await reservedLitres(client, franchiseeId, { exceptInstallationId: reservedFor });
+    const atp = Math.round((Number(cur.available_litres) - held.litres) * 1000) / 1000;
+    if (atp + Number(litres) < -0.0005) {
+      if (Number(cur.available_litres) + Number(litres) < -0.0005) {
+        return { ok: false, code: "insufficient_stock", available_litres: Number(cur.available_litres) };
+      }
+      return {
+        ok: false, code: "stock_reserved", available_litres: Number(cur.available_litres),
+        reserved_litres: held.litres, available_to_promise_litres: atp,
+      };
+    }
+  }
+  const r = await client.query(
+    `UPDATE "${mapping.table}"
+        SET "${mapping.stockCol}" = "${mapping.stockCol}" + $2
+      WHERE "${mapping.franchiseeCol}" = $1
+        AND ($3::boolean OR "${mapping.stockCol}"::numeric + $2 >= 0)
+      RETURNING "${mapping.stockCol}"::numeric AS available_litres`,
+    [franchiseeId, litres, allowNegative]
+  );
+  if (!r.rowCount) {
+    const cur = await getInventoryRowForUpdate(client, mapping, franchiseeId);
+    if (!cur) return { ok: false, code: "inventory_row_missing" };
+    return { ok: false, code: "insufficient_stock", available_litres: Number(cur.available_litres) };
+  }
+  const available = Number(r.rows[0].available_litres);
+  const movement = await appendMovement(client, { franchiseeId, kind, litres, balanceAfter: available, sourceType, sourceId, actor, note });
+  return { ok: true, available_litres: available, movement };
+}
+
+/** Ledger total for one franchisee; should equal the stock column. */
+export async function ledgerBalance(client, franchiseeId) {
+  const r = await client.query(
+    `SELECT COALESCE(SUM(litres),0)::float AS balance, COUNT(*)::int AS movements
+       FROM public.inventory_movements WHERE franchisee_id=$1`,
+    [franchiseeId]
+  );
+  return { balance: Math.round(r.rows[0].balance * 1000) / 1000, movements: r.rows[0].movements };
+}
+
+/**
+ * Movements newest first; balance_after on each row is the running balance.
+ * @param {{from?:string, to?:string, kind?:string, beforeId?:number, limit?:number}} opts
+ *        from/to are UTC instants (ISO)
+ */
+export async function listMovements(client, franchiseeId, { from = null, to = null, kind = null, beforeId = null, limit = 100 } = {}) {
+  return client.query(
+    `SELECT id, kind, litres::float AS litres, balance_after::float AS balance_after,
+            source_type, source_id, note, actor, created_at
+       FROM public.inventory_movements
+      WHERE franchisee_id=$1
+        AND ($2::timestamptz IS NULL OR created_at >= $2::timestamptz)
+        AND ($3::timestamptz IS NULL OR created_at < $3::timestamptz)
+        AND ($4::text IS NULL OR kind = $4::text)
+        AND ($5::bigint IS NULL OR id < $5::bigint)
+      ORDER BY id DESC
+      LIMIT $6`,
+    [franchiseeId, from, to, kind, beforeId, limit]
+  );
+}
+
+/**
+ * Set a franchisee's opening balance (creates the inventory row if missing).
+ * Only while the ledger has nothing but opening entries; afterwards stock is
+ * corrected with adjustments or a stock count.
+ * @returns {Promise<{ok:true, action:"inserted"|"updated"|"unchanged", previous_litres:number|null, available_litres:number}
+ *                  |{ok:false, code:"stock_has_movements", movements:number}>}
+ */
+export async function setOpeningBalance(client, mapping, { franchiseeId, litres, actor, note = null }) {
+  const prev = await getInventoryRowForUpdate(client, mapping, franchiseeId);
+  const m = await client.query(
+    `SELECT COUNT(*)::int AS n FROM public.inventory_movements WHERE franchisee_id=$1 AND kind <> 'opening'`,
+    [franchiseeId]
+  );
+  if (m.rows[0].n > 0) return { ok: false, code: "stock_has_movements", movements: m.rows[0].n };
+  const previous = prev ? Number(prev.available_litres) : null;
+  if (previous === Number(litres)) return { ok: true, action: "unchanged", previous_litres: previous, available_litres: previous };
+  const { action } = await insertOrUpdateInventoryRow(client, mapping, franchiseeId, litres,
+    { kind: "opening", sourceType: "opening_balance", sourceId: franchiseeId, actor, note: note || "Opening balance" });
+  return { ok: true, action, previous_litres: previous, available_litres: Number(litres) };
 }
 
 // ---- Schema helpers for debugging/selection
@@ -0,0 +1,190 @@
+// src/lib/auth.js
+// Shared auth helpers: signed user tokens over the users table (role_type SA / ADMIN / FRANCHISEE / INSTALLER)
+// Used by server.js and the routes/* modules so every route verifies the same way.
+//
+// Access token: v2.<payload b64url>.<HMAC-SHA256(AUTH_SECRET) b64url>
+//   payload { sub: users.id, usr: username, role, fid: franchisee scope | null, sid: session, exp }
+// Access tokens live ACCESS_TOKEN_TTL_MINUTES; the session (user_sessions,
+// src/lib/sessions.js) is renewed with a rotating refresh token via /auth/refresh.
+//
+// authenticate(pool) (mounted once in server.js) sets req.user = { id, username, role,
+// franchisee_id, session_id } for a valid Bearer / X-FRANCHISEE-TOKEN whose session is
+// still open and whose user is active, or null; authz.js requireRole() reads it.
+// requireSA / requireFranchisee / requireFranchiseeOrSA / requireFranchiseeOrInstaller also set
+// req.franchisee_id, req.is_sa, req.installer_id and req.actor (actorOf) for audit columns.
+// FRANCHISEE is the outlet owner; INSTALLER accounts (created by the owner) share the
+// outlet scope but only pass requireFranchiseeOrInstaller (installations, invoice create).
+//
+// SA_KEY_FALLBACK=1 keeps accepting the old shared X-SA-KEY (actor from X-SA-USER)
+// on SA routes while SA users are being created; off by default.
+
+import crypto from "crypto";
+
+export const AUTH_SECRET = process.env.AUTH_SECRET || "";
+export const ACCESS_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+export const USER_ROLES = ["SA", "ADMIN", "FRANCHISEE", "INSTALLER"];
+/** Roles scoped to one franchisee (users.franchisee_id required). */
+export const OUTLET_ROLES = ["FRANCHISEE", "INSTALLER"];
+
+const SA_KEY_FALLBACK = ["1", "true", "yes"].includes(String(process.env.SA_KEY_FALLBACK || "").toLowerCase());
+
+export function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+const hmac = (s) => b64url(crypto.createHmac("sha256", AUTH_SECRET).update(s).digest());
+
+/** Sign an access token for a users row + session ({ id, username, role, franchisee_id, session_id }). */
+export function signToken(user, minutes = ACCESS_TTL_MINUTES) {
+  if (!AUTH_SECRET) throw new Error("auth_secret_not_set");
+  const exp = Math.floor(Date.now() / 1000) + Math.max(1, minutes) * 60;
+  const p64 = b64url(JSON.stringify({
+    sub: String(user.id), usr: String(user.username), role: user.role, fid: user.franchisee_id || null,
+    sid: String(user.session_id), exp,
+  }));
+  const toSign = `v2.${p64}`;
+  return { token: `${toSign}.${hmac(toSign)}`, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+/** Claims of a valid, unexpired token as { id, username, role, franchisee_id, session_id }, or null. */
+export function verifyToken(token) {
+  try {
+    if (!AUTH_SECRET) return null;
+    const [v, p64, sig] = String(token || "").split(".");
+    if (v !== "v2" || !p64 || !sig) return null;
+    const expected = hmac(`${v}.${p64}`);
+    if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+    const obj = JSON.parse(Buffer.from(p64.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+    if (!obj?.sub || !obj?.sid || !obj?.exp || !USER_ROLES.includes(obj.role)) return null;
+    if (Math.floor(Date.now() / 1000) > Number(obj.exp)) return null;
+    if (OUTLET_ROLES.includes(obj.role) && !obj.fid) return null;
+    return {
+      id: String(obj.sub), username: String(obj.usr || obj.sub), role: obj.role,
+      franchisee_id: obj.fid ? String(obj.fid) : null, session_id: String(obj.sid),
+    };
+  } catch { return null; }
+}
+
+function bearerOf(req) {
+  const auth = req.get("Authorization") || "";
+  const bearer = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  return bearer || req.get("X-FRANCHISEE-TOKEN") || "";
+}
+
+/** req.user as set by authenticate(), or null. */
+export function userOf(req) {
+  return req.user || null;
+}
+
+/**
+ * Sets req.user (or null) for every request from the token + its session row;
+ * never rejects, the require* guards below decide.
+ */
+export function authenticate(pool) {
+  return async (req, res, next) => {
+    req.user = null;
+    const claims = verifyToken(bearerOf(req));
+    if (!claims) return next();
+    try {
+      const r = await pool.query(
+        `SELECT 1
+           FROM public.user_sessions s
+           JOIN public.users u ON u.id = s.user_id
+          WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.is_active`,
+        [claims.session_id, claims.id]
+      );
+      if (r.rowCount) req.user = claims;
+      next();
+    } catch (e) {
+      res.status(500).json({ ok: false, code: "auth_check_failed", message: e?.message || String(e) });
+    }
+  };
+}
+
+/** Any signed-in user (sessions, own password). */
+export function requireUser(req, res, next) {
+  if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: "auth_secret_not_set" });
+  if (!userOf(req)) return res.status(401).json({ ok: false, code: "unauthorized" });
+  next();
+}
+
+/** Franchisee id from a valid owner / installer token on the request, or null (for routes where the token is optional). */
+export function tokenFranchisee(req) {
+  const u = userOf(req);
+  return OUTLET_ROLES.includes(u?.role) ? u.franchisee_id : null;
+}
+
+/** Audit actor for a user: "sa:<username>", "franchisee:<id>", "installer:<username>", "admin:<username>". */
+export function actorOf(u) {
+  if (u.role === "FRANCHISEE") return `franchisee:${u.franchisee_id}`;
+  return `${u.role.toLowerCase()}:${u.username}`;
+}
+
+export function requireKey(header, envName) {
+  return (req, res, next) => {
+    const key = req.get(header) || "";
+    const expect = process.env[envName] || "";
+    if (!expect) return res.status(500).json({ ok: false, error: `${envName.toLowerCase()}_not_set` });
+    if (key !== expect) return res.status(401).json({ ok: false, error: "unauthorized" });
+    next();
+  };
+}
+
+/** Shared X-SA-KEY as a pseudo user; only with SA_KEY_FALLBACK. */
+function saKeyUser(req) {
+  const expect = process.env.SUPER_ADMIN_KEY || "";
+  if (!SA_KEY_FALLBACK || !expect || req.get("X-SA-KEY") !== expect) return null;
+  return {
+    id: null, username: (req.get("X-SA-USER") || "superadmin").trim() || "superadmin", role: "SA",
+    franchisee_id: null, session_id: null,
+  };
+}
+
+export function requireSA(req, res, next) {
+  if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: "auth_secret_not_set" });
+  let u = userOf(req);
+  if (!u && req.get("X-SA-KEY")) u = req.user = saKeyUser(req);
+  if (!u) return res.status(401).json({ ok: false, code: "unauthorized" });
+  if (u.role !== "SA") return res.status(403).json({ ok: false, code: "forbidden", required_role: "SA" });
+  req.is_sa = true;
+  req.actor = actorOf(u);
+  next();
+}
+
+export function requireFranchisee(req, res, next) {
+  if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: "auth_secret_not_set" });
+  const u = userOf(req);
+  if (!u) return res.status(401).json({ ok: false, code: "unauthorized" });
+  if (u.role !== "FRANCHISEE") return res.status(403).json({ ok: false, code: "forbidden", required_role: "FRANCHISEE" });
+  req.franchisee_id = u.franchisee_id;
+  next();
+}
+
+/**
+ * Outlet owner or one of its installers. req.franchisee_id is the outlet,
+ * req.installer_id the installer's user id (null for the owner).
+ */
+export function requireFranchiseeOrInstaller(req, res, next) {
+  if (!AUTH_SECRET) return res.status(500).json({ ok: false, code: "auth_secret_not_set" });
+  const u = userOf(req);
+  if (!u) return res.status(401).json({ ok: false, code: "unauthorized" });
+  if (!OUTLET_ROLES.includes(u.role)) return res.status(403).json({ ok: false, code: "forbidden", required_role: OUTLET_ROLES });
+  req.franchisee_id = u.franchisee_id;
+  req.installer_id = u.role === "INSTALLER" ? u.id : null;
+  req.actor = actorOf(u);
+  next();
+}
+
+/**
+ * SA or franchisee token. Sets req.actor for audit columns
+ * ("sa:<username>" or "franchisee:<id>"); req.franchisee_id is only set for
+ * franchisees, so handlers scope by it when present.
+ */
+export function requireFranchiseeOrSA(req, res, next) {
+  const u = userOf(req) || (req.get("X-SA-KEY") ? saKeyUser(req) : null);
+  if (u?.role === "SA") return requireSA(req, res, next);
+  return requireFranchisee(req, res, () => {
+    req.actor = `franchisee:${req.franchisee_id}`;
+    next();
+  });
+}
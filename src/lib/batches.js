@@ -0,0 +1,195 @@
+// src/lib/batches.js
+// Sealant batch / lot tracking (db/migrations/20261019_sealant_batches.sql).
+//
+// Batch stock is a sub-ledger of the inventory stock column: every franchisee
+// has litres per batch in franchisee_batch_stock, and whatever the stock column
+// holds beyond their sum is "untracked" (stock from before batch tracking, or
+// returned through a credit note). Callers move the stock column with
+// moveStock() first and then move batches here, in the same transaction.
+//
+// Outgoing stock takes untracked litres first (it predates every batch), then
+// batches first-expiry-first-out. Expired batches are never used for
+// installations or transfers; only adjustments (write-offs) may take them.
+
+import { getStock, moveStock } from "../inventory.js";
+import { istDateISO } from "./istPeriod.js";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const BATCH_RE = /^[A-Za-z0-9][A-Za-z0-9/_-]{0,39}$/;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+export function normaliseBatchNumber(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  if (!BATCH_RE.test(s)) throw fail("bad_batch_number");
+  return s;
+}
+
+/**
+ * Validate a batch master body.
+ * @returns {{batchNumber:string, manufacturedOn:string, expiresOn:string, note:string|null}}
+ */
+export function normaliseBatch(body) {
+  const b = body || {};
+  const batchNumber = normaliseBatchNumber(b.batch_number);
+  const manufacturedOn = String(b.manufactured_on ?? "").trim();
+  const expiresOn = String(b.expires_on ?? "").trim();
+  const okDate = (d) => DATE_RE.test(d) && !isNaN(Date.parse(`${d}T00:00:00Z`));
+  if (!okDate(manufacturedOn)) throw fail("bad_manufactured_on");
+  if (!okDate(expiresOn)) throw fail("bad_expires_on");
+  if (expiresOn <= manufacturedOn) throw fail("expiry_before_manufacture");
+  return { batchNumber, manufacturedOn, expiresOn, note: String(b.note ?? "").trim() || null };
+}
+
+const BATCH_COLS = `batch_number, manufactured_on::text AS manufactured_on, expires_on::text AS expires_on, note, created_by, created_at`;
+
+export async function getBatch(client, batchNumber) {
+  const r = await client.query(`SELECT ${BATCH_COLS} FROM public.sealant_batches WHERE batch_number=$1`, [batchNumber]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Register a batch; registering it again with the same dates is a no-op.
+ * @returns {Promise<{batch:object, created:boolean}>}
+ */
+export async function registerBatch(client, { batchNumber, manufacturedOn, expiresOn, note = null, actor }) {
+  const r = await client.query(
+    `INSERT INTO public.sealant_batches (batch_number, manufactured_on, expires_on, note, created_by)
+     VALUES ($1,$2,$3,$4,$5)
+     ON CONFLICT (batch_number) DO NOTHING
+     RETURNING ${BATCH_COLS}`,
+    [batchNumber, manufacturedOn, expiresOn, note, actor]
+  );
+  if (r.rowCount) return { batch: r.rows[0], created: true };
+  const batch = await getBatch(client, batchNumber);
+  if (batch.manufactured_on !== manufacturedOn || batch.expires_on !== expiresOn) {
+    throw fail("batch_mismatch", 409, { batch });
+  }
+  return { batch, created: false };
+}
+
+/** Add litres of a registered batch to a franchisee's batch stock. */
+export async function creditBatch(client, { franchiseeId, batchNumber, litres }) {
+  if (!(await getBatch(client, batchNumber))) throw fail("unknown_batch", 404, { batch_number: batchNumber });
+  const r = await client.query(
+    `INSERT INTO public.franchisee_batch_stock (franchisee_id, batch_number, litres_received, litres_remaining)
+     VALUES ($1,$2,$3,$3)
+     ON CONFLICT (franchisee_id, batch_number) DO UPDATE
+        SET litres_received = franchisee_batch_stock.litres_received + EXCLUDED.litres_received,
+            litres_remaining = franchisee_batch_stock.litres_remaining + EXCLUDED.litres_remaining,
+            updated_at = NOW()
+     RETURNING *`,
+    [franchiseeId, batchNumber, round3(litres)]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Take `litres` out of a franchisee's batch stock (after the stock column has
+ * already been debited). availableBefore = stock column before the debit.
+ * @param {object} p
+ * @param {string} [p.batchNumber]        take from this batch only
+ * @param {boolean} [p.allowExpired]      adjustments / write-offs only
+ * @returns {Promise<{ok:true, untracked_litres:number, batches:{batch_number:string, litres:number, expires_on:string}[]}
+ *                  |{ok:false, code:string, usable_litres?:number, expired_litres?:number}>}
+ */
+export async function takeStock(client, { franchiseeId, litres, availableBefore, batchNumber = null, allowExpired = false }) {
+  const rows = (await client.query(
+    `SELECT s.id, s.batch_number, s.litres_remaining::float AS remaining, b.expires_on::text AS expires_on
+       FROM public.franchisee_batch_stock s
+       JOIN public.sealant_batches b ON b.batch_number = s.batch_number
+      WHERE s.franchisee_id=$1 AND s.litres_remaining > 0
+      ORDER BY b.expires_on, s.batch_number
+      FOR UPDATE OF s`,
+    [franchiseeId]
+  )).rows;
+  const today = istDateISO(new Date());
+  const tracked = round3(rows.reduce((t, r) => t + r.remaining, 0));
+
+  let need = round3(litres), untracked = 0, candidates;
+  if (batchNumber) {
+    candidates = rows.filter((r) => r.batch_number === batchNumber);
+    const have = round3(candidates.reduce((t, r) => t + r.remaining, 0));
+    if (have < need) return { ok: false, code: "batch_insufficient", batch_number: batchNumber, usable_litres: have };
+  } else {
+    untracked = Math.min(need, Math.max(0, round3(availableBefore - tracked)));
+    need = round3(need - untracked);
+    candidates = allowExpired ? rows : rows.filter((r) => r.expires_on >= today);
+    const usable = round3(candidates.reduce((t, r) => t + r.remaining, 0));
+    if (usable < need) {
+      return {
+        ok: false, code: "insufficient_unexpired_stock",
+        usable_litres: round3(usable + untracked), expired_litres: round3(tracked - usable),
+      };
+    }
+  }
+
+  const taken = [];
+  for (const r of candidates) {
+    if (need <= 0) break;
+    const take = round3(Math.min(need, r.remaining));
+    await client.query(
+      `UPDATE public.franchisee_batch_stock SET litres_remaining = litres_remaining - $2, updated_at = NOW() WHERE id=$1`,
+      [r.id, take]
+    );
+    taken.push({ batch_number: r.batch_number, litres: take, expires_on: r.expires_on });
+    need = round3(need - take);
+  }
+  return { ok: true, untracked_litres: untracked, batches: taken };
+}
+
+/**
+ * Installation consumption: debit the stock column (ledger kind "consumption"),
+ * pick batches FEFO and record them on the installation. The installation's own
+ * reservation counts towards the litres; other started jobs' reservations stay covered.
+ * @returns {Promise<{ok:true, available_litres:number, movement:object, batches:object[]}|{ok:false, code:string}>}
+ */
+export async function consumeForInstallation(client, mapping, { franchiseeId, installationId, litres, actor, note = null }) {
+  const mv = await moveStock(client, mapping, {
+    franchiseeId, kind: "consumption", litres: -litres,
+    sourceType: "installation", sourceId: installationId, actor, note, reservedFor: installationId,
+  });
+  if (!mv.ok) return mv;
+  const took = await takeStock(client, { franchiseeId, litres, availableBefore: mv.available_litres + litres });
+  if (!took.ok) return took;
+  for (const b of took.batches) {
+    await client.query(
+      `INSERT INTO public.installation_batches (installation_id, franchisee_id, batch_number, litres) VALUES ($1,$2,$3,$4)`,
+      [installationId, franchiseeId, b.batch_number, b.litres]
+    );
+  }
+  await client.query(`UPDATE public.installations SET batch_numbers=$2 WHERE id=$1`, [installationId, took.batches.map((b) => b.batch_number)]);
+  return { ...mv, batches: took.batches };
+}
+
+/**
+ * A franchisee's open batch stock with expiry, plus untracked litres.
+ * @returns {Promise<{tracked_litres:number, untracked_litres:number, items:object[]}>}
+ */
+export async function loadBatchStock(client, mapping, franchiseeId) {
+  const stock = round3(await getStock(client, mapping, franchiseeId));
+  const r = await client.query(
+    `SELECT s.batch_number, s.litres_received::float AS litres_received, s.litres_remaining::float AS litres_remaining,
+            b.manufactured_on::text AS manufactured_on, b.expires_on::text AS expires_on, s.first_received_at
+       FROM public.franchisee_batch_stock s
+       JOIN public.sealant_batches b ON b.batch_number = s.batch_number
+      WHERE s.franchisee_id=$1 AND s.litres_remaining > 0
+      ORDER BY b.expires_on, s.batch_number`,
+    [franchiseeId]
+  );
+  const todayMs = Date.parse(`${istDateISO(new Date())}T00:00:00Z`);
+  const items = r.rows.map((row) => {
+    const days = Math.round((Date.parse(`${row.expires_on}T00:00:00Z`) - todayMs) / 86400000);
+    return { ...row, days_to_expiry: days, expired: days < 0 };
+  });
+  const tracked = round3(items.reduce((t, i) => t + i.litres_remaining, 0));
+  return { tracked_litres: tracked, untracked_litres: Math.max(0, round3(stock - tracked)), items };
+}
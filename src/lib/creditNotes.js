@@ -0,0 +1,149 @@
+// src/lib/creditNotes.js
+// Credit notes against issued invoices (full cancellation or partial credit).
+//
+// issueCreditNote() runs inside the caller's transaction: it locks the invoice,
+// numbers the note in series "CN" (src/lib/invoiceNumbering.js), puts litres
+// back into the franchisee's inventory row and updates the invoice status and
+// balance due (src/lib/payments.js).
+// Only stock that was actually taken out is put back: the litres consumed by the
+// invoice's completed installation, less what earlier credit notes returned.
+// An invoice without one (billed without a stock deduction) credits money only.
+// Referral reversal is left to the caller, after COMMIT.
+
+import { allocateInvoiceNumber } from "./invoiceNumbering.js";
+import { splitGst } from "./tax.js";
+import { refreshPaymentStatus } from "./payments.js";
+import { creditStockAndReturn, getInventoryMapping } from "../inventory.js";
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+/** Litres the invoice's completed installation consumed and no credit note has returned yet. */
+async function restockableLitres(client, inv) {
+  const r = await client.query(
+    `SELECT COALESCE(SUM(used_litres),0)::float AS used
+       FROM public.installations
+      WHERE (invoice_id=$1 OR id=$2) AND status='completed'`,
+    [inv.id, inv.installation_id || null]
+  );
+  const back = await client.query(
+    `SELECT COALESCE(SUM(litres_returned),0)::float AS litres FROM public.credit_notes WHERE invoice_id=$1`,
+    [inv.id]
+  );
+  return Math.max(0, round3(r.rows[0].used - back.rows[0].litres));
+}
+
+/**
+ * @param {import("pg").PoolClient} client  (inside BEGIN)
+ * @param {object} p
+ * @param {number} p.invoiceId
+ * @param {string|null} p.franchiseeId      caller's franchisee (null for SA)
+ * @param {"cancellation"|"partial"} p.kind
+ * @param {string} p.reason
+ * @param {string} p.actor                  e.g. "franchisee:TS-HR-GGM-001" / "sa:alice"
+ * @param {number} [p.litres]               partial only: litres being credited
+ * @param {number} [p.amountBeforeGst]      partial only: taxable value being credited
+ * @param {boolean} [p.restock=true]        credit consumed litres back to inventory
+ * @returns {Promise<{credit_note:object, invoice:object}>}
+ */
+export async function issueCreditNote(client, { invoiceId, franchiseeId = null, kind, reason, actor, litres, amountBeforeGst, restock = true }) {
+  const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 FOR UPDATE`, [invoiceId]);
+  if (!ir.rowCount) throw fail("not_found", 404);
+  const inv = ir.rows[0];
+  const frid = inv.franchisee_id || inv.franchisee_code;
+  if (franchiseeId && frid !== franchiseeId) throw fail("wrong_owner", 403);
+  if (inv.status === "cancelled") throw fail("already_cancelled", 409);
+
+  const credited = await client.query(
+    `SELECT COALESCE(SUM(gst_amount),0)::float AS gst FROM public.credit_notes WHERE invoice_id=$1`,
+    [invoiceId]
+  );
+  const remainingAmount = round2(Number(inv.total_before_gst || 0) - Number(inv.credited_amount || 0));
+  const remainingGst = round2(Number(inv.gst_amount || 0) - Number(credited.rows[0].gst || 0));
+  const remainingLitres = round3(Number(inv.dosage_ml || 0) / 1000 - Number(inv.credited_litres || 0));
+  const gstRate = Number(inv.gst_rate ?? 18);
+
+  let amount, gst, creditLitres;
+  if (kind === "cancellation") {
+    amount = remainingAmount;
+    gst = remainingGst;
+    creditLitres = Math.max(0, remainingLitres);
+  } else {
+    creditLitres = litres == null ? 0 : round3(litres);
+    if (!Number.isFinite(creditLitres) || creditLitres < 0) throw fail("bad_litres");
+    if (creditLitres > remainingLitres) throw fail("litres_exceed_invoice", 400, { remaining_litres: remainingLitres });
+    amount = amountBeforeGst != null
+      ? round2(amountBeforeGst)
+      : round2(creditLitres * 1000 * Number(inv.price_per_ml || 0));
+    if (!Number.isFinite(amount) || amount <= 0) throw fail("bad_amount");
+    if (amount > remainingAmount) throw fail("amount_exceeds_invoice", 400, { remaining_amount: remainingAmount });
+    gst = amount === remainingAmount ? remainingGst : round2(amount * gstRate / 100);
+  }
+
+  const taxMode = String(inv.tax_mode || "").toUpperCase().includes("IGST") ? "IGST" : "CGST+SGST";
+  const split = splitGst(gst, taxMode);
+  const num = await allocateInvoiceNumber(client, frid, { series: "CN" });
+
+  let inventoryAfter = null;
+  const restockLitres = restock ? Math.min(creditLitres, await restockableLitres(client, inv)) : 0;
+  if (restockLitres > 0) {
+    const up = await creditStockAndReturn(client, await getInventoryMapping(client), frid, restockLitres, {
+      kind: "reversal", sourceType: "credit_note", sourceId: num.invoice_number, actor,
+      note: `Invoice ${inv.invoice_number || inv.id}`,
+    });
+    if (!up.rowCount) throw fail("inventory_row_missing");
+    inventoryAfter = Number(up.rows[0].available_litres);
+  }
+
+  const lineItems = [{
+    kind: "credit",
+    description: kind === "cancellation"
+      ? `Cancellation of invoice ${inv.invoice_number || inv.id}`
+      : `Credit against invoice ${inv.invoice_number || inv.id}`,
+    hsn_code: inv.hsn_code || null,
+    qty: round3(creditLitres * 1000),
+    unit: "ml",
+    amount,
+  }];
+
+  const cn = await client.query(
+    `INSERT INTO public.credit_notes
+       (invoice_id, franchisee_id, kind, credit_note_number, credit_note_number_norm, credit_note_seq, credit_note_fy,
+        reason, litres_returned, line_items, total_before_gst, gst_rate, gst_amount, tax_mode,
+        cgst_amount, sgst_amount, igst_amount, total_with_gst, inventory_after_litres, referral_reversal_status, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,'pending',$20)
+     RETURNING *`,
+    [invoiceId, frid, kind, num.invoice_number, num.invoice_number_norm, num.invoice_seq, num.invoice_fy,
+     reason, restockLitres, JSON.stringify(lineItems), amount, gstRate, gst, taxMode,
+     split.cgst_amount, split.sgst_amount, split.igst_amount, round2(amount + gst), inventoryAfter, actor]
+  );
+
+  const fullyCredited = kind === "cancellation" || round2(remainingAmount - amount) <= 0;
+  const up = await client.query(
+    `UPDATE public.invoices
+        SET credited_amount = credited_amount + $2,
+            credited_litres = credited_litres + $3,
+            status = $4,
+            cancelled_at = CASE WHEN $4 = 'cancelled' THEN NOW() ELSE cancelled_at END,
+            cancel_reason = CASE WHEN $4 = 'cancelled' THEN $5 ELSE cancel_reason END
+      WHERE id = $1
+      RETURNING id, invoice_number, status, credited_amount, credited_litres, cancelled_at`,
+    [invoiceId, amount, creditLitres, fullyCredited ? "cancelled" : "partially_credited", reason]
+  );
+
+  const pay = await refreshPaymentStatus(client, invoiceId);
+
+  return {
+    credit_note: cn.rows[0],
+    invoice: { ...up.rows[0], customer_code: inv.customer_code, payment_status: pay.payment_status, balance_due: pay.balance_due },
+  };
+}
@@ -0,0 +1,100 @@
+// src/lib/dosage.js
+// Tyre-size-driven dosage + invoice line items (used by POST /api/invoices/full)
+//
+// Dosage per tyre comes from the `dosage_rules` table
+// (db/migrations/20261019_dosage_rules_and_line_items.sql). If no rule matches,
+// DEFAULT_DOSAGE_ML_PER_TYRE is used and the result is flagged source="default".
+
+const DEFAULT_ML_PER_TYRE = Number(process.env.DEFAULT_DOSAGE_ML_PER_TYRE || 300);
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Map free-text vehicle type labels (as sent by the tablet UI or printed on the
+ * v46 PDF, e.g. "4-Wheeler (Car/Van/SUV)") to a dosage_rules category code.
+ * @param {string} raw
+ * @returns {"2W"|"3W"|"4W"|"LCV"|"HCV"}
+ */
+export function normaliseVehicleCategory(raw) {
+  const s = String(raw || "").trim().toUpperCase();
+  if (!s) return "4W";
+  if (["2W", "3W", "4W", "LCV", "HCV"].includes(s)) return s;
+  if (/\bHCV\b|HEAVY|TRUCK|BUS|TRAILER/.test(s)) return "HCV";
+  if (/\bLCV\b|LIGHT COMM|PICK-?UP|TEMPO/.test(s)) return "LCV";
+  if (/^2|TWO|BIKE|SCOOTER|MOTORCYCLE/.test(s)) return "2W";
+  if (/^3|THREE|AUTO|RICKSHAW/.test(s)) return "3W";
+  return "4W";
+}
+
+/**
+ * Find the dosage rule for one tyre.
+ * @param {import("pg").PoolClient} client
+ * @param {{category:string, widthMm:number, aspectRatio:number, rimIn:number}} tyre
+ * @returns {Promise<{rule_id:number|null, ml_per_tyre:number, source:"table"|"default"}>}
+ */
+export async function lookupDosage(client, { category, widthMm, aspectRatio, rimIn }) {
+  const r = await client.query(
+    `SELECT id, ml_per_tyre::float AS ml_per_tyre
+       FROM public.dosage_rules
+      WHERE active
+        AND vehicle_category = $1
+        AND (min_width_mm     IS NULL OR $2::numeric >= min_width_mm)
+        AND (max_width_mm     IS NULL OR $2::numeric <= max_width_mm)
+        AND (min_aspect_ratio IS NULL OR $3::numeric >= min_aspect_ratio)
+        AND (max_aspect_ratio IS NULL OR $3::numeric <= max_aspect_ratio)
+        AND (min_rim_in       IS NULL OR $4::numeric >= min_rim_in)
+        AND (max_rim_in       IS NULL OR $4::numeric <= max_rim_in)
+      ORDER BY priority DESC,
+               COALESCE(max_rim_in, 99) - COALESCE(min_rim_in, 0) ASC,
+               id ASC
+      LIMIT 1`,
+    [category, widthMm, aspectRatio, rimIn]
+  );
+  if (r.rowCount) {
+    return { rule_id: Number(r.rows[0].id), ml_per_tyre: Number(r.rows[0].ml_per_tyre), source: "table" };
+  }
+  return { rule_id: null, ml_per_tyre: DEFAULT_ML_PER_TYRE, source: "default" };
+}
+
+/**
+ * Build invoice line items and derived totals.
+ * Sealant + installation charges − discount = total_before_gst; GST on top.
+ * @param {object} p
+ * @param {number} p.mlPerTyre
+ * @param {number} p.tyreCount
+ * @param {number} p.pricePerMl
+ * @param {number} [p.installationCharges=0]
+ * @param {number} [p.discountAmount=0]
+ * @param {number} [p.gstRate=18]
+ * @param {string} [p.hsnCode]
+ * @returns {{line_items:object[], dosage_ml:number, total_before_gst:number, gst_amount:number, total_with_gst:number}}
+ */
+export function buildLineItems({ mlPerTyre, tyreCount, pricePerMl, installationCharges = 0, discountAmount = 0, gstRate = 18, hsnCode }) {
+  const dosage_ml = Math.round(Number(mlPerTyre) * Number(tyreCount) * 10) / 10;
+  const sealantAmount = round2(dosage_ml * Number(pricePerMl));
+  const install = round2(installationCharges);
+  const discount = round2(discountAmount);
+
+  const line_items = [
+    {
+      kind: "sealant",
+      description: "MaxTT Tyre Sealant",
+      hsn_code: hsnCode || null,
+      qty: dosage_ml,
+      unit: "ml",
+      rate: Number(pricePerMl),
+      amount: sealantAmount,
+    },
+  ];
+  if (install > 0) {
+    line_items.push({ kind: "installation", description: "Installation Charges", qty: Number(tyreCount), unit: "tyre", rate: round2(install / Number(tyreCount)), amount: install });
+  }
+  if (discount > 0) {
+    line_items.push({ kind: "discount", description: "Discount", qty: 1, unit: "lot", rate: -discount, amount: -discount });
+  }
+
+  const total_before_gst = round2(line_items.reduce((s, li) => s + li.amount, 0));
+  const gst_amount = round2(total_before_gst * Number(gstRate) / 100);
+  const total_with_gst = round2(total_before_gst + gst_amount);
+  return { line_items, dosage_ml, total_before_gst, gst_amount, total_with_gst };
+}
@@ -0,0 +1,228 @@
+// src/lib/einvoice.js
+// E-invoice (NIC schema INV-01, version 1.1) for invoices with a customer GSTIN.
+//
+// buildEInvoicePayload() maps invoice + franchisee rows to the schema and lists
+// what is missing; generateEInvoice() submits through the configured IRP
+// adapter (src/lib/irpAdapter.js) and stores IRN / ack / signed QR on the
+// invoice. DocDtls.No is the invoice's irp_doc_no ({FY}/{SEQ} by default,
+// src/lib/invoiceNumbering.js), since the printed number is usually longer
+// than the IRP's 16 characters. cancelEInvoiceForInvoice() is called from the invoice cancel flow:
+// the IRP only allows IRN cancellation within 24h of acknowledgement, after
+// that the credit note stands on its own.
+
+import { IRP_DOC_NO_RE } from "./invoiceNumbering.js";
+import { getIrpAdapter } from "./irpAdapter.js";
+import { GSTIN_RE, resolveStateCode, splitGst } from "./tax.js";
+
+export const IRN_CANCEL_WINDOW_HOURS = 24;
+const PIN_RE = /^[1-9][0-9]{5}$/;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const clip = (v, max) => {
+  const s = String(v ?? "").trim();
+  return s ? s.slice(0, max) : null;
+};
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+function docDate(iso) {
+  const d = new Date(new Date(iso || Date.now()).getTime() + 330 * 60 * 1000);
+  return `${String(d.getUTCDate()).padStart(2, "0")}/${String(d.getUTCMonth() + 1).padStart(2, "0")}/${d.getUTCFullYear()}`;
+}
+
+/**
+ * @param {object} inv     invoices row
+ * @param {object} fr      franchisees row (seller)
+ * @param {object} [buyer] overrides for buyer fields the invoice does not carry
+ *                         { legal_name, address1, address2, location, pincode, phone, email }
+ * @returns {{payload:object, errors:string[]}}
+ */
+export function buildEInvoicePayload(inv, fr, buyer = {}) {
+  const errors = [];
+  const sellerGstin = String(fr?.gstin || "").toUpperCase();
+  const buyerGstin = String(inv.customer_gstin || "").toUpperCase();
+  if (!GSTIN_RE.test(sellerGstin)) errors.push("seller_gstin");
+  if (!GSTIN_RE.test(buyerGstin)) errors.push("buyer_gstin");
+
+  // Short document number allocated with the invoice; older rows fall back to the printed number
+  const docNo = String(inv.irp_doc_no || inv.invoice_number || "").toUpperCase();
+  if (!IRP_DOC_NO_RE.test(docNo)) errors.push("doc_no_format");
+
+  const sellerStcd = resolveStateCode(sellerGstin) || resolveStateCode(fr?.state_code);
+  const buyerStcd = resolveStateCode(buyerGstin);
+  const pos = resolveStateCode(inv.place_of_supply_code || inv.place_of_supply) || buyerStcd;
+
+  const sellerPin = String(fr?.pincode || "").trim();
+  const buyerPin = String(buyer.pincode || "").trim();
+  if (!PIN_RE.test(sellerPin)) errors.push("seller_pincode");
+  if (!PIN_RE.test(buyerPin)) errors.push("buyer_pincode");
+  if (!clip(fr?.address1, 100)) errors.push("seller_address1");
+  if (!clip(fr?.city, 50)) errors.push("seller_location");
+  const buyerName = clip(buyer.legal_name || inv.customer_name, 100);
+  const buyerAddr = clip(buyer.address1 || inv.customer_address, 100);
+  const buyerLoc = clip(buyer.location, 100);
+  if (!buyerName) errors.push("buyer_legal_name");
+  if (!buyerAddr) errors.push("buyer_address1");
+  if (!buyerLoc) errors.push("buyer_location");
+
+  const isIGST = String(inv.tax_mode || "").toUpperCase().includes("IGST");
+  const gstRate = Number(inv.gst_rate ?? 18);
+  const assVal = round2(inv.total_before_gst);
+  const split = inv.cgst_amount != null || inv.igst_amount != null
+    ? { cgst_amount: round2(inv.cgst_amount), sgst_amount: round2(inv.sgst_amount), igst_amount: round2(inv.igst_amount) }
+    : splitGst(inv.gst_amount, isIGST ? "IGST" : "CGST+SGST");
+
+  // Invoice line items carry sealant / installation / discount; INV-01 wants
+  // one goods line at the assessable value, with the discount inside it.
+  const items = Array.isArray(inv.line_items) ? inv.line_items : [];
+  const gross = round2(items.filter((li) => li.kind !== "discount").reduce((s, li) => s + Number(li.amount || 0), 0)) || assVal;
+  const discount = round2(gross - assVal);
+  const qty = Number(inv.dosage_ml || 0);
+  const totItemVal = round2(assVal + split.cgst_amount + split.sgst_amount + split.igst_amount);
+
+  const payload = {
+    Version: "1.1",
+    TranDtls: { TaxSch: "GST", SupTyp: "B2B", RegRev: "N", EcmGstin: null, IgstOnIntra: "N" },
+    DocDtls: { Typ: "INV", No: docNo, Dt: docDate(inv.created_at) },
+    SellerDtls: {
+      Gstin: sellerGstin,
+      LglNm: clip(fr?.legal_name, 100),
+      Addr1: clip(fr?.address1, 100),
+      Addr2: clip(fr?.address2, 100),
+      Loc: clip(fr?.city, 50),
+      Pin: Number(sellerPin) || null,
+      Stcd: sellerStcd,
+      Ph: clip(String(fr?.phone || "").replace(/\D+/g, ""), 12),
+      Em: clip(fr?.email, 100),
+    },
+    BuyerDtls: {
+      Gstin: buyerGstin,
+      LglNm: buyerName,
+      Pos: pos,
+      Addr1: buyerAddr,
+      Addr2: clip(buyer.address2, 100),
+      Loc: buyerLoc,
+      Pin: Number(buyerPin) || null,
+      Stcd: buyerStcd,
+      Ph: clip(String(buyer.phone || inv.mobile_number || "").replace(/\D+/g, ""), 12),
+      Em: clip(buyer.email, 100),
+    },
+    ItemList: [{
+      SlNo: "1",
+      PrdDesc: "MaxTT Tyre Sealant (incl. installation)",
+      IsServc: "N",
+      HsnCd: String(inv.hsn_code || "35069999"),
+      Qty: qty,
+      Unit: "MLT",
+      UnitPrice: qty > 0 ? round2(gross / qty) : gross,
+      TotAmt: gross,
+      Discount: discount > 0 ? discount : 0,
+      AssAmt: assVal,
+      GstRt: gstRate,
+      IgstAmt: split.igst_amount,
+      CgstAmt: split.cgst_amount,
+      SgstAmt: split.sgst_amount,
+      TotItemVal: totItemVal,
+    }],
+    ValDtls: {
+      AssVal: assVal,
+      CgstVal: split.cgst_amount,
+      SgstVal: split.sgst_amount,
+      IgstVal: split.igst_amount,
+      TotInvVal: round2(inv.total_with_gst ?? totItemVal),
+    },
+  };
+  return { payload, errors };
+}
+
+async function logSubmission(client, { invoiceId, action, provider, ok, request, response, error, actor }) {
+  await client.query(
+    `INSERT INTO public.einvoice_submissions (invoice_id, action, provider, ok, request, response, error, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+    [invoiceId, action, provider, ok, request ? JSON.stringify(request) : null, response ? JSON.stringify(response) : null, error || null, actor || null]
+  );
+}
+
+/**
+ * Generate the IRN for one invoice. Runs inside the caller's transaction; on an
+ * adapter error the failure is recorded on the invoice and thrown as 502, so the
+ * caller should still COMMIT (e.extra.commit === true) to keep the record.
+ * @param {import("pg").PoolClient} client  (inside BEGIN)
+ * @returns {Promise<{invoice:object, payload:object}>}
+ */
+export async function generateEInvoice(client, { invoiceId, franchiseeId = null, buyer = {}, actor }) {
+  const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 FOR UPDATE`, [invoiceId]);
+  if (!ir.rowCount) throw fail("not_found", 404);
+  const inv = ir.rows[0];
+  const frid = inv.franchisee_id || inv.franchisee_code;
+  if (franchiseeId && frid !== franchiseeId) throw fail("wrong_owner", 403);
+  if (!inv.customer_gstin) throw fail("einvoice_requires_customer_gstin");
+  if (inv.status === "cancelled") throw fail("invoice_cancelled", 409);
+  if (inv.irn && inv.einvoice_status === "generated") throw fail("irn_already_generated", 409, { irn: inv.irn });
+  if (inv.einvoice_status === "cancelled") throw fail("irn_cancelled", 409, { irn: inv.irn });
+
+  const fq = await client.query(`SELECT * FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [frid]);
+  const { payload, errors } = buildEInvoicePayload(inv, fq.rows[0] || null, buyer);
+  if (errors.length) throw fail("einvoice_payload_invalid", 422, { missing_or_invalid: errors });
+
+  const adapter = getIrpAdapter();
+  let out;
+  try {
+    out = await adapter.generateIrn(payload);
+  } catch (e) {
+    const msg = e?.code || e?.message || String(e);
+    await logSubmission(client, { invoiceId, action: "generate", provider: adapter.name, ok: false, request: payload, response: e?.details, error: msg, actor });
+    await client.query(`UPDATE public.invoices SET einvoice_status='failed', einvoice_error=$2, irn_provider=$3 WHERE id=$1`, [invoiceId, msg, adapter.name]);
+    throw fail("irp_generate_failed", 502, { message: msg, commit: true });
+  }
+
+  await logSubmission(client, { invoiceId, action: "generate", provider: adapter.name, ok: true, request: payload, response: out, actor });
+  const up = await client.query(
+    `UPDATE public.invoices
+        SET einvoice_status='generated', irn=$2, irn_ack_no=$3, irn_ack_date=$4, irn_signed_qr=$5,
+            irn_provider=$6, einvoice_error=NULL
+      WHERE id=$1
+      RETURNING id, invoice_number, irp_doc_no, einvoice_status, irn, irn_ack_no, irn_ack_date, irn_signed_qr, irn_provider`,
+    [invoiceId, out.irn, String(out.ack_no), out.ack_date, out.signed_qr, adapter.name]
+  );
+  return { invoice: up.rows[0], payload };
+}
+
+/**
+ * Part of invoice cancellation (routes/creditNotes.js), inside its transaction.
+ * Cancels the IRN when one is active and still inside the IRP window; adapter
+ * errors propagate so the whole cancellation rolls back.
+ * @returns {Promise<{irn:string|null, cancelled:boolean, reason?:string}>}
+ */
+export async function cancelEInvoiceForInvoice(client, { invoiceId, reason, reasonCode = "4", actor }) {
+  const ir = await client.query(
+    `SELECT id, irn, irn_ack_date, einvoice_status FROM public.invoices WHERE id=$1 FOR UPDATE`,
+    [invoiceId]
+  );
+  const inv = ir.rows[0];
+  if (!inv?.irn || inv.einvoice_status !== "generated") return { irn: null, cancelled: false, reason: "no_active_irn" };
+  const ageMs = Date.now() - new Date(inv.irn_ack_date).getTime();
+  if (ageMs > IRN_CANCEL_WINDOW_HOURS * 3600 * 1000) return { irn: inv.irn, cancelled: false, reason: "irn_cancel_window_elapsed" };
+
+  const adapter = getIrpAdapter();
+  const request = { irn: inv.irn, reasonCode: String(reasonCode), remark: clip(reason, 100) };
+  let out;
+  try {
+    out = await adapter.cancelIrn(request);
+  } catch (e) {
+    throw fail("irp_cancel_failed", 502, { message: e?.code || e?.message || String(e) });
+  }
+  await logSubmission(client, { invoiceId, action: "cancel", provider: adapter.name, ok: true, request, response: out, actor });
+  await client.query(
+    `UPDATE public.invoices SET einvoice_status='cancelled', irn_cancelled_at=$2 WHERE id=$1`,
+    [invoiceId, out.cancelled_at || new Date().toISOString()]
+  );
+  return { irn: inv.irn, cancelled: true };
+}
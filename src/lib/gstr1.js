@@ -0,0 +1,216 @@
+// src/lib/gstr1.js
+// GSTR-1 JSON (GST offline-tool schema) for one franchisee GSTIN and one IST month.
+//
+// Sections:
+//   b2b       invoices with a customer GSTIN, grouped by ctin
+//   b2cl      inter-state B2C invoices above GSTR1_B2CL_THRESHOLD (default 100000)
+//   b2cs      remaining B2C supplies grouped by place of supply + rate
+//   cdnr      credit notes against B2B invoices (B2C credit notes net into b2cs)
+//   hsn       HSN summary (hsn_code / gst_rate / gst_amount / total_before_gst)
+//   doc_issue invoice + credit note number ranges, with cancellations
+//
+// An invoice issued and cancelled within the same month is left out of the
+// supply tables and counted as cancelled in doc_issue; its credit notes are not
+// reported again. Later cancellations show up as credit notes in their month.
+
+import { istMonthBounds, istDateDMY } from "./istPeriod.js";
+import { GSTIN_RE, resolveStateCode, splitGst } from "./tax.js";
+
+const B2CL_THRESHOLD = Number(process.env.GSTR1_B2CL_THRESHOLD || 100000);
+const GSTR1_VERSION = process.env.GSTR1_SCHEMA_VERSION || "GST3.1.6";
+const HSN_DESC = process.env.GSTR1_HSN_DESC || "Tyre sealant";
+const HSN_UQC = "MLT"; // millilitre; qty comes from dosage_ml
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Tax split of a row, falling back to splitGst() for rows without the split columns. */
+function taxOf(row) {
+  const mode = String(row.tax_mode || "").toUpperCase().includes("IGST") ? "IGST" : "CGST+SGST";
+  const hasSplit = row.cgst_amount != null || row.sgst_amount != null || row.igst_amount != null;
+  const s = hasSplit
+    ? { cgst_amount: round2(row.cgst_amount), sgst_amount: round2(row.sgst_amount), igst_amount: round2(row.igst_amount) }
+    : splitGst(row.gst_amount, mode);
+  return { mode, iamt: s.igst_amount, camt: s.cgst_amount, samt: s.sgst_amount };
+}
+
+function itemDet(row) {
+  const t = taxOf(row);
+  return { txval: round2(row.total_before_gst), rt: Number(row.gst_rate ?? 18), iamt: t.iamt, camt: t.camt, samt: t.samt, csamt: 0 };
+}
+
+/** doc_issue range row; a month never spans two FYs, so each series is one range. */
+function docRange(docs, numberKey) {
+  if (!docs.length) return [];
+  const sorted = [...docs].sort((a, b) => Number(a.seq ?? a.id) - Number(b.seq ?? b.id));
+  const cancel = sorted.filter((d) => d.cancelled).length;
+  return [{
+    num: 1,
+    from: sorted[0][numberKey],
+    to: sorted[sorted.length - 1][numberKey],
+    totnum: sorted.length,
+    cancel,
+    net_issue: sorted.length - cancel,
+  }];
+}
+
+/**
+ * Pure builder (no DB). Rows are invoices / credit notes already limited to the month.
+ * @param {object} p
+ * @param {string} p.gstin                 supplier (franchisee) GSTIN
+ * @param {string} p.supplierStateCode     2-digit code
+ * @param {string} p.monthStr              "YYYY-MM"
+ * @param {string} p.periodEndUtcIso      month end; cancellations after it don't count
+ * @param {object[]} p.invoices
+ * @param {object[]} p.creditNotes         each with invoice_* fields of the original invoice
+ */
+export function buildGstr1({ gstin, supplierStateCode, monthStr, periodEndUtcIso, invoices, creditNotes }) {
+  const fp = `${monthStr.slice(5, 7)}${monthStr.slice(0, 4)}`;
+  const posOf = (row) => resolveStateCode(row.place_of_supply_code || row.place_of_supply) || supplierStateCode;
+  const isB2B = (row) => GSTIN_RE.test(String(row.customer_gstin || "").toUpperCase());
+
+  const end = new Date(periodEndUtcIso).getTime();
+  const isCancelled = (i) => i.status === "cancelled" && i.cancelled_at && new Date(i.cancelled_at).getTime() < end;
+  const live = invoices.filter((i) => !isCancelled(i));
+  const cancelledIds = new Set(invoices.filter(isCancelled).map((i) => String(i.id)));
+
+  const b2bMap = new Map(), b2clMap = new Map(), b2csMap = new Map(), hsnMap = new Map(), cdnrMap = new Map();
+
+  const b2csAdd = (row, sign) => {
+    const pos = posOf(row);
+    const d = itemDet(row);
+    const key = `${pos}|${d.rt}`;
+    const cur = b2csMap.get(key) || {
+      sply_ty: pos === supplierStateCode ? "INTRA" : "INTER", pos, typ: "OE", rt: d.rt,
+      txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0,
+    };
+    for (const k of ["txval", "iamt", "camt", "samt"]) cur[k] = round2(cur[k] + sign * d[k]);
+    b2csMap.set(key, cur);
+  };
+  const hsnAdd = (row, sign, qty) => {
+    const hsn = String(row.hsn_code || "35069999");
+    const d = itemDet(row);
+    const key = `${hsn}|${d.rt}`;
+    const cur = hsnMap.get(key) || { hsn_sc: hsn, desc: HSN_DESC, uqc: HSN_UQC, rt: d.rt, qty: 0, val: 0, txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    cur.qty = round2(cur.qty + sign * qty);
+    cur.val = round2(cur.val + sign * Number(row.total_with_gst || 0));
+    for (const k of ["txval", "iamt", "camt", "samt"]) cur[k] = round2(cur[k] + sign * d[k]);
+    hsnMap.set(key, cur);
+  };
+
+  for (const inv of live) {
+    const pos = posOf(inv);
+    const base = {
+      inum: inv.invoice_number || inv.invoice_number_norm || String(inv.id),
+      idt: istDateDMY(inv.created_at),
+      val: round2(inv.total_with_gst),
+    };
+    const itms = [{ num: 1, itm_det: itemDet(inv) }];
+    if (isB2B(inv)) {
+      const ctin = String(inv.customer_gstin).toUpperCase();
+      const list = b2bMap.get(ctin) || [];
+      list.push({ ...base, pos, rchrg: "N", inv_typ: "R", itms });
+      b2bMap.set(ctin, list);
+    } else if (pos !== supplierStateCode && base.val > B2CL_THRESHOLD) {
+      const list = b2clMap.get(pos) || [];
+      list.push({ ...base, itms });
+      b2clMap.set(pos, list);
+    } else {
+      b2csAdd(inv, 1);
+    }
+    hsnAdd(inv, 1, Number(inv.dosage_ml || 0));
+  }
+
+  for (const cn of creditNotes) {
+    if (cancelledIds.has(String(cn.invoice_id))) continue;
+    const orig = {
+      customer_gstin: cn.invoice_customer_gstin,
+      place_of_supply_code: cn.invoice_place_of_supply_code,
+      place_of_supply: cn.invoice_place_of_supply,
+      hsn_code: cn.invoice_hsn_code,
+    };
+    const row = { ...cn, ...orig };
+    if (isB2B(orig)) {
+      const ctin = String(orig.customer_gstin).toUpperCase();
+      const list = cdnrMap.get(ctin) || [];
+      list.push({
+        ntty: "C",
+        nt_num: cn.credit_note_number,
+        nt_dt: istDateDMY(cn.created_at),
+        val: round2(cn.total_with_gst),
+        pos: posOf(row),
+        rchrg: "N",
+        inv_typ: "R",
+        itms: [{ num: 1, itm_det: itemDet(cn) }],
+      });
+      cdnrMap.set(ctin, list);
+    } else {
+      b2csAdd(row, -1);
+    }
+    hsnAdd(row, -1, Number(cn.litres_returned || 0) * 1000);
+  }
+
+  const out = { gstin, fp, version: GSTR1_VERSION, hash: "hash" };
+  out.b2b = [...b2bMap].map(([ctin, inv]) => ({ ctin, inv }));
+  if (b2clMap.size) out.b2cl = [...b2clMap].map(([pos, inv]) => ({ pos, inv }));
+  out.b2cs = [...b2csMap.values()];
+  if (cdnrMap.size) out.cdnr = [...cdnrMap].map(([ctin, nt]) => ({ ctin, nt }));
+  out.hsn = { data: [...hsnMap.values()].map((h, i) => ({ num: i + 1, ...h })) };
+
+  const invDocs = invoices.map((i) => ({
+    id: i.id, seq: i.invoice_seq, number: i.invoice_number || i.invoice_number_norm || String(i.id), cancelled: isCancelled(i),
+  }));
+  const cnDocs = creditNotes.map((c) => ({ id: c.id, seq: c.credit_note_seq, number: c.credit_note_number, cancelled: false }));
+  const docDet = [];
+  const invRange = docRange(invDocs, "number");
+  if (invRange.length) docDet.push({ doc_num: 1, docs: invRange });
+  const cnRange = docRange(cnDocs, "number");
+  if (cnRange.length) docDet.push({ doc_num: 5, docs: cnRange });
+  out.doc_issue = { doc_det: docDet };
+
+  return out;
+}
+
+/**
+ * Load one franchisee's month and build GSTR-1.
+ * @param {import("pg").PoolClient} client
+ * @param {string} franchiseeId
+ * @param {string} [monthParam]  "YYYY-MM" (default current IST month)
+ * @returns {Promise<{period:object, gstin:string|null, gstr1:object, counts:object}|null>}  null if franchisee unknown
+ */
+export async function loadGstr1(client, franchiseeId, monthParam) {
+  const b = istMonthBounds(monthParam);
+  const fr = await client.query(
+    `SELECT franchisee_id, gstin, state_code FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`,
+    [franchiseeId]
+  );
+  if (!fr.rowCount) return null;
+  const gstin = fr.rows[0].gstin ? String(fr.rows[0].gstin).toUpperCase() : null;
+  const supplierStateCode = resolveStateCode(gstin) || resolveStateCode(fr.rows[0].state_code);
+
+  // invoices.created_at has no time zone (stored as UTC wall time); credit_notes.created_at is timestamptz
+  const inv = await client.query(
+    `SELECT * FROM public.invoices
+      WHERE COALESCE(franchisee_id, franchisee_code)=$1
+        AND created_at >= $2::timestamp AND created_at < $3::timestamp
+      ORDER BY invoice_seq NULLS LAST, id`,
+    [franchiseeId, b.startUtcIso.replace("Z", ""), b.endUtcIso.replace("Z", "")]
+  );
+  const cns = await client.query(
+    `SELECT cn.*, i.customer_gstin AS invoice_customer_gstin, i.place_of_supply_code AS invoice_place_of_supply_code,
+            i.place_of_supply AS invoice_place_of_supply, i.hsn_code AS invoice_hsn_code
+       FROM public.credit_notes cn
+       JOIN public.invoices i ON i.id = cn.invoice_id
+      WHERE cn.franchisee_id=$1
+        AND cn.created_at >= $2::timestamptz AND cn.created_at < $3::timestamptz
+      ORDER BY cn.credit_note_seq, cn.id`,
+    [franchiseeId, b.startUtcIso, b.endUtcIso]
+  );
+
+  const gstr1 = buildGstr1({ gstin, supplierStateCode, monthStr: b.monthStr, periodEndUtcIso: b.endUtcIso, invoices: inv.rows, creditNotes: cns.rows });
+  return {
+    period: { month: b.monthStr, month_from_local: b.startLocal, month_to_local: b.endLocal, tz: b.tz },
+    gstin,
+    gstr1,
+    counts: { invoices: inv.rowCount, credit_notes: cns.rowCount },
+  };
+}
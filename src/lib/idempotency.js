@@ -0,0 +1,145 @@
+// src/lib/idempotency.js
+// Idempotency-Key support for retry-prone POSTs (field tablets on weak links).
+//
+// First request with a key claims it (status in_progress) and its response is
+// stored per franchisee + endpoint. A replay with the same body gets the stored
+// response back unchanged (header Idempotent-Replayed: true); a replay with a
+// different body gets 409 idempotency_key_reused. 5xx responses release the key
+// so the client can retry for real.
+//
+// Handlers that write in a transaction store their success response with
+// saveIdempotentResponse(client, res, status, body) before COMMIT, so the
+// resource and the stored reply commit together: a crash after COMMIT can no
+// longer leave an in_progress key that a retry takes over and runs again.
+// Other responses (validation errors) are stored as they are sent.
+//
+// Env:
+//   IDEMPOTENCY_RETENTION_HOURS   how long keys are kept (default 24)
+//   IDEMPOTENCY_LOCK_SECONDS      in_progress claim considered abandoned after (default 120)
+//   IDEMPOTENCY_CLEANUP_MINUTES   purge interval for startIdempotencyCleanup (default 60)
+
+import crypto from "crypto";
+
+const RETENTION_HOURS = Number(process.env.IDEMPOTENCY_RETENTION_HOURS || 24);
+const LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 120);
+const CLEANUP_MINUTES = Number(process.env.IDEMPOTENCY_CLEANUP_MINUTES || 60);
+const KEY_RE = /^[A-Za-z0-9._:-]{8,255}$/;
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export function requestHash(body) {
+  return crypto.createHash("sha256").update(stableStringify(body || {})).digest("hex");
+}
+
+const COMPLETE_SQL =
+  `UPDATE public.idempotency_keys
+      SET status='completed', response_status=$4, response_body=$5, completed_at=NOW()
+    WHERE franchisee_id=$1 AND endpoint=$2 AND idem_key=$3`;
+
+/**
+ * Store the response for the request's Idempotency-Key on the handler's
+ * transaction client (call right before COMMIT, then send exactly `body`).
+ * No-op when the request carries no key.
+ */
+export async function saveIdempotentResponse(client, res, status, body) {
+  const claim = res.locals?.idempotency;
+  if (!claim) return;
+  await client.query(COMPLETE_SQL, [claim.frid, claim.endpoint, claim.key, status, JSON.stringify(body)]);
+  claim.saved = status;
+}
+
+/**
+ * Express middleware factory.
+ * @param {import("pg").Pool} pool
+ * @param {{endpoint:string, franchiseeOf:(req:any)=>string}} opts
+ */
+export function idempotency(pool, { endpoint, franchiseeOf }) {
+  return async (req, res, next) => {
+    const key = (req.get("Idempotency-Key") || "").trim();
+    if (!key) return next();
+    if (!KEY_RE.test(key)) return res.status(400).json({ ok: false, code: "bad_idempotency_key" });
+    const frid = String(franchiseeOf(req) || "").trim();
+    if (!frid) return next(); // handler rejects the request itself
+
+    const hash = requestHash(req.body);
+    try {
+      // Claim the key; an expired or abandoned row is taken over in place.
+      const r = await pool.query(
+        `INSERT INTO public.idempotency_keys (franchisee_id, endpoint, idem_key, request_hash, status)
+         VALUES ($1,$2,$3,$4,'in_progress')
+         ON CONFLICT (franchisee_id, endpoint, idem_key) DO UPDATE
+            SET request_hash=EXCLUDED.request_hash, status='in_progress',
+                response_status=NULL, response_body=NULL, created_at=NOW(), completed_at=NULL
+          WHERE idempotency_keys.created_at < NOW() - make_interval(hours => $5::int)
+             OR (idempotency_keys.status='in_progress'
+                 AND idempotency_keys.created_at < NOW() - make_interval(secs => $6::int))
+         RETURNING franchisee_id`,
+        [frid, endpoint, key, hash, RETENTION_HOURS, LOCK_SECONDS]
+      );
+      if (!r.rowCount) {
+        const ex = await pool.query(
+          `SELECT request_hash, status, response_status, response_body
+             FROM public.idempotency_keys
+            WHERE franchisee_id=$1 AND endpoint=$2 AND idem_key=$3`,
+          [frid, endpoint, key]
+        );
+        const row = ex.rows[0];
+        if (!row) return res.status(409).json({ ok: false, code: "idempotency_request_in_progress" });
+        if (row.request_hash !== hash) return res.status(409).json({ ok: false, code: "idempotency_key_reused" });
+        if (row.status !== "completed") {
+          res.setHeader("Retry-After", "2");
+          return res.status(409).json({ ok: false, code: "idempotency_request_in_progress" });
+        }
+        res.setHeader("Idempotent-Replayed", "true");
+        return res.status(row.response_status).type("application/json").send(row.response_body);
+      }
+    } catch (e) {
+      return res.status(500).json({ ok: false, code: "idempotency_failed", message: e?.message || String(e) });
+    }
+
+    // Responses not already stored in the handler's transaction are persisted
+    // before they go out, so a retry that races the reply finds them stored.
+    const claim = { frid, endpoint, key, saved: null };
+    res.locals.idempotency = claim;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      if (claim.saved === status) return json(body);
+      const store = status < 500
+        ? pool.query(COMPLETE_SQL, [frid, endpoint, key, status, JSON.stringify(body)])
+        : pool.query(
+            `DELETE FROM public.idempotency_keys WHERE franchisee_id=$1 AND endpoint=$2 AND idem_key=$3`,
+            [frid, endpoint, key]
+          );
+      store.catch((e) => console.error("idempotency store failed", e)).finally(() => json(body));
+      return res;
+    };
+    next();
+  };
+}
+
+/** Delete keys older than the retention window. Returns the number removed. */
+export async function purgeExpiredIdempotencyKeys(pool) {
+  const r = await pool.query(
+    `DELETE FROM public.idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1::int)`,
+    [RETENTION_HOURS]
+  );
+  return r.rowCount;
+}
+
+/** Periodic purge (unref'd so it never keeps the process alive). */
+export function startIdempotencyCleanup(pool) {
+  const run = () => purgeExpiredIdempotencyKeys(pool)
+    .then((n) => { if (n) console.log(`idempotency: purged ${n} expired key(s)`); })
+    .catch((e) => console.error("idempotency purge failed", e?.message || e));
+  const t = setInterval(run, Math.max(1, CLEANUP_MINUTES) * 60 * 1000);
+  t.unref?.();
+  run();
+  return t;
+}
@@ -0,0 +1,77 @@
+// src/lib/installations.js
+// Installation lifecycle: started -> completed | cancelled (routes/installations.js).
+//
+// A start reserves the litres the job is expected to use (tyre count x dosage
+// per tyre) as installations.reserved_litres. A reservation is active while the
+// installation is "started": completing it consumes the actual litres instead,
+// cancelling or expiring it releases the reservation. Available-to-promise =
+// on-hand stock - active reservations, checked under the inventory row lock.
+// Every outgoing stock move (moveStock, src/inventory.js) has to leave the other
+// jobs' reservations covered: a job refused at start (reserved 0) completes only
+// out of what nobody else has reserved, and SA transfers / adjustments cannot
+// take reserved litres either.
+//
+// Starts that are never completed would stay open forever and inflate
+// /me/summary needs_reconciliation_count, so a sweeper cancels any start older
+// than INSTALLATION_EXPIRY_HOURS (cancelled_by "system:expiry").
+//
+// Env:
+//   INSTALLATION_EXPIRY_HOURS           a start older than this is expired (default 24, 0 = never)
+//   INSTALLATION_EXPIRY_SWEEP_MINUTES   sweeper interval for startInstallationExpiry (default 15)
+
+import { lookupDosage } from "./dosage.js";
+
+export const INSTALLATION_STATUSES = ["started", "completed", "cancelled"];
+
+export const EXPIRY_ACTOR = "system:expiry";
+
+const EXPIRY_HOURS = Number(process.env.INSTALLATION_EXPIRY_HOURS || 24);
+const SWEEP_MINUTES = Number(process.env.INSTALLATION_EXPIRY_SWEEP_MINUTES || 15);
+
+/** Cancel starts older than the expiry age. Returns the expired rows (id, franchisee_id). */
+export async function expireStaleInstallations(pool, { hours = EXPIRY_HOURS } = {}) {
+  if (!(hours > 0)) return [];
+  const r = await pool.query(
+    `UPDATE public.installations
+        SET status='cancelled', cancelled_at=NOW(), cancelled_by=$2, cancel_reason=$3, updated_at=NOW()
+      WHERE status='started' AND created_at < NOW() - $1::float8 * INTERVAL '1 hour'
+      RETURNING id, franchisee_id`,
+    [hours, EXPIRY_ACTOR, `Expired: not completed within ${hours} h`]
+  );
+  return r.rows;
+}
+
+/** Periodic expiry (unref'd so it never keeps the process alive). */
+export function startInstallationExpiry(pool) {
+  if (!(EXPIRY_HOURS > 0)) return null;
+  const run = () => expireStaleInstallations(pool)
+    .then((rows) => { if (rows.length) console.log(`installations: expired ${rows.length} stale start(s)`); })
+    .catch((e) => console.error("installation expiry failed", e?.message || e));
+  const t = setInterval(run, Math.max(1, SWEEP_MINUTES) * 60 * 1000);
+  t.unref?.();
+  run();
+  return t;
+}
+
+/**
+ * Expected sealant for a job from tyre count + size (dosage_rules, src/lib/dosage.js).
+ * @returns {Promise<{litres:number, ml_per_tyre:number, rule_id:number|null, source:string}>}
+ */
+export async function expectedLitres(client, { tyreCount, category, widthMm, aspectRatio, rimIn }) {
+  const d = await lookupDosage(client, { category, widthMm, aspectRatio, rimIn });
+  return { litres: Math.round(d.ml_per_tyre * tyreCount) / 1000, ml_per_tyre: d.ml_per_tyre, rule_id: d.rule_id, source: d.source };
+}
+
+/**
+ * Active reservations = reserved_litres of a franchisee's installations still "started"
+ * (leaving out exceptInstallationId, the job being consumed).
+ */
+export async function reservedLitres(client, franchiseeId, { exceptInstallationId = null } = {}) {
+  const r = await client.query(
+    `SELECT COALESCE(SUM(reserved_litres),0)::float AS litres, COUNT(*) FILTER (WHERE reserved_litres > 0)::int AS n
+       FROM public.installations
+      WHERE franchisee_id=$1 AND status='started' AND ($2::bigint IS NULL OR id <> $2)`,
+    [franchiseeId, exceptInstallationId]
+  );
+  return { litres: Math.round(r.rows[0].litres * 1000) / 1000, count: r.rows[0].n };
+}
@@ -0,0 +1,139 @@
+// src/lib/invoiceNumbering.js
+// Single invoice numbering service — gap-free, per franchisee + Indian FY.
+//
+// Counters live in invoice_number_counters (db/migrations/20261019_invoice_number_counters.sql).
+// allocateInvoiceNumber() MUST run inside the caller's transaction: the upsert
+// row-locks the counter until COMMIT (so concurrent requests queue up) and a
+// ROLLBACK hands the number back, which keeps the series free of gaps.
+//
+// Patterns (env, tokens: {FR} {FY} {FY_LABEL} {MMYY} {SEQ} {SERIES}):
+//   INVOICE_NUMBER_PATTERN  printed number   (default {FR}/{MMYY}/{SEQ})
+//   INVOICE_NORM_PATTERN    norm / customer code (default {FR}-{FY}-{SEQ})
+//   INVOICE_SEQ_PAD         zero-padding for {SEQ} (default 4)
+//   INVOICE_DOC_NO_PATTERN  document number sent to the e-invoice IRP (default {FY}/{SEQ});
+//                           must render to IRP_DOC_NO_RE, checked at every allocation
+//   CREDIT_NOTE_NUMBER_PATTERN / CREDIT_NOTE_NORM_PATTERN  series "CN"
+//                           (defaults {FR}/CN/{FY}/{SEQ} and {FR}-CN-{FY}-{SEQ})
+//   HQ_INVOICE_NUMBER_PATTERN / HQ_INVOICE_NORM_PATTERN  series "HQ", HQ's own
+//                           invoices for replenishment (numbered under HQ_CODE)
+//                           (defaults {FR}/{FY}/{SEQ} and {FR}-{FY}-{SEQ})
+// Keep {FY} (or {FY_LABEL}) in the norm pattern: the sequence restarts every
+// April and the norm must stay unique.
+
+const SEQ_PAD = Number(process.env.INVOICE_SEQ_PAD || 4);
+
+/** e-Invoice (INV-01) DocDtls.No: at most 16 chars of [A-Z0-9/-], not starting with 0, "/" or "-". */
+export const IRP_DOC_NO_RE = /^[A-Z1-9][A-Z0-9/-]{0,15}$/;
+
+const SERIES = {
+  INV: {
+    printed: process.env.INVOICE_NUMBER_PATTERN || "{FR}/{MMYY}/{SEQ}",
+    norm: process.env.INVOICE_NORM_PATTERN || "{FR}-{FY}-{SEQ}",
+    docNo: process.env.INVOICE_DOC_NO_PATTERN || "{FY}/{SEQ}",
+  },
+  CN: {
+    printed: process.env.CREDIT_NOTE_NUMBER_PATTERN || "{FR}/CN/{FY}/{SEQ}",
+    norm: process.env.CREDIT_NOTE_NORM_PATTERN || "{FR}-CN-{FY}-{SEQ}",
+  },
+  HQ: {
+    printed: process.env.HQ_INVOICE_NUMBER_PATTERN || "{FR}/{FY}/{SEQ}",
+    norm: process.env.HQ_INVOICE_NORM_PATTERN || "{FR}-{FY}-{SEQ}",
+  },
+};
+
+function istParts(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  return { y: ist.getUTCFullYear(), m: ist.getUTCMonth() + 1 };
+}
+
+/**
+ * Indian financial year (April–March) for a date, evaluated in IST.
+ * @param {Date|string} [date]
+ * @returns {{code:string, label:string, startYear:number}} e.g. { code:"2526", label:"2025-26", startYear:2025 }
+ */
+export function financialYear(date = new Date()) {
+  const { y, m } = istParts(date);
+  const startYear = m >= 4 ? y : y - 1;
+  const a = String(startYear % 100).padStart(2, "0");
+  const b = String((startYear + 1) % 100).padStart(2, "0");
+  return { code: `${a}${b}`, label: `${startYear}-${b}`, startYear };
+}
+
+/**
+ * Render a numbering pattern.
+ * @param {string} pattern
+ * @param {{franchiseeId:string, seq:number, date?:Date|string, series?:string}} ctx
+ * @returns {string}
+ */
+export function formatNumber(pattern, { franchiseeId, seq, date = new Date(), series = "INV" }) {
+  const fy = financialYear(date);
+  const { y, m } = istParts(date);
+  const tokens = {
+    FR: franchiseeId,
+    FY: fy.code,
+    FY_LABEL: fy.label,
+    MMYY: `${String(m).padStart(2, "0")}${String(y).slice(-2)}`,
+    SEQ: String(seq).padStart(SEQ_PAD, "0"),
+    SERIES: series,
+  };
+  return String(pattern).replace(/\{([A-Z_]+)\}/g, (all, k) => (k in tokens ? tokens[k] : all));
+}
+
+/**
+ * Split a norm into franchisee / FY / sequence. Understands the default
+ * {FR}-{FY}-{SEQ} and the pre-numbering-service {FR}-{SEQ}; null for anything else.
+ * @param {string} norm
+ * @returns {{franchiseeId:string, fy:string|null, seq:number}|null}
+ */
+export function parseInvoiceNorm(norm) {
+  const s = String(norm || "").trim();
+  const m = /^(.+)-(\d{2})(\d{2})-(\d+)$/.exec(s);
+  if (m && (Number(m[2]) + 1) % 100 === Number(m[3])) return { franchiseeId: m[1], fy: `${m[2]}${m[3]}`, seq: Number(m[4]) };
+  const l = /^(.+)-(\d{4})$/.exec(s);
+  return l ? { franchiseeId: l[1], fy: null, seq: Number(l[2]) } : null;
+}
+
+/**
+ * Printed number for a row that only has its norm: INVOICE_NUMBER_PATTERN
+ * rendered from the parsed norm at `date` (the row's created_at). Null when
+ * the norm cannot be parsed.
+ */
+export function printedFromNorm(norm, date = new Date()) {
+  const p = parseInvoiceNorm(norm);
+  return p ? formatNumber(SERIES.INV.printed, { franchiseeId: p.franchiseeId, seq: p.seq, date }) : null;
+}
+
+/**
+ * Allocate the next number for a franchisee in the FY of `date`.
+ * Call between BEGIN and COMMIT on the same client that inserts the document.
+ * @param {import("pg").PoolClient} client
+ * @param {string} franchiseeId
+ * @param {{series?:string, date?:Date|string}} [opts]
+ * @returns {Promise<{invoice_seq:number, invoice_fy:string, invoice_number:string, invoice_number_norm:string, doc_no:string|null}>}
+ */
+export async function allocateInvoiceNumber(client, franchiseeId, { series = "INV", date = new Date() } = {}) {
+  const cfg = SERIES[series];
+  if (!cfg) throw new Error(`unknown_number_series:${series}`);
+  if (!franchiseeId) throw new Error("missing_franchisee_id");
+
+  const fy = financialYear(date);
+  const r = await client.query(
+    `INSERT INTO public.invoice_number_counters (franchisee_id, series, financial_year, last_seq)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (franchisee_id, series, financial_year)
+     DO UPDATE SET last_seq = invoice_number_counters.last_seq + 1, updated_at = NOW()
+     RETURNING last_seq`,
+    [franchiseeId, series, fy.code]
+  );
+  const seq = Number(r.rows[0].last_seq);
+  const ctx = { franchiseeId, seq, date, series };
+  const docNo = cfg.docNo ? formatNumber(cfg.docNo, ctx).toUpperCase() : null;
+  if (docNo && !IRP_DOC_NO_RE.test(docNo)) throw new Error(`bad_doc_no_pattern:${docNo}`);
+  return {
+    invoice_seq: seq,
+    invoice_fy: fy.code,
+    invoice_number: formatNumber(cfg.printed, ctx),
+    invoice_number_norm: formatNumber(cfg.norm, ctx),
+    doc_no: docNo,
+  };
+}
@@ -0,0 +1,166 @@
+// src/lib/invoiceRevisions.js
+// Invoice amendments with revision history.
+//
+// Only the non-financial fields in AMENDABLE_FIELDS can be changed after issue.
+// Anything that moves the taxable value, GST or litres (FINANCIAL_FIELDS) is
+// refused; those corrections go through credit notes (src/lib/creditNotes.js).
+// Every accepted change writes one invoice_revisions row and bumps
+// invoices.revision_no, which the PDF prints as "Revised (Rev. n)".
+
+const trimOrNull = (v) => {
+  const s = String(v ?? "").trim();
+  return s ? s : null;
+};
+
+const numOrNull = (max) => (v) => {
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > max) throw fail("bad_value");
+  return n;
+};
+
+/** field -> normaliser (throws fail("bad_value") on junk) */
+export const AMENDABLE_FIELDS = {
+  customer_name: trimOrNull,
+  customer_address: trimOrNull,
+  mobile_number: (v) => {
+    const s = trimOrNull(v);
+    if (s && !/^\+?[0-9 -]{7,20}$/.test(s)) throw fail("bad_value");
+    return s;
+  },
+  vehicle_number: (v) => trimOrNull(v)?.toUpperCase().replace(/\s+/g, "") ?? null,
+  odometer: numOrNull(10_000_000),
+  installer_name: trimOrNull,
+  fitment_locations: trimOrNull,
+  tread_depth_mm: numOrNull(50),
+  tread_fl_mm: numOrNull(50),
+  tread_fr_mm: numOrNull(50),
+  tread_rl_mm: numOrNull(50),
+  tread_rr_mm: numOrNull(50),
+};
+
+/** Fields whose correction needs a credit note instead of an amendment. */
+export const FINANCIAL_FIELDS = new Set([
+  "tyre_count", "tyre_width_mm", "aspect_ratio", "rim_diameter_in", "vehicle_type", "vehicle_category",
+  "dosage_ml", "dosage_ml_per_tyre", "dosage_rule_id", "price_per_ml", "line_items",
+  "installation_charges", "discount_amount", "total_before_gst", "gst_rate", "gst_amount", "total_with_gst",
+  "tax_mode", "cgst_amount", "sgst_amount", "igst_amount", "customer_gstin",
+  "supplier_state_code", "place_of_supply", "place_of_supply_code", "hsn_code",
+  "credited_amount", "credited_litres",
+]);
+
+/** Buyer fields registered with the IRP; frozen once an IRN is active. */
+const EINVOICE_LOCKED_FIELDS = new Set(["customer_name", "customer_address", "mobile_number"]);
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+let cachedCols = null;
+async function invoiceColumns(client) {
+  if (cachedCols) return cachedCols;
+  const r = await client.query(
+    `SELECT lower(column_name) AS name FROM information_schema.columns
+      WHERE table_schema='public' AND table_name='invoices'`
+  );
+  cachedCols = new Set(r.rows.map((x) => x.name));
+  return cachedCols;
+}
+
+const sameValue = (a, b) => {
+  if (a === null || a === undefined) return b === null || b === undefined;
+  if (b === null || b === undefined) return false;
+  if (typeof b === "number") return Number(a) === b;
+  return String(a) === String(b);
+};
+
+/**
+ * Validate a PATCH body without touching the database.
+ * @returns {{fields: Record<string, any>}}
+ */
+export function validateAmendment(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) throw fail("bad_body");
+  const keys = Object.keys(patch);
+  if (!keys.length) throw fail("no_changes");
+
+  const financial = keys.filter((k) => FINANCIAL_FIELDS.has(k));
+  if (financial.length) {
+    throw fail("financial_fields_not_amendable", 409, {
+      fields: financial,
+      hint: "Use POST /api/invoices/:id/credit-notes or /api/invoices/:id/cancel",
+    });
+  }
+  const unknown = keys.filter((k) => !Object.prototype.hasOwnProperty.call(AMENDABLE_FIELDS, k));
+  if (unknown.length) throw fail("fields_not_amendable", 400, { fields: unknown, allowed: Object.keys(AMENDABLE_FIELDS) });
+
+  const fields = {};
+  for (const k of keys) {
+    try {
+      fields[k] = AMENDABLE_FIELDS[k](patch[k]);
+    } catch (e) {
+      if (e?.code === "bad_value") throw fail("bad_value", 400, { field: k });
+      throw e;
+    }
+  }
+  return { fields };
+}
+
+/**
+ * Apply an amendment inside the caller's transaction.
+ * @param {import("pg").PoolClient} client  (inside BEGIN)
+ * @param {object} p
+ * @param {number} p.invoiceId
+ * @param {string|null} p.franchiseeId      caller's franchisee (null for SA)
+ * @param {object} p.patch                  raw request fields
+ * @param {string} p.reason
+ * @param {string} p.actor
+ * @returns {Promise<{invoice:object, revision:object|null}>}  revision null when nothing changed
+ */
+export async function amendInvoice(client, { invoiceId, franchiseeId = null, patch, reason, actor }) {
+  const { fields } = validateAmendment(patch);
+
+  const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 FOR UPDATE`, [invoiceId]);
+  if (!ir.rowCount) throw fail("not_found", 404);
+  const inv = ir.rows[0];
+  const frid = inv.franchisee_id || inv.franchisee_code;
+  if (franchiseeId && frid !== franchiseeId) throw fail("wrong_owner", 403);
+  if (inv.status === "cancelled") throw fail("invoice_cancelled", 409);
+
+  const cols = await invoiceColumns(client);
+  const missing = Object.keys(fields).filter((k) => !cols.has(k));
+  if (missing.length) throw fail("fields_not_amendable", 400, { fields: missing });
+
+  const changes = {};
+  for (const [k, after] of Object.entries(fields)) {
+    if (!sameValue(inv[k], after)) changes[k] = { before: inv[k] ?? null, after };
+  }
+  if (!Object.keys(changes).length) return { invoice: inv, revision: null };
+  if (inv.irn && inv.einvoice_status === "generated") {
+    const locked = Object.keys(changes).filter((k) => EINVOICE_LOCKED_FIELDS.has(k));
+    if (locked.length) throw fail("einvoice_fields_locked", 409, { fields: locked, irn: inv.irn });
+  }
+
+  const revisionNo = Number(inv.revision_no || 0) + 1;
+  const sets = Object.keys(changes).map((k, i) => `"${k}"=$${i + 2}`);
+  const up = await client.query(
+    `UPDATE public.invoices
+        SET ${sets.join(", ")}, revision_no=${revisionNo}, revised_at=NOW()
+      WHERE id=$1
+      RETURNING *`,
+    [invoiceId, ...Object.values(changes).map((c) => c.after)]
+  );
+
+  const rev = await client.query(
+    `INSERT INTO public.invoice_revisions (invoice_id, franchisee_id, revision_no, changes, reason, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     RETURNING *`,
+    [invoiceId, frid, revisionNo, JSON.stringify(changes), reason, actor]
+  );
+
+  return { invoice: up.rows[0], revision: rev.rows[0] };
+}
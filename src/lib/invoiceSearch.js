@@ -0,0 +1,139 @@
+// src/lib/invoiceSearch.js
+// Filter + keyset pagination for GET /api/invoices/search (routes/invoiceSearch.js).
+//
+// Dates are IST calendar days (from/to inclusive). Sorting is on one of
+// SORT_KEYS with id as tie-breaker; the cursor carries the last row's
+// (sort value, id) so page N+1 is a plain index range scan, never an OFFSET.
+
+import { b64url } from "./auth.js";
+import { istDayStart } from "./istPeriod.js";
+
+const SORT_KEYS = {
+  // untyped 'epoch' / cursor param take the column's own type (timestamp or timestamptz)
+  created_at: { expr: "COALESCE(i.created_at, 'epoch')", cast: null },
+  total_with_gst: { expr: "COALESCE(i.total_with_gst, 0)", cast: "numeric" },
+  id: { expr: "i.id", cast: "bigint" },
+};
+const STATUSES = new Set(["issued", "partially_credited", "cancelled"]);
+const TAX_MODES = { IGST: "IGST", "CGST+SGST": "CGST+SGST", CGST_SGST: "CGST+SGST", INTRA: "CGST+SGST", INTER: "IGST" };
+export const MAX_LIMIT = 200;
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+/** row.sort_key is the sort expression as text (keeps timestamptz microseconds exact). */
+export function encodeCursor(sort, order, row) {
+  return b64url(JSON.stringify({ s: sort, o: order, v: String(row.sort_key), id: String(row.id) }));
+}
+
+function decodeCursor(raw, sort, order) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw).replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8"));
+    if (c?.s !== sort || c?.o !== order || c.v == null || !/^\d+$/.test(String(c.id))) return null;
+    return c;
+  } catch { return null; }
+}
+
+const digits = (s) => String(s || "").replace(/\D+/g, "");
+
+/**
+ * Build the WHERE clause + keyset for a search.
+ * @param {object} q             req.query
+ * @param {object} opts
+ * @param {Set<string>} opts.cols          lower-case invoice column names present
+ * @param {string|null} opts.franchiseeId  forced scope (franchisee token); null for SA
+ * @returns {{where:string[], params:any[], keyset:string|null, keysetParams:any[], sortKey:string, orderBy:string, limit:number, sort:string, order:string, filters:object}}
+ */
+export function buildInvoiceSearch(q, { cols, franchiseeId = null }) {
+  const where = [];
+  const params = [];
+  const filters = {};
+  const add = (sql, ...vals) => {
+    let out = sql;
+    for (const v of vals) { params.push(v); out = out.replace("?", `$${params.length}`); }
+    where.push(out);
+  };
+  const need = (col, filter) => { if (!cols.has(col)) throw fail("filter_unsupported", 400, { filter }); };
+  const frExpr = cols.has("franchisee_code") ? "COALESCE(i.franchisee_id, i.franchisee_code)" : "i.franchisee_id";
+
+  const fr = franchiseeId || String(q.franchisee_id || "").trim();
+  if (fr) { add(`${frExpr} = ?`, fr); filters.franchisee_id = fr; }
+
+  // invoices.created_at has no time zone (stored as UTC wall time)
+  const day = (d, addDays = 0) => (DAY_RE.test(String(d).trim()) ? istDayStart(String(d).trim(), addDays) : null);
+  if (q.from) {
+    const from = day(q.from);
+    if (!from) throw fail("bad_from");
+    add("i.created_at >= ?::timestamp", from.replace("Z", "")); filters.from = q.from;
+  }
+  if (q.to) {
+    const to = day(q.to, 1);
+    if (!to) throw fail("bad_to");
+    add("i.created_at < ?::timestamp", to.replace("Z", "")); filters.to = q.to;
+  }
+
+  const vehicle = String(q.vehicle_number || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  if (vehicle) {
+    need("vehicle_number", "vehicle_number");
+    add("regexp_replace(upper(i.vehicle_number), '[^A-Z0-9]', '', 'g') LIKE ?", `%${vehicle}%`);
+    filters.vehicle_number = vehicle;
+  }
+  const mobile = digits(q.mobile_number);
+  if (mobile) {
+    need("mobile_number", "mobile_number");
+    add("regexp_replace(i.mobile_number, '[^0-9]', '', 'g') LIKE ?", `%${mobile}%`);
+    filters.mobile_number = mobile;
+  }
+  const code = String(q.customer_code || "").trim();
+  if (code) { add("i.customer_code = ?", code); filters.customer_code = code; }
+
+  if (q.tax_mode) {
+    const mode = TAX_MODES[String(q.tax_mode).trim().toUpperCase()];
+    if (!mode) throw fail("bad_tax_mode", 400, { allowed: ["IGST", "CGST+SGST"] });
+    add("i.tax_mode = ?", mode); filters.tax_mode = mode;
+  }
+
+  for (const [key, op] of [["min_amount", ">="], ["max_amount", "<="]]) {
+    if (q[key] == null || String(q[key]).trim() === "") continue;
+    const n = Number(q[key]);
+    if (!Number.isFinite(n)) throw fail(`bad_${key}`);
+    add(`COALESCE(i.total_with_gst, 0) ${op} ?`, n); filters[key] = n;
+  }
+
+  if (q.status) {
+    const list = String(q.status).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+    const bad = list.filter((s) => !STATUSES.has(s));
+    if (bad.length) throw fail("bad_status", 400, { allowed: [...STATUSES] });
+    add("i.status = ANY(?::text[])", list); filters.status = list;
+  }
+
+  const sort = String(q.sort || "created_at").trim().toLowerCase();
+  if (!SORT_KEYS[sort]) throw fail("bad_sort", 400, { allowed: Object.keys(SORT_KEYS) });
+  const order = String(q.order || "desc").trim().toLowerCase() === "asc" ? "asc" : "desc";
+  const limit = Math.max(1, Math.min(Number.parseInt(q.limit, 10) || 50, MAX_LIMIT));
+
+  const { expr, cast } = SORT_KEYS[sort];
+  let keyset = null;
+  const keysetParams = [];
+  if (q.cursor) {
+    const c = decodeCursor(q.cursor, sort, order);
+    if (!c) throw fail("bad_cursor");
+    keysetParams.push(c.v, c.id);
+    const a = params.length + 1, b = params.length + 2;
+    keyset = `(${expr}, i.id) ${order === "asc" ? ">" : "<"} ($${a}${cast ? `::${cast}` : ""}, $${b}::bigint)`;
+  }
+
+  return {
+    where, params, keyset, keysetParams,
+    sortKey: `(${expr})::text`,
+    orderBy: `${expr} ${order.toUpperCase()}, i.id ${order.toUpperCase()}`,
+    limit, sort, order, filters,
+  };
+}
@@ -0,0 +1,89 @@
+// src/lib/irpAdapter.js
+// IRP (Invoice Registration Portal) adapters for e-invoicing.
+//
+// Adapter contract:
+//   name: string
+//   generateIrn(payload)                    -> { irn, ack_no, ack_date, signed_qr }
+//   cancelIrn({ irn, reasonCode, remark })  -> { irn, cancelled_at }
+// Errors are thrown with .code (and optionally .details).
+//
+// EINVOICE_ADAPTER picks the adapter (default "local"). A real GSP/NIC client
+// registers itself with registerIrpAdapter(name, factory) at startup.
+//
+// "local" is a stub for development: no network, deterministic IRN and ack
+// number from the document, QR signed with EINVOICE_STUB_SECRET.
+
+import crypto from "crypto";
+import { b64url } from "./auth.js";
+
+const STUB_SECRET = process.env.EINVOICE_STUB_SECRET || "local-irp-stub";
+
+const factories = new Map();
+let current = null;
+
+export function registerIrpAdapter(name, factory) {
+  factories.set(String(name), factory);
+  current = null;
+}
+
+export function getIrpAdapter() {
+  if (current) return current;
+  const name = process.env.EINVOICE_ADAPTER || "local";
+  const factory = factories.get(name);
+  if (!factory) throw Object.assign(new Error(`unknown_irp_adapter:${name}`), { code: "unknown_irp_adapter" });
+  current = factory();
+  return current;
+}
+
+/** Indian FY label "2025-26" for a "DD/MM/YYYY" document date (as used in the IRN hash). */
+function fyOfDocDate(dt) {
+  const [, mm, yyyy] = String(dt).split("/").map(Number);
+  const start = mm >= 4 ? yyyy : yyyy - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+/** IRN as NIC computes it: sha256(SellerGstin + FY + DocType + DocNo), hex. */
+export function computeIrn(payload) {
+  const d = payload.DocDtls || {};
+  return crypto
+    .createHash("sha256")
+    .update(`${payload.SellerDtls?.Gstin}${fyOfDocDate(d.Dt)}${d.Typ}${d.No}`)
+    .digest("hex");
+}
+
+function localStubAdapter() {
+  return {
+    name: "local",
+    async generateIrn(payload) {
+      const irn = computeIrn(payload);
+      // 15-digit ack number, stable per IRN
+      const ack_no = `1${(BigInt(`0x${irn.slice(0, 15)}`) % 10n ** 14n).toString().padStart(14, "0")}`;
+      const ack_date = new Date().toISOString();
+      const items = payload.ItemList || [];
+      const claims = {
+        data: {
+          SellerGstin: payload.SellerDtls?.Gstin,
+          BuyerGstin: payload.BuyerDtls?.Gstin,
+          DocNo: payload.DocDtls?.No,
+          DocTyp: payload.DocDtls?.Typ,
+          DocDt: payload.DocDtls?.Dt,
+          TotInvVal: payload.ValDtls?.TotInvVal,
+          ItemCnt: items.length,
+          MainHsnCode: items[0]?.HsnCd,
+          Irn: irn,
+          IrnDt: ack_date,
+        },
+        iss: "LOCAL-IRP-STUB",
+      };
+      const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+      const body = b64url(JSON.stringify(claims));
+      const sig = b64url(crypto.createHmac("sha256", STUB_SECRET).update(`${head}.${body}`).digest());
+      return { irn, ack_no, ack_date, signed_qr: `${head}.${body}.${sig}` };
+    },
+    async cancelIrn({ irn }) {
+      return { irn, cancelled_at: new Date().toISOString() };
+    },
+  };
+}
+
+registerIrpAdapter("local", localStubAdapter);
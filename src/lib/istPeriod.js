@@ -0,0 +1,61 @@
+// src/lib/istPeriod.js
+// IST (UTC+05:30) month bounds and dates shared by /me/summary, the GST exports
+// and receivables ageing.
+
+const IST_OFFSET_MIN = 330;
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * "YYYY-MM" (default: current IST month) -> UTC instants of the IST month start/end.
+ * @returns {{monthStr:string, startUtcIso:string, endUtcIso:string, startLocal:string, endLocal:string, tz:string}}
+ */
+export function istMonthBounds(monthParam) {
+  let y, m;
+  if (monthParam && /^\d{4}-\d{2}$/.test(monthParam)) {
+    y = Number(monthParam.slice(0, 4));
+    m = Number(monthParam.slice(5, 7));
+  } else {
+    const now = new Date(Date.now() + IST_OFFSET_MIN * 60 * 1000);
+    y = now.getUTCFullYear();
+    m = now.getUTCMonth() + 1;
+  }
+  const startUtcMs = Date.UTC(y, m - 1, 1, -5, -30, 0);
+  const endUtcMs = Date.UTC(m === 12 ? y + 1 : y, m === 12 ? 0 : m, 1, -5, -30, 0);
+  const monthStr = `${y}-${pad2(m)}`;
+  const nextY = m === 12 ? y + 1 : y;
+  const nextM = m === 12 ? 1 : m + 1;
+  return {
+    monthStr,
+    startUtcIso: new Date(startUtcMs).toISOString(),
+    endUtcIso: new Date(endUtcMs).toISOString(),
+    startLocal: `${monthStr}-01T00:00:00+05:30`,
+    endLocal: `${nextY}-${pad2(nextM)}-01T00:00:00+05:30`,
+    tz: "Asia/Kolkata",
+  };
+}
+
+export function toIstLocalString(utcIso) {
+  const z = new Date(new Date(utcIso).getTime() + IST_OFFSET_MIN * 60 * 1000);
+  return `${z.getUTCFullYear()}-${pad2(z.getUTCMonth() + 1)}-${pad2(z.getUTCDate())}T${pad2(z.getUTCHours())}:${pad2(z.getUTCMinutes())}:${pad2(z.getUTCSeconds())}+05:30`;
+}
+
+/** IST calendar date as "DD-MM-YYYY" (GST portal date format). */
+export function istDateDMY(utc) {
+  const z = new Date(new Date(utc).getTime() + IST_OFFSET_MIN * 60 * 1000);
+  return `${pad2(z.getUTCDate())}-${pad2(z.getUTCMonth() + 1)}-${z.getUTCFullYear()}`;
+}
+
+/** IST calendar date as "YYYY-MM-DD". */
+export function istDateISO(utc) {
+  const z = new Date(new Date(utc).getTime() + IST_OFFSET_MIN * 60 * 1000);
+  return `${z.getUTCFullYear()}-${pad2(z.getUTCMonth() + 1)}-${pad2(z.getUTCDate())}`;
+}
+
+/** "YYYY-MM-DD" (IST) -> UTC instant of that day's start, plus addDays; null if not a date. */
+export function istDayStart(day, addDays = 0) {
+  const d = new Date(`${day}T00:00:00+05:30`);
+  if (isNaN(d.getTime())) return null;
+  return new Date(d.getTime() + addDays * 86400000).toISOString();
+}
@@ -0,0 +1,268 @@
+// src/lib/loginGuard.js
+// Brute-force protection for POST /auth/login and the auth audit log (routes/auth.js).
+//
+// Failed logins are counted per account (the username as typed, so unknown
+// usernames behave like real ones) and per source IP in login_throttles. Counts
+// restart after LOGIN_FAILURE_WINDOW_MINUTES without a failure.
+//   - from the Nth failure (LOGIN_BACKOFF_AFTER / LOGIN_IP_BACKOFF_AFTER) the next
+//     attempt must wait LOGIN_BACKOFF_BASE_SECONDS * 2^(failures - N), capped at
+//     LOGIN_BACKOFF_MAX_SECONDS; earlier attempts get 429 login_backoff unchecked
+//   - at LOGIN_LOCKOUT_AFTER / LOGIN_IP_LOCKOUT_AFTER failures the account / IP is
+//     locked for LOGIN_LOCKOUT_MINUTES: 429 account_locked / ip_locked + locked_until
+// Each attempt is reserved before the password is checked (reserveLoginAttempt):
+// one statement per account / IP refuses it while locked or backing off, else
+// counts it as a failure and applies the backoff / lockout that failure earns.
+// A successful login clears the account row and hands the IP its attempt back;
+// attempts that fail for another reason than the password are handed back to
+// both. SA lists and clears rows via /api/super/auth/lockouts.
+//
+// Every login outcome goes to auth_audit_log (login_success / login_failed /
+// login_blocked), as do SA clears (lockout_cleared).
+//
+// Env (defaults): LOGIN_BACKOFF_AFTER=3, LOGIN_LOCKOUT_AFTER=10, LOGIN_IP_BACKOFF_AFTER=20,
+// LOGIN_IP_LOCKOUT_AFTER=50, LOGIN_BACKOFF_BASE_SECONDS=1, LOGIN_BACKOFF_MAX_SECONDS=60,
+// LOGIN_LOCKOUT_MINUTES=15, LOGIN_FAILURE_WINDOW_MINUTES=15
+
+const num = (name, dflt) => Number(process.env[name] || dflt);
+
+const LIMITS = {
+  account: { backoffAfter: num("LOGIN_BACKOFF_AFTER", 3), lockAfter: num("LOGIN_LOCKOUT_AFTER", 10) },
+  ip: { backoffAfter: num("LOGIN_IP_BACKOFF_AFTER", 20), lockAfter: num("LOGIN_IP_LOCKOUT_AFTER", 50) },
+};
+const BACKOFF_BASE_SECONDS = num("LOGIN_BACKOFF_BASE_SECONDS", 1);
+const BACKOFF_MAX_SECONDS = num("LOGIN_BACKOFF_MAX_SECONDS", 60);
+const LOCKOUT_MINUTES = num("LOGIN_LOCKOUT_MINUTES", 15);
+const WINDOW_MINUTES = num("LOGIN_FAILURE_WINDOW_MINUTES", 15);
+
+export const THROTTLE_KINDS = ["account", "ip"];
+export const AUTH_EVENTS = ["login_success", "login_failed", "login_blocked", "lockout_cleared"];
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+const secondsUntil = (t) => Math.max(1, Math.ceil((new Date(t).getTime() - Date.now()) / 1000));
+
+function toThrottle(r) {
+  const now = new Date();
+  const locked = r.locked_until && new Date(r.locked_until) > now;
+  const backoff = r.next_allowed_at && new Date(r.next_allowed_at) > now;
+  return {
+    kind: r.kind, key: r.key, failures: r.failures, lockouts: r.lockouts,
+    first_failed_at: r.first_failed_at || null, last_failed_at: r.last_failed_at || null,
+    next_allowed_at: backoff ? r.next_allowed_at : null, locked_until: locked ? r.locked_until : null,
+    state: locked ? "locked" : backoff ? "backoff" : "counting",
+  };
+}
+
+/** The 429 for a throttle row that currently refuses attempts, or null. */
+function blockOf(row) {
+  if (!row) return null;
+  const now = new Date();
+  if (row.locked_until && new Date(row.locked_until) > now) {
+    return fail(row.kind === "ip" ? "ip_locked" : "account_locked", 429, {
+      locked_until: row.locked_until, retry_after_seconds: secondsUntil(row.locked_until),
+    });
+  }
+  if (row.next_allowed_at && new Date(row.next_allowed_at) > now) {
+    return fail("login_backoff", 429, {
+      next_allowed_at: row.next_allowed_at, retry_after_seconds: secondsUntil(row.next_allowed_at),
+    });
+  }
+  return null;
+}
+
+/** The 429 for whichever of the account / IP refuses attempts right now (lockout before backoff), or null. */
+async function currentBlock(client, { username, ip }) {
+  const r = await client.query(
+    `SELECT * FROM public.login_throttles WHERE (kind='account' AND key=$1) OR (kind='ip' AND key=$2)`,
+    [username, ip || ""]
+  );
+  const blocks = r.rows.map(blockOf).filter(Boolean);
+  return blocks.find((b) => b.code !== "login_backoff") || blocks[0] || null;
+}
+
+/**
+ * Count one attempt for `kind` / `key` unless it is locked or backing off, in a
+ * single statement, so concurrent attempts each get their own failure number and
+ * the backoff / lockout it earns. Returns the updated row, or null when refused.
+ */
+async function reserve(client, kind, key) {
+  const { backoffAfter, lockAfter } = LIMITS[kind];
+  const n = `(CASE WHEN t.last_failed_at IS NULL OR t.last_failed_at < NOW() - $3::float8 * INTERVAL '1 minute'
+                THEN 1 ELSE t.failures + 1 END)`;
+  const wait = (x) => `LEAST($7::float8, $6::float8 * POWER(2, ${x} - $4))`;
+  const r = await client.query(
+    `INSERT INTO public.login_throttles AS t
+       (kind, key, failures, first_failed_at, last_failed_at, next_allowed_at, locked_until, lockouts)
+     VALUES ($1, $2, CASE WHEN 1 >= $5 THEN 0 ELSE 1 END, NOW(), NOW(),
+             CASE WHEN 1 < $5 AND 1 >= $4 THEN NOW() + ${wait("1")} * INTERVAL '1 second' END,
+             CASE WHEN 1 >= $5 THEN NOW() + $8::float8 * INTERVAL '1 minute' END,
+             CASE WHEN 1 >= $5 THEN 1 ELSE 0 END)
+     ON CONFLICT (kind, key) DO UPDATE
+       SET failures = CASE WHEN ${n} >= $5 THEN 0 ELSE ${n} END,
+           first_failed_at = CASE WHEN ${n} = 1 THEN NOW() ELSE t.first_failed_at END,
+           last_failed_at = NOW(),
+           next_allowed_at = CASE WHEN ${n} >= $5 THEN NULL
+                                  WHEN ${n} >= $4 THEN NOW() + ${wait(n)} * INTERVAL '1 second'
+                                  ELSE t.next_allowed_at END,
+           locked_until = CASE WHEN ${n} >= $5 THEN NOW() + $8::float8 * INTERVAL '1 minute' ELSE t.locked_until END,
+           lockouts = t.lockouts + CASE WHEN ${n} >= $5 THEN 1 ELSE 0 END
+     WHERE (t.locked_until IS NULL OR t.locked_until <= NOW())
+       AND (t.next_allowed_at IS NULL OR t.next_allowed_at <= NOW())
+     RETURNING *`,
+    [kind, key, WINDOW_MINUTES, backoffAfter, lockAfter, BACKOFF_BASE_SECONDS, BACKOFF_MAX_SECONDS, LOCKOUT_MINUTES]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Hand back an attempt reserve() counted: one failure less, and the backoff /
+ * lockout it started (matched by timestamp, so a later attempt's stays) undone.
+ */
+async function refund(client, kind, row) {
+  const lockedHere = row.locked_until && new Date(row.locked_until) > new Date() ? row.locked_until : null;
+  await client.query(
+    `UPDATE public.login_throttles
+        SET failures = CASE WHEN locked_until = $3 THEN GREATEST($5::int - 1, 0) ELSE GREATEST(failures - 1, 0) END,
+            lockouts = CASE WHEN locked_until = $3 THEN GREATEST(lockouts - 1, 0) ELSE lockouts END,
+            locked_until = CASE WHEN locked_until = $3 THEN NULL ELSE locked_until END,
+            next_allowed_at = CASE WHEN next_allowed_at = $4 THEN NULL ELSE next_allowed_at END
+      WHERE kind=$1 AND key=$2`,
+    [kind, row.key, lockedHere, row.next_allowed_at || null, LIMITS[kind].lockAfter]
+  );
+}
+
+/**
+ * Take a login attempt for the account and the IP before the password is
+ * checked: each is counted as a failure up front, together with the backoff /
+ * lockout that failure earns, so parallel guesses cannot all slip through one
+ * check. Throws the 429 when either may not try right now. Returns the
+ * reservation for loginFailureOutcome() / releaseLoginAttempt().
+ */
+export async function reserveLoginAttempt(client, { username, ip }) {
+  const account = await reserve(client, "account", username);
+  if (!account) throw (await currentBlock(client, { username, ip })) || fail("login_backoff", 429, { retry_after_seconds: 1 });
+  const ipRow = ip ? await reserve(client, "ip", ip) : null;
+  if (ip && !ipRow) {
+    await refund(client, "account", account);
+    throw (await currentBlock(client, { username, ip })) || fail("login_backoff", 429, { retry_after_seconds: 1 });
+  }
+  return { account, ip: ipRow };
+}
+
+/**
+ * The reply for a reserved attempt whose password was wrong: the 429 when it
+ * locked the account or the IP, else { retry_after_seconds } of any backoff it
+ * started (or null).
+ */
+export function loginFailureOutcome(reservation) {
+  const rows = [reservation.account, reservation.ip].filter(Boolean);
+  const locked = rows.map(blockOf).find((b) => b && b.code !== "login_backoff");
+  if (locked) return { locked };
+  const waits = rows.filter((r) => r.next_allowed_at).map((r) => secondsUntil(r.next_allowed_at));
+  return { retry_after_seconds: waits.length ? Math.max(...waits) : null };
+}
+
+/** Give back a reserved attempt that was not a wrong password (success, disabled user, error). */
+export async function releaseLoginAttempt(client, reservation, kinds = THROTTLE_KINDS) {
+  for (const kind of kinds) {
+    if (reservation[kind]) await refund(client, kind, reservation[kind]);
+  }
+}
+
+/** A successful login ends the account's failure streak. */
+export async function clearAccountFailures(client, username) {
+  await client.query(`DELETE FROM public.login_throttles WHERE kind='account' AND key=$1`, [username]);
+}
+
+/** Append to auth_audit_log; user_id / franchisee_id are looked up from the username when not given. */
+export async function auditAuth(client, { event, username = null, userId = null, franchiseeId = null, ip = null, userAgent = null, reason = null, actor = null }) {
+  await client.query(
+    `INSERT INTO public.auth_audit_log (event, username, user_id, franchisee_id, ip, user_agent, reason, actor)
+     SELECT $1, $2, COALESCE($3::uuid, u.id), COALESCE($4, u.franchisee_id), $5, $6, $7, $8
+       FROM (SELECT 1) one
+       LEFT JOIN public.users u ON u.username = $2`,
+    [event, username, userId, franchiseeId, ip, userAgent ? String(userAgent).slice(0, 300) : null, reason, actor]
+  );
+}
+
+/** Throttle rows; active only = currently locked or in backoff. */
+export async function listThrottles(client, { kind = null, key = null, activeOnly = true, limit = 100 } = {}) {
+  const r = await client.query(
+    `SELECT * FROM public.login_throttles
+      WHERE ($1::text IS NULL OR kind=$1)
+        AND ($2::text IS NULL OR key=$2)
+        AND (NOT $3 OR locked_until > NOW() OR next_allowed_at > NOW())
+      ORDER BY COALESCE(locked_until, next_allowed_at, last_failed_at) DESC NULLS LAST
+      LIMIT $4`,
+    [kind, key, activeOnly, limit]
+  );
+  return r.rows.map(toThrottle);
+}
+
+/** SA: drop the throttle row(s) for a username and / or IP; audited. Returns what was cleared. */
+export async function clearThrottles(client, { username = null, ip = null }, { actor }) {
+  const r = await client.query(
+    `DELETE FROM public.login_throttles
+      WHERE (kind='account' AND key=$1) OR (kind='ip' AND key=$2)
+      RETURNING *`,
+    [username, ip]
+  );
+  if (!r.rowCount) throw fail("not_found", 404);
+  for (const row of r.rows) {
+    await auditAuth(client, {
+      event: "lockout_cleared", username: row.kind === "account" ? row.key : null,
+      ip: row.kind === "ip" ? row.key : null, reason: `${row.kind}:${toThrottle(row).state}`, actor,
+    });
+  }
+  return r.rows.map(toThrottle);
+}
+
+/** Audit log, newest first, cursor-paginated by id. */
+export async function listAuthAudit(client, { event = null, username = null, userId = null, franchiseeId = null, ip = null, from = null, to = null, beforeId = null, limit = 100 } = {}) {
+  const r = await client.query(
+    `SELECT id::int AS id, event, username, user_id::text AS user_id, franchisee_id, ip, user_agent, reason, actor, created_at
+       FROM public.auth_audit_log
+      WHERE ($1::text IS NULL OR event=$1)
+        AND ($2::text IS NULL OR username=$2)
+        AND ($3::uuid IS NULL OR user_id=$3)
+        AND ($4::text IS NULL OR franchisee_id=$4)
+        AND ($5::text IS NULL OR ip=$5)
+        AND ($6::timestamptz IS NULL OR created_at >= $6)
+        AND ($7::timestamptz IS NULL OR created_at < $7)
+        AND ($8::bigint IS NULL OR id < $8)
+      ORDER BY id DESC
+      LIMIT $9`,
+    [event, username, userId, franchiseeId, ip, from, to, beforeId, limit]
+  );
+  return r.rows;
+}
+
+/** Drop throttle rows with nothing left to enforce (window passed, no lockout running). */
+export async function purgeStaleThrottles(pool) {
+  const r = await pool.query(
+    `DELETE FROM public.login_throttles
+      WHERE (locked_until IS NULL OR locked_until < NOW())
+        AND (next_allowed_at IS NULL OR next_allowed_at < NOW())
+        AND (last_failed_at IS NULL OR last_failed_at < NOW() - $1::float8 * INTERVAL '1 minute')`,
+    [WINDOW_MINUTES]
+  );
+  return r.rowCount;
+}
+
+/** Periodic purge every failure window (unref'd so it never keeps the process alive). */
+export function startLoginThrottleCleanup(pool) {
+  const run = () => purgeStaleThrottles(pool)
+    .then((n) => { if (n) console.log(`login guard: purged ${n} stale throttle row(s)`); })
+    .catch((e) => console.error("login throttle purge failed", e?.message || e));
+  const t = setInterval(run, Math.max(1, WINDOW_MINUTES) * 60 * 1000);
+  t.unref?.();
+  run();
+  return t;
+}
@@ -0,0 +1,29 @@
+// src/lib/notifications.js
+// Notification outbox (db/migrations/20261019_notification_outbox.sql).
+//
+// enqueueNotification() only writes a notification_outbox row, inside the
+// caller's transaction, so a notification exists if and only if the change
+// behind it committed. Delivery (SMS / e-mail / WhatsApp) is a separate sender
+// reading status='pending'.
+
+/**
+ * @param {import("pg").PoolClient} client
+ * @param {object} n
+ * @param {string} n.topic                 e.g. "low_stock"
+ * @param {string} [n.franchiseeId]
+ * @param {string} [n.channel]
+ * @param {string} [n.recipient]
+ * @param {object} [n.payload]
+ * @param {string} [n.dedupeKey]           second enqueue with the same key is a no-op
+ * @returns {Promise<object|null>} the outbox row, or null when deduplicated
+ */
+export async function enqueueNotification(client, { topic, franchiseeId = null, channel = null, recipient = null, payload = {}, dedupeKey = null }) {
+  const r = await client.query(
+    `INSERT INTO public.notification_outbox (topic, franchisee_id, channel, recipient, payload, dedupe_key)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [topic, franchiseeId, channel, recipient, JSON.stringify(payload || {}), dedupeKey]
+  );
+  return r.rows[0] || null;
+}
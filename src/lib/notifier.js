@@ -0,0 +1,51 @@
+// src/lib/notifier.js
+// Direct notifiers for messages a user is waiting on (password reset OTP).
+//
+// Notifier contract:
+//   name: string
+//   send(client, { topic, channel, recipient, franchiseeId, payload, dedupeKey })
+//     -> { notifier, outbox_id?, sent_at? }
+// channel is "sms" or "email"; recipient the phone number / address.
+// Errors are thrown with .code.
+//
+// NOTIFIER_ADAPTER picks the notifier (default "local"). A real SMS / e-mail
+// provider registers itself with registerNotifier(name, factory) at startup.
+//
+// "local" is a stub for development: it writes the message to
+// notification_outbox (src/lib/notifications.js) in the caller's transaction,
+// where a sender can read it back; nothing leaves the server. Password reset
+// codes are redacted from those rows once they are no longer usable
+// (redactResetOtps in src/lib/passwordReset.js).
+
+import { enqueueNotification } from "./notifications.js";
+
+export const NOTIFY_CHANNELS = ["sms", "email"];
+
+const factories = new Map();
+let current = null;
+
+export function registerNotifier(name, factory) {
+  factories.set(String(name), factory);
+  current = null;
+}
+
+export function getNotifier() {
+  if (current) return current;
+  const name = process.env.NOTIFIER_ADAPTER || "local";
+  const factory = factories.get(name);
+  if (!factory) throw Object.assign(new Error(`unknown_notifier:${name}`), { code: "unknown_notifier" });
+  current = factory();
+  return current;
+}
+
+function localOutboxNotifier() {
+  return {
+    name: "local",
+    async send(client, { topic, channel, recipient, franchiseeId = null, payload = {}, dedupeKey = null }) {
+      const row = await enqueueNotification(client, { topic, franchiseeId, channel, recipient, payload, dedupeKey });
+      return { notifier: "local", outbox_id: row ? Number(row.id) : null };
+    },
+  };
+}
+
+registerNotifier("local", localOutboxNotifier);
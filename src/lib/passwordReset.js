@@ -0,0 +1,197 @@
+// src/lib/passwordReset.js
+// Forgot-password flow: a one-time code (OTP) to the franchisee's registered phone
+// or e-mail, then a new password (routes/auth.js).
+//
+// requestPasswordReset() answers the same way whether or not the username exists
+// or has a contact on record, so the endpoint does not reveal accounts. Only
+// FRANCHISEE logins are served: installers are reset by their owner
+// (routes/installers.js), SA / ADMIN users by an SA. Delivery goes through the
+// pluggable notifier (src/lib/notifier.js).
+//
+// The outbox row handed to the sender is the only place the plaintext code lives.
+// redactResetOtps() strips it from the payload as soon as the row is sent or
+// failed, or the OTP is used, burnt, expired or replaced by a newer one;
+// completePasswordReset() does so for its own OTP, startOtpRedaction() sweeps
+// the rest.
+//
+// Limits: OTP_REQUESTS_PER_HOUR per username and OTP_IP_REQUESTS_PER_HOUR per IP
+// (429 otp_rate_limited + retry_after_seconds); OTP_MAX_ATTEMPTS wrong codes burn
+// an OTP (429 otp_attempts_exceeded). Attempts are counted outside any
+// transaction so a failed call cannot roll them back.
+//
+// Env:
+//   OTP_TTL_MINUTES              code lifetime (default 10)
+//   OTP_MAX_ATTEMPTS             wrong codes per OTP (default 5)
+//   OTP_REQUESTS_PER_HOUR        per username (default 3)
+//   OTP_IP_REQUESTS_PER_HOUR     per client IP (default 10)
+//   OTP_REDACT_SWEEP_MINUTES     interval of startOtpRedaction (default 1)
+
+import crypto from "crypto";
+import { AUTH_SECRET } from "./auth.js";
+import { getNotifier, NOTIFY_CHANNELS } from "./notifier.js";
+import { setPassword } from "./users.js";
+
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_REQUESTS_PER_HOUR = Number(process.env.OTP_REQUESTS_PER_HOUR || 3);
+const OTP_IP_REQUESTS_PER_HOUR = Number(process.env.OTP_IP_REQUESTS_PER_HOUR || 10);
+const OTP_REDACT_SWEEP_MINUTES = Number(process.env.OTP_REDACT_SWEEP_MINUTES || 1);
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+const otpHash = (id, otp) => crypto.createHmac("sha256", AUTH_SECRET).update(`${id}:${otp}`).digest("hex");
+
+/** 429 when `col` already made `limit` requests in the last hour. */
+async function checkRate(client, col, value, limit) {
+  const r = await client.query(
+    `SELECT COUNT(*)::int AS n, MIN(created_at) AS oldest
+       FROM public.password_reset_otps
+      WHERE ${col}=$1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [value]
+  );
+  const { n, oldest } = r.rows[0];
+  if (n < limit) return;
+  const retry = Math.max(1, Math.ceil((new Date(oldest).getTime() + 3600 * 1000 - Date.now()) / 1000));
+  throw fail("otp_rate_limited", 429, { retry_after_seconds: retry });
+}
+
+/**
+ * Registered phone / e-mail of a franchisee. Columns differ between the
+ * franchisees schemas, so the row is read as JSON; onboarded franchisees fall
+ * back to their application's contact.
+ */
+async function franchiseeContact(client, franchiseeId) {
+  const r = await client.query(
+    `SELECT to_jsonb(f) AS f FROM public.franchisees f
+      WHERE to_jsonb(f)->>'franchisee_id'=$1 OR to_jsonb(f)->>'code'=$1
+      LIMIT 1`,
+    [franchiseeId]
+  );
+  const f = r.rows[0]?.f || {};
+  let phone = f.phone || f.mobile || null, email = f.email || null;
+  if ((!phone || !email) && f.application_id) {
+    const a = await client.query(`SELECT phone, email FROM public.franchisee_applications WHERE id=$1`, [f.application_id]);
+    phone = phone || a.rows[0]?.phone || null;
+    email = email || a.rows[0]?.email || null;
+  }
+  return { sms: String(phone || "").trim() || null, email: String(email || "").trim() || null };
+}
+
+/**
+ * Issue an OTP for `username` if it is an active franchisee login with a contact
+ * on the requested channel (or any: SMS first). Always returns the same shape.
+ */
+export async function requestPasswordReset(client, { username, channel = null, ip = null }) {
+  username = String(username || "").trim();
+  if (!username) throw fail("missing_username");
+  if (channel && !NOTIFY_CHANNELS.includes(channel)) throw fail("bad_channel", 400, { allowed: NOTIFY_CHANNELS });
+  if (ip) await checkRate(client, "ip", ip, OTP_IP_REQUESTS_PER_HOUR);
+  await checkRate(client, "username", username, OTP_REQUESTS_PER_HOUR);
+
+  const id = crypto.randomUUID();
+  const u = (await client.query(
+    `SELECT * FROM public.users WHERE username=$1 AND role='FRANCHISEE' AND is_active LIMIT 1`, [username]
+  )).rows[0];
+  let to = null;
+  if (u) {
+    const contact = await franchiseeContact(client, u.franchisee_id);
+    const ch = channel || (contact.sms ? "sms" : "email");
+    if (contact[ch]) to = { channel: ch, recipient: contact[ch] };
+  }
+  const otp = to ? String(crypto.randomInt(0, 1000000)).padStart(6, "0") : null;
+  const r = await client.query(
+    `INSERT INTO public.password_reset_otps (id, username, user_id, otp_hash, channel, recipient, ip, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7, NOW() + $8::float8 * INTERVAL '1 minute')
+     RETURNING expires_at`,
+    [id, username, to ? u.id : null, otp ? otpHash(id, otp) : null, to?.channel || null, to?.recipient || null, ip, OTP_TTL_MINUTES]
+  );
+  if (to) {
+    await getNotifier().send(client, {
+      topic: "password_reset_otp", channel: to.channel, recipient: to.recipient, franchiseeId: u.franchisee_id,
+      payload: { username, otp, expires_at: r.rows[0].expires_at, ttl_minutes: OTP_TTL_MINUTES },
+      dedupeKey: `password_reset_otp:${id}`,
+    });
+  }
+  return { expires_in_minutes: OTP_TTL_MINUTES };
+}
+
+/**
+ * Check an OTP against the newest one issued for `username`; every call uses an
+ * attempt. Run on the pool (not in a transaction). Returns the OTP row.
+ */
+export async function verifyResetOtp(pool, { username, otp }) {
+  username = String(username || "").trim();
+  otp = String(otp || "").trim();
+  const r = await pool.query(
+    `SELECT * FROM public.password_reset_otps
+      WHERE username=$1 AND otp_hash IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 1`,
+    [username]
+  );
+  const row = r.rows[0];
+  if (!row || row.consumed_at || new Date(row.expires_at) <= new Date()) throw fail("invalid_otp");
+  const a = await pool.query(
+    `UPDATE public.password_reset_otps SET attempts=attempts+1 WHERE id=$1 AND attempts < $2 RETURNING attempts`,
+    [row.id, OTP_MAX_ATTEMPTS]
+  );
+  if (!a.rowCount) throw fail("otp_attempts_exceeded", 429);
+  const got = Buffer.from(otpHash(row.id, otp)), want = Buffer.from(row.otp_hash);
+  if (!/^\d{6}$/.test(otp) || got.length !== want.length || !crypto.timingSafeEqual(got, want)) throw fail("invalid_otp");
+  return row;
+}
+
+/** Use a verified OTP: set the (already policy-checked) password and end every session. */
+export async function completePasswordReset(client, otpRow, newPassword) {
+  const c = await client.query(
+    `UPDATE public.password_reset_otps SET consumed_at=NOW() WHERE id=$1 AND consumed_at IS NULL RETURNING id`,
+    [otpRow.id]
+  );
+  if (!c.rowCount) throw fail("invalid_otp");
+  const u = (await client.query(`SELECT * FROM public.users WHERE id=$1 FOR UPDATE`, [otpRow.user_id])).rows[0];
+  if (!u?.is_active) throw fail("user_disabled", 403);
+  await redactResetOtps(client, { otpId: otpRow.id });
+  return setPassword(client, u, newPassword, { actor: `user:${u.username}`, reason: "password_reset_otp" });
+}
+
+/**
+ * Drop the plaintext code from password_reset_otp outbox payloads that no longer
+ * need it: the row was sent / failed, or its OTP is consumed, out of attempts,
+ * expired or superseded by a newer OTP for the username. `otpId` redacts that
+ * OTP's row unconditionally. Returns the number of rows redacted.
+ */
+export async function redactResetOtps(client, { otpId = null } = {}) {
+  const r = await client.query(
+    `UPDATE public.notification_outbox o
+        SET payload = o.payload - 'otp'
+      WHERE o.topic='password_reset_otp' AND o.payload->>'otp' IS NOT NULL
+        AND (($1::uuid IS NOT NULL AND o.dedupe_key = 'password_reset_otp:' || $1::text)
+          OR ($1::uuid IS NULL AND (o.status <> 'pending' OR NOT EXISTS (
+                SELECT 1 FROM public.password_reset_otps p
+                 WHERE o.dedupe_key = 'password_reset_otp:' || p.id::text
+                   AND p.consumed_at IS NULL AND p.expires_at > NOW() AND p.attempts < $2
+                   AND NOT EXISTS (SELECT 1 FROM public.password_reset_otps n
+                                    WHERE n.username=p.username AND n.otp_hash IS NOT NULL
+                                      AND n.created_at > p.created_at)))))`,
+    [otpId, OTP_MAX_ATTEMPTS]
+  );
+  return r.rowCount;
+}
+
+/** Periodic redaction sweep (unref'd so it never keeps the process alive). */
+export function startOtpRedaction(pool) {
+  const run = () => redactResetOtps(pool)
+    .then((n) => { if (n) console.log(`password reset: redacted ${n} OTP notification(s)`); })
+    .catch((e) => console.error("OTP redaction failed", e?.message || e));
+  const t = setInterval(run, Math.max(1, OTP_REDACT_SWEEP_MINUTES) * 60 * 1000);
+  t.unref?.();
+  run();
+  return t;
+}
@@ -0,0 +1,61 @@
+// src/lib/passwords.js
+// Password hashing for users.password_hash (scrypt, self-describing format):
+//   scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+// plus the strength policy for passwords users choose themselves (PASSWORD_MIN_LENGTH).
+
+import crypto from "crypto";
+
+const PW_ALPH = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789-_";
+
+/** Random system password in 4 groups of 5 (issued on reset / onboarding). */
+export function generatePassword(len = 20) {
+  const b = crypto.randomBytes(len);
+  let out = "";
+  for (let i = 0; i < len; i++) out += PW_ALPH[b[i] % PW_ALPH.length];
+  return `${out.slice(0, 5)}-${out.slice(5, 10)}-${out.slice(10, 15)}-${out.slice(15, 20)}`;
+}
+
+export function hashPassword(p) {
+  const salt = crypto.randomBytes(16);
+  const N = 16384, r = 8, p1 = 1, keylen = 64;
+  const dk = crypto.scryptSync(String(p), salt, keylen, { N, r, p: p1 });
+  return `scrypt$${N}$${r}$${p1}$${salt.toString("base64")}$${dk.toString("base64")}`;
+}
+
+export function verifyPassword(p, stored) {
+  try {
+    const [alg, Ns, rs, ps, saltB64, hashB64] = String(stored).split("$");
+    if (alg !== "scrypt") return false;
+    const N = Number(Ns), r = Number(rs), p1 = Number(ps);
+    const salt = Buffer.from(saltB64, "base64");
+    const expected = Buffer.from(hashB64, "base64");
+    const dk = crypto.scryptSync(String(p), salt, expected.length, { N, r, p: p1 });
+    return crypto.timingSafeEqual(dk, expected);
+  } catch { return false; }
+}
+
+// ---- Strength policy (user-chosen passwords: POST /me/password, OTP reset, SA create) ----
+export const PASSWORD_MIN_LENGTH = Math.max(8, Number(process.env.PASSWORD_MIN_LENGTH || 10));
+
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "password123", "passw0rd", "12345678", "123456789", "1234567890",
+  "qwerty123", "qwertyuiop", "iloveyou", "admin123", "welcome1", "welcome123", "letmein123",
+  "abc12345", "11111111", "00000000", "maxtt123", "treadstone",
+]);
+
+/**
+ * Policy problems with a user-chosen password ([] = acceptable):
+ * too_short, too_long, needs_letter, needs_digit, too_common, contains_username.
+ */
+export function passwordProblems(p, { username = "" } = {}) {
+  p = String(p ?? "");
+  const out = [];
+  if (p.length < PASSWORD_MIN_LENGTH) out.push("too_short");
+  if (p.length > 128) out.push("too_long");
+  if (!/[A-Za-z]/.test(p)) out.push("needs_letter");
+  if (!/[0-9]/.test(p)) out.push("needs_digit");
+  if (COMMON_PASSWORDS.has(p.toLowerCase())) out.push("too_common");
+  const u = String(username || "").toLowerCase();
+  if (u.length >= 3 && p.toLowerCase().includes(u)) out.push("contains_username");
+  return out;
+}
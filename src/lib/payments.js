@@ -0,0 +1,232 @@
+// src/lib/payments.js
+// Customer payments against invoices: cash, UPI, card, bank transfer.
+//
+// A payment is one or more tenders ("legs") recorded together under one
+// receipt_ref, so a bill settled as Rs. 2,000 cash + the rest by UPI is a
+// single split payment. Invoices can be paid in several instalments until the
+// balance is zero; overpayment is refused.
+//
+// Payable = total_with_gst - credit notes (incl. GST). refreshPaymentStatus()
+// keeps invoices.amount_paid / balance_due / payment_status in step and is
+// also called by issueCreditNote(). balance_due goes negative when a paid
+// invoice is later credited (money owed back to the customer).
+//
+// Invoices that predate payment tracking are "unknown" (see the payments
+// migration) until a payment is recorded against them; they are never listed
+// as receivables.
+
+import crypto from "crypto";
+import { istDateISO } from "./istPeriod.js";
+
+export const PAYMENT_METHODS = ["cash", "upi", "card", "bank_transfer"];
+const METHOD_ALIASES = { bank: "bank_transfer", neft: "bank_transfer", imps: "bank_transfer", rtgs: "bank_transfer" };
+
+/** Ageing buckets for GET /me/receivables, by whole IST days since the invoice date. */
+export const AGEING_BUCKETS = [
+  { key: "0_30", min: 0, max: 30 },
+  { key: "31_60", min: 31, max: 60 },
+  { key: "61_90", min: 61, max: 90 },
+  { key: "over_90", min: 91, max: Infinity },
+];
+
+const MAX_LEGS = 5;
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+export function paymentStatusOf(payable, paid, current = null) {
+  if (round2(paid) <= 0) return current === "unknown" ? "unknown" : "unpaid";
+  return round2(payable - paid) <= 0 ? "paid" : "partial";
+}
+
+/**
+ * Validate a payment body: either { method, amount, reference? } or
+ * { payments: [{ method, amount, reference? }, ...] } for a split payment.
+ * @returns {{legs: {method:string, amount:number, reference:string|null}[], paidAt:string|null, note:string|null}}
+ */
+export function normalisePayment(body) {
+  if (!body || typeof body !== "object") throw fail("bad_body");
+  const raw = Array.isArray(body.payments) ? body.payments : [body];
+  if (!raw.length) throw fail("no_payments");
+  if (raw.length > MAX_LEGS) throw fail("too_many_legs", 400, { max: MAX_LEGS });
+
+  const legs = raw.map((p, i) => {
+    const m = String(p?.method || "").trim().toLowerCase();
+    const method = METHOD_ALIASES[m] || m;
+    if (!PAYMENT_METHODS.includes(method)) throw fail("bad_method", 400, { leg: i, allowed: PAYMENT_METHODS });
+    const amount = round2(p.amount);
+    if (!Number.isFinite(Number(p.amount)) || amount <= 0) throw fail("bad_amount", 400, { leg: i });
+    const reference = String(p.reference ?? "").trim() || null;
+    return { method, amount, reference };
+  });
+
+  let paidAt = null;
+  if (body.paid_at != null && String(body.paid_at).trim() !== "") {
+    const d = new Date(body.paid_at);
+    if (isNaN(d.getTime()) || d.getTime() > Date.now() + 5 * 60 * 1000) throw fail("bad_paid_at");
+    paidAt = d.toISOString();
+  }
+  const note = String(body.note ?? "").trim() || null;
+  return { legs, paidAt, note };
+}
+
+/**
+ * Current payment state of one invoice, from payments + credit notes.
+ * @returns {Promise<{payable:number, credited:number, amount_paid:number, balance_due:number, payment_status:string, last_paid_at:Date|null}>}
+ */
+export async function loadPaymentState(client, invoiceId) {
+  const r = await client.query(
+    `SELECT i.total_with_gst, i.payment_status,
+            (SELECT COALESCE(SUM(total_with_gst),0) FROM public.credit_notes WHERE invoice_id=i.id)::float AS credited,
+            (SELECT COALESCE(SUM(amount),0) FROM public.payments WHERE invoice_id=i.id AND voided_at IS NULL)::float AS paid,
+            (SELECT MAX(paid_at) FROM public.payments WHERE invoice_id=i.id AND voided_at IS NULL) AS last_paid_at
+       FROM public.invoices i WHERE i.id=$1`,
+    [invoiceId]
+  );
+  if (!r.rowCount) throw fail("not_found", 404);
+  const row = r.rows[0];
+  const credited = round2(row.credited);
+  const payable = round2(Math.max(0, Number(row.total_with_gst || 0) - credited));
+  const paid = round2(row.paid);
+  return {
+    payable,
+    credited,
+    amount_paid: paid,
+    balance_due: round2(payable - paid),
+    payment_status: paymentStatusOf(payable, paid, row.payment_status),
+    last_paid_at: row.last_paid_at || null,
+  };
+}
+
+/** Recompute and store the invoice's payment state (inside the caller's transaction). */
+export async function refreshPaymentStatus(client, invoiceId) {
+  const state = await loadPaymentState(client, invoiceId);
+  await client.query(
+    `UPDATE public.invoices SET amount_paid=$2, balance_due=$3, payment_status=$4, last_paid_at=$5 WHERE id=$1`,
+    [invoiceId, state.amount_paid, state.balance_due, state.payment_status, state.last_paid_at]
+  );
+  return state;
+}
+
+async function lockOwnedInvoice(client, invoiceId, franchiseeId) {
+  const ir = await client.query(`SELECT * FROM public.invoices WHERE id=$1 FOR UPDATE`, [invoiceId]);
+  if (!ir.rowCount) throw fail("not_found", 404);
+  const inv = ir.rows[0];
+  const frid = inv.franchisee_id || inv.franchisee_code;
+  if (franchiseeId && frid !== franchiseeId) throw fail("wrong_owner", 403);
+  return { inv, frid };
+}
+
+/**
+ * Record a (possibly split) payment against one invoice.
+ * @param {import("pg").PoolClient} client  (inside BEGIN)
+ * @param {object} p
+ * @param {number} p.invoiceId
+ * @param {string|null} p.franchiseeId      caller's franchisee (null for SA)
+ * @param {object} p.body                   raw request body (see normalisePayment)
+ * @param {string} p.actor
+ * @returns {Promise<{receipt_ref:string, payments:object[], invoice:object}>}
+ */
+export async function recordPayment(client, { invoiceId, franchiseeId = null, body, actor }) {
+  const { legs, paidAt, note } = normalisePayment(body);
+  const { inv, frid } = await lockOwnedInvoice(client, invoiceId, franchiseeId);
+  if (inv.status === "cancelled") throw fail("invoice_cancelled", 409);
+
+  const before = await loadPaymentState(client, invoiceId);
+  const total = round2(legs.reduce((s, l) => s + l.amount, 0));
+  if (total > before.balance_due) {
+    throw fail("overpayment", 409, { balance_due: Math.max(0, before.balance_due), amount: total });
+  }
+
+  const receiptRef = `RCPT-${invoiceId}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+  const payments = [];
+  for (const leg of legs) {
+    const r = await client.query(
+      `INSERT INTO public.payments (invoice_id, franchisee_id, method, amount, reference, receipt_ref, paid_at, note, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6,COALESCE($7::timestamptz, NOW()),$8,$9)
+       RETURNING *`,
+      [invoiceId, frid, leg.method, leg.amount, leg.reference, receiptRef, paidAt, note, actor]
+    );
+    payments.push(r.rows[0]);
+  }
+  const state = await refreshPaymentStatus(client, invoiceId);
+  return { receipt_ref: receiptRef, payments, invoice: { id: inv.id, invoice_number: inv.invoice_number, ...state } };
+}
+
+/**
+ * Void one payment leg (wrong amount, bounced transfer). The row is kept.
+ * @returns {Promise<{payment:object, invoice:object}>}
+ */
+export async function voidPayment(client, { paymentId, franchiseeId = null, reason, actor }) {
+  const pr = await client.query(`SELECT * FROM public.payments WHERE id=$1 FOR UPDATE`, [paymentId]);
+  if (!pr.rowCount) throw fail("not_found", 404);
+  const pay = pr.rows[0];
+  if (franchiseeId && pay.franchisee_id !== franchiseeId) throw fail("wrong_owner", 403);
+  if (pay.voided_at) throw fail("already_voided", 409);
+
+  const { inv } = await lockOwnedInvoice(client, pay.invoice_id, franchiseeId);
+  const up = await client.query(
+    `UPDATE public.payments SET voided_at=NOW(), void_reason=$2, voided_by=$3 WHERE id=$1 RETURNING *`,
+    [paymentId, reason, actor]
+  );
+  const state = await refreshPaymentStatus(client, pay.invoice_id);
+  return { payment: up.rows[0], invoice: { id: inv.id, invoice_number: inv.invoice_number, ...state } };
+}
+
+function bucketOf(ageDays) {
+  return AGEING_BUCKETS.find((b) => ageDays >= b.min && ageDays <= b.max)?.key || AGEING_BUCKETS[0].key;
+}
+
+/**
+ * Open invoices (balance due > 0, not cancelled, payment status known) with age and ageing bucket, as of now.
+ * @returns {Promise<{as_of:string, total_outstanding:number, invoice_count:number, buckets:object[], items:object[]}>}
+ */
+export async function loadReceivables(client, franchiseeId, { bucket = null } = {}) {
+  const r = await client.query(
+    `SELECT id, invoice_number, created_at, customer_name, mobile_number, vehicle_number,
+            total_with_gst, amount_paid, COALESCE(balance_due, total_with_gst)::float AS balance_due,
+            payment_status, last_paid_at
+       FROM public.invoices
+      WHERE COALESCE(franchisee_id, franchisee_code)=$1
+        AND COALESCE(status,'issued') <> 'cancelled'
+        AND payment_status <> 'unknown'
+        AND COALESCE(balance_due, total_with_gst) > 0
+      ORDER BY created_at ASC, id ASC`,
+    [franchiseeId]
+  );
+
+  const asOf = istDateISO(new Date());
+  const asOfMs = Date.parse(`${asOf}T00:00:00Z`);
+  const buckets = AGEING_BUCKETS.map((b) => ({ bucket: b.key, amount: 0, count: 0 }));
+  const items = [];
+  for (const row of r.rows) {
+    const ageDays = Math.max(0, Math.round((asOfMs - Date.parse(`${istDateISO(row.created_at)}T00:00:00Z`)) / 86400000));
+    const key = bucketOf(ageDays);
+    const b = buckets.find((x) => x.bucket === key);
+    b.amount = round2(b.amount + Number(row.balance_due));
+    b.count += 1;
+    if (bucket && key !== bucket) continue;
+    items.push({
+      ...row,
+      total_with_gst: Number(row.total_with_gst || 0),
+      amount_paid: Number(row.amount_paid || 0),
+      balance_due: round2(row.balance_due),
+      age_days: ageDays,
+      bucket: key,
+    });
+  }
+  return {
+    as_of: asOf,
+    total_outstanding: round2(buckets.reduce((s, b) => s + b.amount, 0)),
+    invoice_count: r.rowCount,
+    buckets,
+    items,
+  };
+}
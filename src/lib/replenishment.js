@@ -0,0 +1,261 @@
+// src/lib/replenishment.js
+// Replenishment orders: stock sent from HQ to a franchisee.
+//
+//   requested  (franchisee)  -> approved (SA, may trim the quantity) | rejected (SA)
+//   approved   (SA)          -> dispatched (SA: litres, registered batch, rate per litre)
+//   dispatched (franchisee)  -> received (litres actually received)
+//   requested | approved     -> cancelled (franchisee while requested, SA until dispatch)
+//
+// receiveOrder() credits inventory through moveStock() (src/inventory.js) and
+// the dispatched batch (src/lib/batches.js), and issues HQ's tax invoice
+// (series "HQ", src/lib/invoiceNumbering.js) for the received quantity, all
+// inside the caller's transaction. A receipt below the dispatched quantity
+// records the shortage and needs a note.
+// Every transition appends a replenishment_order_events row.
+//
+// HQ (supplier on the tax invoice) comes from env: HQ_CODE, HQ_LEGAL_NAME,
+// HQ_GSTIN, HQ_STATE_CODE, HQ_ADDRESS, HQ_RATE_PER_LITRE, HQ_GST_RATE, HQ_HSN_CODE.
+// Dispatch and receipt refuse with 500 hq_tax_config_missing while HQ_GSTIN /
+// HQ_STATE_CODE are unset or invalid: without them the tax mode cannot be decided.
+
+import { allocateInvoiceNumber } from "./invoiceNumbering.js";
+import { GSTIN_RE, determineTaxMode, resolveStateCode, splitGst } from "./tax.js";
+import { getInventoryMapping, moveStock } from "../inventory.js";
+import { creditBatch, getBatch, normaliseBatch, normaliseBatchNumber, registerBatch } from "./batches.js";
+
+export const HQ = {
+  code: process.env.HQ_CODE || "HQ",
+  legalName: process.env.HQ_LEGAL_NAME || "HQ",
+  gstin: process.env.HQ_GSTIN || null,
+  stateCode: process.env.HQ_STATE_CODE || null,
+  address: process.env.HQ_ADDRESS || null,
+  ratePerLitre: Number(process.env.HQ_RATE_PER_LITRE || 0) || null,
+  gstRate: Number(process.env.HQ_GST_RATE || process.env.DEFAULT_GST_RATE || 18),
+  hsnCode: process.env.HQ_HSN_CODE || process.env.DEFAULT_HSN || "35069999",
+};
+
+export const ORDER_STATUSES = ["requested", "approved", "rejected", "dispatched", "received", "cancelled"];
+
+const MAX_ORDER_LITRES = Number(process.env.REPLENISHMENT_MAX_LITRES || 5000);
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+/** HQ's GSTIN and state must be configured before stock that gets a tax invoice moves. */
+function requireHqTaxConfig() {
+  const missing = [];
+  if (!GSTIN_RE.test(String(HQ.gstin || "").toUpperCase())) missing.push("HQ_GSTIN");
+  if (!resolveStateCode(HQ.stateCode)) missing.push("HQ_STATE_CODE");
+  if (missing.length) throw fail("hq_tax_config_missing", 500, { missing });
+}
+
+function litresOf(v, code = "bad_litres") {
+  const n = round3(v);
+  if (!Number.isFinite(Number(v)) || n <= 0) throw fail(code);
+  if (n > MAX_ORDER_LITRES) throw fail(code, 400, { max: MAX_ORDER_LITRES });
+  return n;
+}
+
+async function lockOrder(client, orderId, franchiseeId = null) {
+  const r = await client.query(`SELECT * FROM public.replenishment_orders WHERE id=$1 FOR UPDATE`, [orderId]);
+  if (!r.rowCount) throw fail("not_found", 404);
+  const order = r.rows[0];
+  if (franchiseeId && order.franchisee_id !== franchiseeId) throw fail("wrong_owner", 403);
+  return order;
+}
+
+function expectStatus(order, allowed) {
+  if (!allowed.includes(order.status)) throw fail("bad_state", 409, { status: order.status, expected: allowed });
+}
+
+async function logEvent(client, orderId, { from, to, litres = null, actor, note = null, detail = null }) {
+  const r = await client.query(
+    `INSERT INTO public.replenishment_order_events (order_id, from_status, to_status, litres, actor, note, detail)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+    [orderId, from, to, litres, actor, note, detail ? JSON.stringify(detail) : null]
+  );
+  return r.rows[0];
+}
+
+/** UPDATE the order with `sets` (column -> value) plus updated_at, and return the row. */
+async function updateOrder(client, orderId, sets) {
+  const cols = Object.keys(sets);
+  const r = await client.query(
+    `UPDATE public.replenishment_orders
+        SET ${cols.map((c, i) => `${c}=$${i + 2}`).join(", ")}, updated_at=NOW()
+      WHERE id=$1 RETURNING *`,
+    [orderId, ...Object.values(sets)]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Franchisee raises a stock request.
+ * @returns {Promise<object>} the new order
+ */
+export async function createOrder(client, { franchiseeId, litres, note = null, actor }) {
+  const qty = litresOf(litres);
+  const fr = await client.query(`SELECT status FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [franchiseeId]);
+  if (!fr.rowCount) throw fail("franchisee_not_found", 404);
+  if (fr.rows[0].status && fr.rows[0].status !== "ACTIVE") throw fail("franchisee_not_active", 409);
+  const r = await client.query(
+    `INSERT INTO public.replenishment_orders (franchisee_id, requested_litres, request_note, requested_by)
+     VALUES ($1,$2,$3,$4) RETURNING *`,
+    [franchiseeId, qty, note, actor]
+  );
+  const order = r.rows[0];
+  await logEvent(client, order.id, { from: null, to: "requested", litres: qty, actor, note });
+  return order;
+}
+
+/** SA approval; `litres` defaults to the requested quantity. */
+export async function approveOrder(client, { orderId, litres, note = null, actor }) {
+  const order = await lockOrder(client, orderId);
+  expectStatus(order, ["requested"]);
+  const qty = litres == null ? round3(order.requested_litres) : litresOf(litres);
+  const out = await updateOrder(client, orderId, {
+    status: "approved", approved_litres: qty, approved_by: actor, approved_at: new Date(), status_note: note,
+  });
+  await logEvent(client, orderId, { from: order.status, to: "approved", litres: qty, actor, note });
+  return out;
+}
+
+export async function rejectOrder(client, { orderId, reason, actor }) {
+  const order = await lockOrder(client, orderId);
+  expectStatus(order, ["requested"]);
+  const out = await updateOrder(client, orderId, { status: "rejected", status_note: reason, closed_by: actor });
+  await logEvent(client, orderId, { from: order.status, to: "rejected", actor, note: reason });
+  return out;
+}
+
+/** Franchisee (franchiseeId set) may cancel while requested; SA until dispatch. */
+export async function cancelOrder(client, { orderId, franchiseeId = null, reason, actor }) {
+  const order = await lockOrder(client, orderId, franchiseeId);
+  expectStatus(order, franchiseeId ? ["requested"] : ["requested", "approved"]);
+  const out = await updateOrder(client, orderId, { status: "cancelled", status_note: reason, closed_by: actor });
+  await logEvent(client, orderId, { from: order.status, to: "cancelled", actor, note: reason });
+  return out;
+}
+
+/**
+ * SA dispatch: quantity (up to the approved litres), batch and the price HQ
+ * will invoice at (falls back to HQ_RATE_PER_LITRE). The batch must be
+ * registered (src/lib/batches.js) or come with manufactured_on / expires_on.
+ */
+export async function dispatchOrder(client, { orderId, litres, batchNumber, manufacturedOn, expiresOn, reference = null, ratePerLitre, note = null, actor }) {
+  requireHqTaxConfig();
+  const order = await lockOrder(client, orderId);
+  expectStatus(order, ["approved"]);
+  const qty = litresOf(litres);
+  if (qty > round3(order.approved_litres)) {
+    throw fail("exceeds_approved", 409, { approved_litres: round3(order.approved_litres) });
+  }
+  if (!String(batchNumber ?? "").trim()) throw fail("missing_batch_number");
+  const batch = normaliseBatchNumber(batchNumber);
+  if (manufacturedOn || expiresOn) {
+    const b = normaliseBatch({ batch_number: batch, manufactured_on: manufacturedOn, expires_on: expiresOn });
+    await registerBatch(client, { ...b, actor });
+  } else if (!(await getBatch(client, batch))) {
+    throw fail("unknown_batch", 404, { batch_number: batch });
+  }
+  const rate = ratePerLitre == null || ratePerLitre === "" ? HQ.ratePerLitre : round2(ratePerLitre);
+  if (!Number.isFinite(Number(rate)) || !(rate > 0)) throw fail("missing_rate_per_litre");
+
+  const out = await updateOrder(client, orderId, {
+    status: "dispatched", dispatched_litres: qty, batch_number: batch, dispatch_reference: reference,
+    rate_per_litre: rate, dispatched_by: actor, dispatched_at: new Date(), status_note: note,
+  });
+  await logEvent(client, orderId, {
+    from: order.status, to: "dispatched", litres: qty, actor, note,
+    detail: { batch_number: batch, dispatch_reference: reference, rate_per_litre: rate },
+  });
+  return out;
+}
+
+/**
+ * Franchisee confirms receipt. Credits inventory and issues HQ's tax invoice
+ * for the received litres (defaults to the dispatched quantity).
+ * @returns {Promise<{order:object, movement:object, available_litres:number}>}
+ */
+export async function receiveOrder(client, { orderId, franchiseeId = null, receivedLitres, note = null, actor }) {
+  requireHqTaxConfig();
+  const order = await lockOrder(client, orderId, franchiseeId);
+  expectStatus(order, ["dispatched"]);
+  const dispatched = round3(order.dispatched_litres);
+  const qty = receivedLitres == null ? dispatched : litresOf(receivedLitres);
+  if (qty > dispatched) throw fail("exceeds_dispatched", 409, { dispatched_litres: dispatched });
+  const shortage = round3(dispatched - qty);
+  if (shortage > 0 && !note) throw fail("missing_shortage_note", 400, { shortage_litres: shortage });
+
+  const mv = await moveStock(client, await getInventoryMapping(client), {
+    franchiseeId: order.franchisee_id, kind: "replenishment", litres: qty,
+    sourceType: "replenishment_order", sourceId: String(order.id), actor,
+    note: order.batch_number ? `Batch ${order.batch_number}` : null,
+  });
+  if (!mv.ok) throw fail(mv.code, 409);
+  await creditBatch(client, { franchiseeId: order.franchisee_id, batchNumber: order.batch_number, litres: qty });
+
+  // HQ -> franchisee tax invoice; the franchisee is a registered (B2B) buyer
+  const fr = await client.query(`SELECT gstin, state_code FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [order.franchisee_id]);
+  const tax = determineTaxMode({
+    supplierGstin: HQ.gstin, supplierStateCode: HQ.stateCode,
+    customerGstin: fr.rows[0]?.gstin, placeOfSupply: fr.rows[0]?.state_code,
+  });
+  const taxable = round2(qty * Number(order.rate_per_litre));
+  const gst = round2(taxable * HQ.gstRate / 100);
+  const split = splitGst(gst, tax.tax_mode);
+  const invoiceDate = new Date();
+  const num = await allocateInvoiceNumber(client, HQ.code, { series: "HQ", date: invoiceDate });
+
+  const out = await updateOrder(client, orderId, {
+    status: "received", received_litres: qty, shortage_litres: shortage,
+    received_by: actor, received_at: invoiceDate, status_note: note,
+    hq_invoice_number: num.invoice_number, hq_invoice_number_norm: num.invoice_number_norm,
+    hq_invoice_seq: num.invoice_seq, hq_invoice_fy: num.invoice_fy, hq_invoice_date: invoiceDate,
+    hsn_code: HQ.hsnCode, gst_rate: HQ.gstRate, tax_mode: tax.tax_mode, place_of_supply: tax.place_of_supply,
+    total_before_gst: taxable, ...split, gst_amount: gst, total_with_gst: round2(taxable + gst),
+  });
+  await logEvent(client, orderId, {
+    from: order.status, to: "received", litres: qty, actor, note,
+    detail: {
+      dispatched_litres: dispatched, shortage_litres: shortage, batch_number: order.batch_number,
+      movement_id: Number(mv.movement.id), hq_invoice_number: num.invoice_number,
+    },
+  });
+  return { order: out, movement: mv.movement, available_litres: mv.available_litres };
+}
+
+/** One order with its event trail (oldest first). */
+export async function loadOrder(client, orderId, franchiseeId = null) {
+  const r = await client.query(`SELECT * FROM public.replenishment_orders WHERE id=$1 LIMIT 1`, [orderId]);
+  if (!r.rowCount) throw fail("not_found", 404);
+  const order = r.rows[0];
+  if (franchiseeId && order.franchisee_id !== franchiseeId) throw fail("wrong_owner", 403);
+  const ev = await client.query(`SELECT * FROM public.replenishment_order_events WHERE order_id=$1 ORDER BY id`, [orderId]);
+  return { order, events: ev.rows };
+}
+
+/** Orders newest first; keyset pagination on id. */
+export async function listOrders(client, { franchiseeId = null, status = null, beforeId = null, limit = 50 } = {}) {
+  const where = [], params = [];
+  if (franchiseeId) { params.push(franchiseeId); where.push(`franchisee_id=$${params.length}`); }
+  if (status) { params.push(status); where.push(`status=$${params.length}`); }
+  if (beforeId) { params.push(beforeId); where.push(`id<$${params.length}`); }
+  params.push(limit);
+  const r = await client.query(
+    `SELECT * FROM public.replenishment_orders
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY id DESC LIMIT $${params.length}`,
+    params
+  );
+  return r.rows;
+}
@@ -0,0 +1,174 @@
+// src/lib/sessions.js
+// Login sessions (user_sessions) behind short-lived access tokens (routes/auth.js).
+//
+// /auth/login opens a session and returns an access token (ACCESS_TOKEN_TTL_MINUTES,
+// carries the session id) plus a refresh token "<session id>.<secret>". Only the
+// SHA-256 of the refresh token is stored. /auth/refresh swaps it for a new pair
+// (rotation); presenting an already-rotated refresh token revokes the session,
+// since one of the two holders is not the user. A session ends at expires_at
+// (REFRESH_TOKEN_TTL_DAYS after login) or when revoked: logout, SA action,
+// password reset or the user being disabled. authenticate() (src/lib/auth.js)
+// rejects access tokens of ended sessions straight away.
+//
+// Env:
+//   REFRESH_TOKEN_TTL_DAYS     session / refresh token lifetime from login (default 30)
+//   SESSION_RETENTION_DAYS     ended sessions kept for /me/sessions history (default 30)
+//   SESSION_CLEANUP_MINUTES    purge interval for startSessionCleanup (default 60)
+
+import crypto from "crypto";
+import { b64url, signToken } from "./auth.js";
+import { UUID_RE, toUser } from "./users.js";
+
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const RETENTION_DAYS = Number(process.env.SESSION_RETENTION_DAYS || 30);
+const CLEANUP_MINUTES = Number(process.env.SESSION_CLEANUP_MINUTES || 60);
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+const newRefreshToken = (sessionId) => `${sessionId}.${b64url(crypto.randomBytes(32))}`;
+
+/** Token pair for a user + session row. */
+function issue(user, session, refreshToken) {
+  const { token, expires_at } = signToken({ ...user, session_id: session.id });
+  return {
+    token, expires_at, refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at, session_id: session.id, user,
+  };
+}
+
+function toSession(r, currentId = null) {
+  return {
+    id: r.id, user_id: r.user_id, franchisee_id: r.franchisee_id || null,
+    ip: r.ip || null, user_agent: r.user_agent || null,
+    created_at: r.created_at, last_used_at: r.last_used_at, expires_at: r.expires_at,
+    rotations: r.rotations, revoked_at: r.revoked_at || null, revoked_by: r.revoked_by || null,
+    revoke_reason: r.revoke_reason || null,
+    ...(currentId ? { current: r.id === currentId } : {}),
+  };
+}
+
+/** New session for an authenticated user ({ ip, userAgent } from the login request). */
+export async function openSession(client, user, { ip = null, userAgent = null } = {}) {
+  const id = crypto.randomUUID();
+  const refreshToken = newRefreshToken(id);
+  const r = await client.query(
+    `INSERT INTO public.user_sessions (id, user_id, franchisee_id, refresh_hash, ip, user_agent, expires_at)
+     VALUES ($1,$2,$3,$4,$5,$6, NOW() + $7::float8 * INTERVAL '1 day')
+     RETURNING *`,
+    [id, user.id, user.franchisee_id || null, sha256(refreshToken), ip, userAgent ? String(userAgent).slice(0, 300) : null, REFRESH_TTL_DAYS]
+  );
+  return issue(user, r.rows[0], refreshToken);
+}
+
+/**
+ * Rotate a refresh token. Role / scope in the new access token come from the
+ * current users row. Each step is a single statement, so a replay revocation
+ * sticks even though the call fails.
+ */
+export async function refreshSession(client, refreshToken, { ip = null } = {}) {
+  refreshToken = String(refreshToken || "");
+  const sid = refreshToken.split(".")[0];
+  if (!UUID_RE.test(sid)) throw fail("bad_refresh_token", 401);
+  const hash = sha256(refreshToken);
+  const next = newRefreshToken(sid);
+  const r = await client.query(
+    `UPDATE public.user_sessions
+        SET prev_refresh_hash=refresh_hash, refresh_hash=$3, rotations=rotations+1,
+            last_used_at=NOW(), ip=COALESCE($4, ip)
+      WHERE id=$1 AND refresh_hash=$2 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING *`,
+    [sid, hash, sha256(next), ip]
+  );
+  if (!r.rowCount) {
+    const cur = (await client.query(`SELECT * FROM public.user_sessions WHERE id=$1`, [sid])).rows[0];
+    if (!cur || (cur.refresh_hash !== hash && cur.prev_refresh_hash !== hash)) throw fail("bad_refresh_token", 401);
+    if (cur.revoked_at) throw fail("session_revoked", 401, { reason: cur.revoke_reason });
+    if (new Date(cur.expires_at) <= new Date()) throw fail("session_expired", 401);
+    await revokeSessions(client, { sessionId: sid }, { actor: "system:refresh_reuse", reason: "refresh_reuse" });
+    throw fail("refresh_token_reused", 401);
+  }
+  const s = r.rows[0];
+  const u = (await client.query(`SELECT * FROM public.users WHERE id=$1`, [s.user_id])).rows[0];
+  if (!u?.is_active) {
+    await revokeSessions(client, { sessionId: sid }, { actor: "system:user_disabled", reason: "user_disabled" });
+    throw fail("user_disabled", 403);
+  }
+  return issue(toUser(u), s, next);
+}
+
+/**
+ * Revoke open sessions matching one of sessionId / userId / franchiseeId
+ * (franchiseeId = every user scoped to that franchisee), optionally keeping
+ * exceptSessionId. Returns the number revoked.
+ */
+export async function revokeSessions(client, { sessionId = null, userId = null, franchiseeId = null, exceptSessionId = null }, { actor, reason }) {
+  if (!sessionId && !userId && !franchiseeId) throw new Error("revokeSessions: no target");
+  const r = await client.query(
+    `UPDATE public.user_sessions
+        SET revoked_at=NOW(), revoked_by=$5, revoke_reason=$6
+      WHERE revoked_at IS NULL
+        AND ($1::uuid IS NULL OR id=$1)
+        AND ($2::uuid IS NULL OR user_id=$2)
+        AND ($3::text IS NULL OR franchisee_id=$3)
+        AND ($4::uuid IS NULL OR id<>$4)`,
+    [sessionId, userId, franchiseeId, exceptSessionId, actor, reason]
+  );
+  return r.rowCount;
+}
+
+/** Logout with only a refresh token (access token already expired). Returns the session or null. */
+export async function revokeByRefreshToken(client, refreshToken, { actor, reason = "logout" }) {
+  refreshToken = String(refreshToken || "");
+  const sid = refreshToken.split(".")[0];
+  if (!UUID_RE.test(sid)) return null;
+  const r = await client.query(
+    `UPDATE public.user_sessions
+        SET revoked_at=NOW(), revoke_reason=$4,
+            revoked_by=COALESCE($3, 'user:' || (SELECT username FROM public.users u WHERE u.id=user_sessions.user_id))
+      WHERE id=$1 AND refresh_hash=$2 AND revoked_at IS NULL
+      RETURNING *`,
+    [sid, sha256(refreshToken), actor || null, reason]
+  );
+  return r.rowCount ? toSession(r.rows[0]) : null;
+}
+
+/** A user's sessions, newest first; open ones only unless includeEnded. */
+export async function listSessions(client, userId, { currentId = null, includeEnded = false, limit = 50 } = {}) {
+  const r = await client.query(
+    `SELECT * FROM public.user_sessions
+      WHERE user_id=$1 ${includeEnded ? "" : "AND revoked_at IS NULL AND expires_at > NOW()"}
+      ORDER BY created_at DESC
+      LIMIT $2`,
+    [userId, limit]
+  );
+  return r.rows.map((row) => toSession(row, currentId));
+}
+
+/** Drop sessions that ended more than SESSION_RETENTION_DAYS ago. */
+export async function purgeEndedSessions(pool) {
+  const r = await pool.query(
+    `DELETE FROM public.user_sessions
+      WHERE LEAST(COALESCE(revoked_at, expires_at), expires_at) < NOW() - $1::float8 * INTERVAL '1 day'`,
+    [RETENTION_DAYS]
+  );
+  return r.rowCount;
+}
+
+/** Periodic purge (unref'd so it never keeps the process alive). */
+export function startSessionCleanup(pool) {
+  const run = () => purgeEndedSessions(pool)
+    .then((n) => { if (n) console.log(`sessions: purged ${n} ended session(s)`); })
+    .catch((e) => console.error("session purge failed", e?.message || e));
+  const t = setInterval(run, Math.max(1, CLEANUP_MINUTES) * 60 * 1000);
+  t.unref?.();
+  run();
+  return t;
+}
@@ -0,0 +1,254 @@
+// src/lib/stockCounts.js
+// Physical stock counts and variance reconciliation (db/migrations/20261019_stock_counts.sql).
+//
+// A count is compared with book stock (the inventory stock column, locked for
+// the comparison) and, for the period since the previous accepted count, with
+// litres invoiced vs litres used by completed installations — a gap there
+// usually explains a variance (unbilled jobs, over-dosing, credit notes).
+//
+//   |variance| <= tolerance  -> posted: the adjustment is written immediately
+//   |variance| >  tolerance  -> pending_approval -> approved (SA, adjustment) | rejected (SA)
+//
+// Tolerance = max(STOCK_COUNT_TOLERANCE_LITRES, STOCK_COUNT_TOLERANCE_PCT % of book).
+// The adjustment is the variance at count time, applied as a delta through
+// moveStock() (kind "adjustment", source "stock_count"), so stock used between
+// the count and its approval is not lost. A shortfall takes batches like any
+// write-off (expired first allowed, src/lib/batches.js); a surplus is untracked.
+
+import { getInventoryRowForUpdate, moveStock } from "../inventory.js";
+import { takeStock } from "./batches.js";
+import { notifyIfLowStock } from "./stockForecast.js";
+
+export const COUNT_TOLERANCE = {
+  litres: Number(process.env.STOCK_COUNT_TOLERANCE_LITRES || 0.5),
+  pct: Number(process.env.STOCK_COUNT_TOLERANCE_PCT || 2),
+};
+
+export const COUNT_STATUSES = ["posted", "pending_approval", "approved", "rejected"];
+
+const MAX_COUNT_LITRES = Number(process.env.STOCK_COUNT_MAX_LITRES || 100000);
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+const COUNT_COLS = `id, franchisee_id, status, counted_litres::float AS counted_litres, book_litres::float AS book_litres,
+  variance_litres::float AS variance_litres, variance_pct::float AS variance_pct, tolerance_litres::float AS tolerance_litres,
+  period_from, period_to, installed_litres::float AS installed_litres, invoiced_litres::float AS invoiced_litres,
+  unbilled_litres::float AS unbilled_litres, note, counted_by, reviewed_by, reviewed_at, review_note,
+  adjustment_movement_id, created_at, updated_at`;
+
+export function toleranceFor(bookLitres) {
+  return round3(Math.max(COUNT_TOLERANCE.litres, (Math.abs(Number(bookLitres) || 0) * COUNT_TOLERANCE.pct) / 100));
+}
+
+/** Installed vs invoiced litres for a franchisee in (from, to]; from null = since the start. */
+async function billingVsMaterial(client, franchiseeId, from, to) {
+  const inst = await client.query(
+    `SELECT COALESCE(SUM(used_litres),0)::float AS litres
+       FROM public.installations
+      WHERE franchisee_id=$1 AND status='completed'
+        AND ($2::timestamptz IS NULL OR completed_at > $2::timestamptz) AND completed_at <= $3::timestamptz`,
+    [franchiseeId, from, to]
+  );
+  // invoices.created_at has no time zone (stored as UTC wall time)
+  const inv = await client.query(
+    `SELECT COALESCE(SUM(COALESCE(dosage_ml,0)/1000.0 - COALESCE(credited_litres,0)),0)::float AS litres
+       FROM public.invoices
+      WHERE franchisee_id=$1 AND COALESCE(status,'issued') <> 'cancelled'
+        AND ($2::timestamp IS NULL OR created_at > $2::timestamp) AND created_at <= $3::timestamp`,
+    [franchiseeId, from ? from.replace("Z", "") : null, to.replace("Z", "")]
+  );
+  const installed = round3(inst.rows[0].litres);
+  const invoiced = round3(inv.rows[0].litres);
+  return { installed, invoiced, unbilled: round3(installed - invoiced) };
+}
+
+/**
+ * Write the count's variance to inventory (and batches), inside the caller's transaction.
+ * @returns {Promise<object|null>} the movement, or null for a zero variance
+ */
+async function postAdjustment(client, mapping, count, actor) {
+  const litres = round3(count.variance_litres);
+  if (litres === 0) return null;
+  const mv = await moveStock(client, mapping, {
+    franchiseeId: count.franchisee_id, kind: "adjustment", litres,
+    sourceType: "stock_count", sourceId: String(count.id), actor, ignoreReservations: true,
+    note: `Stock count #${count.id}: counted ${round3(count.counted_litres)} L vs book ${round3(count.book_litres)} L`,
+  });
+  if (!mv.ok) {
+    throw fail(mv.code, mv.code === "inventory_row_missing" ? 404 : 409,
+      mv.available_litres != null ? { available_litres: mv.available_litres } : {});
+  }
+  if (litres < 0) {
+    const took = await takeStock(client, {
+      franchiseeId: count.franchisee_id, litres: -litres, availableBefore: mv.available_litres - litres, allowExpired: true,
+    });
+    if (!took.ok) { const { ok, code, ...extra } = took; throw fail(code, 409, extra); }
+    await notifyIfLowStock(client, mapping, count.franchisee_id);
+  }
+  return { ...mv.movement, litres: Number(mv.movement.litres), balance_after: mv.available_litres };
+}
+
+async function lockCount(client, countId) {
+  const r = await client.query(`SELECT ${COUNT_COLS} FROM public.stock_counts WHERE id=$1 FOR UPDATE`, [countId]);
+  if (!r.rowCount) throw fail("not_found", 404);
+  return r.rows[0];
+}
+
+/** UPDATE the count with `sets` (column -> value) plus updated_at, and return the row. */
+async function updateCount(client, countId, sets) {
+  const cols = Object.keys(sets);
+  const r = await client.query(
+    `UPDATE public.stock_counts
+        SET ${cols.map((c, i) => `${c}=$${i + 2}`).join(", ")}, updated_at=NOW()
+      WHERE id=$1 RETURNING ${COUNT_COLS}`,
+    [countId, ...Object.values(sets)]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Franchisee submits a physical count.
+ * @returns {Promise<{count:object, adjustment:object|null}>}
+ */
+export async function submitCount(client, mapping, { franchiseeId, countedLitres, note = null, actor }) {
+  const counted = round3(countedLitres);
+  if (countedLitres == null || countedLitres === "" || !Number.isFinite(Number(countedLitres)) || counted < 0) {
+    throw fail("bad_counted_litres");
+  }
+  if (counted > MAX_COUNT_LITRES) throw fail("bad_counted_litres", 400, { max: MAX_COUNT_LITRES });
+
+  const row = await getInventoryRowForUpdate(client, mapping, franchiseeId);
+  if (!row) throw fail("inventory_row_missing", 404);
+  const pending = await client.query(
+    `SELECT id FROM public.stock_counts WHERE franchisee_id=$1 AND status='pending_approval' LIMIT 1`,
+    [franchiseeId]
+  );
+  if (pending.rowCount) throw fail("count_pending_approval", 409, { count_id: pending.rows[0].id });
+
+  const book = round3(row.available_litres);
+  const variance = round3(counted - book);
+  const tolerance = toleranceFor(book);
+
+  // Period: since the last accepted count, else onboarding, else all time
+  const last = await client.query(
+    `SELECT created_at FROM public.stock_counts
+      WHERE franchisee_id=$1 AND status IN ('posted','approved') ORDER BY id DESC LIMIT 1`,
+    [franchiseeId]
+  );
+  let from = last.rowCount ? new Date(last.rows[0].created_at).toISOString() : null;
+  if (!from) {
+    const fr = await client.query(`SELECT onboarded_at FROM public.franchisees WHERE franchisee_id=$1 LIMIT 1`, [franchiseeId]);
+    if (fr.rows[0]?.onboarded_at) from = new Date(fr.rows[0].onboarded_at).toISOString();
+  }
+  const to = new Date().toISOString();
+  const bill = await billingVsMaterial(client, franchiseeId, from, to);
+
+  const status = Math.abs(variance) <= tolerance ? "posted" : "pending_approval";
+  const ins = await client.query(
+    `INSERT INTO public.stock_counts
+       (franchisee_id, status, counted_litres, book_litres, variance_litres, variance_pct, tolerance_litres,
+        period_from, period_to, installed_litres, invoiced_litres, unbilled_litres, note, counted_by)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     RETURNING ${COUNT_COLS}`,
+    [franchiseeId, status, counted, book, variance, book > 0 ? round2((variance / book) * 100) : null, tolerance,
+      from, to, bill.installed, bill.invoiced, bill.unbilled, note, actor]
+  );
+  let count = ins.rows[0];
+  let adjustment = null;
+  if (status === "posted") {
+    adjustment = await postAdjustment(client, mapping, count, actor);
+    if (adjustment) count = await updateCount(client, count.id, { adjustment_movement_id: adjustment.id });
+  }
+  return { count, adjustment };
+}
+
+/** SA accepts a count above tolerance; the variance is posted as an adjustment. */
+export async function approveCount(client, mapping, { countId, note = null, actor }) {
+  const c = await lockCount(client, countId);
+  if (c.status !== "pending_approval") throw fail("bad_state", 409, { status: c.status, expected: ["pending_approval"] });
+  const adjustment = await postAdjustment(client, mapping, c, actor);
+  const count = await updateCount(client, countId, {
+    status: "approved", reviewed_by: actor, reviewed_at: new Date(), review_note: note,
+    adjustment_movement_id: adjustment?.id ?? null,
+  });
+  return { count, adjustment };
+}
+
+/** SA rejects a count (recount needed); book stock is left as it is. */
+export async function rejectCount(client, { countId, reason, actor }) {
+  const c = await lockCount(client, countId);
+  if (c.status !== "pending_approval") throw fail("bad_state", 409, { status: c.status, expected: ["pending_approval"] });
+  const count = await updateCount(client, countId, {
+    status: "rejected", reviewed_by: actor, reviewed_at: new Date(), review_note: reason,
+  });
+  return { count };
+}
+
+/** Counts newest first; franchiseeId null = all franchisees (SA). */
+export async function listCounts(client, { franchiseeId = null, status = null, beforeId = null, limit = 50 } = {}) {
+  const r = await client.query(
+    `SELECT ${COUNT_COLS} FROM public.stock_counts
+      WHERE ($1::text IS NULL OR franchisee_id=$1)
+        AND ($2::text IS NULL OR status=$2)
+        AND ($3::bigint IS NULL OR id < $3)
+      ORDER BY id DESC
+      LIMIT $4`,
+    [franchiseeId, status, beforeId, limit]
+  );
+  return r.rows;
+}
+
+/**
+ * Variance trend per IST month over accepted counts (posted + approved),
+ * newest month first, plus totals. Rejected counts are listed but not summed.
+ */
+export async function varianceTrend(client, franchiseeId, { months = 12 } = {}) {
+  const r = await client.query(
+    `SELECT to_char(created_at AT TIME ZONE 'Asia/Kolkata', 'YYYY-MM') AS month,
+            COUNT(*)::int AS counts,
+            COUNT(*) FILTER (WHERE status='approved')::int AS above_tolerance,
+            COALESCE(SUM(variance_litres),0)::float AS net_variance_litres,
+            COALESCE(SUM(variance_litres) FILTER (WHERE variance_litres < 0),0)::float AS shortfall_litres,
+            COALESCE(SUM(variance_litres) FILTER (WHERE variance_litres > 0),0)::float AS surplus_litres,
+            AVG(ABS(variance_pct))::float AS avg_abs_variance_pct,
+            COALESCE(SUM(unbilled_litres),0)::float AS unbilled_litres
+       FROM public.stock_counts
+      WHERE franchisee_id=$1 AND status IN ('posted','approved')
+        AND created_at >= (date_trunc('month', NOW() AT TIME ZONE 'Asia/Kolkata')
+                           - make_interval(months => $2::int - 1)) AT TIME ZONE 'Asia/Kolkata'
+      GROUP BY 1
+      ORDER BY 1 DESC`,
+    [franchiseeId, months]
+  );
+  const items = r.rows.map((m) => ({
+    ...m,
+    net_variance_litres: round3(m.net_variance_litres),
+    shortfall_litres: round3(m.shortfall_litres),
+    surplus_litres: round3(m.surplus_litres),
+    avg_abs_variance_pct: m.avg_abs_variance_pct == null ? null : round2(m.avg_abs_variance_pct),
+    unbilled_litres: round3(m.unbilled_litres),
+  }));
+  const sum = (k) => round3(items.reduce((t, m) => t + m[k], 0));
+  return {
+    months,
+    totals: {
+      counts: items.reduce((t, m) => t + m.counts, 0),
+      above_tolerance: items.reduce((t, m) => t + m.above_tolerance, 0),
+      net_variance_litres: sum("net_variance_litres"),
+      shortfall_litres: sum("shortfall_litres"),
+      surplus_litres: sum("surplus_litres"),
+      unbilled_litres: sum("unbilled_litres"),
+    },
+    items,
+  };
+}
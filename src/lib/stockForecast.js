@@ -0,0 +1,130 @@
+// src/lib/stockForecast.js
+// Consumption-based stock cover and reorder suggestions (GET /me/stock,
+// GET /api/super/inventory/low-stock).
+//
+// Average daily consumption = litres used by completed installations over the
+// last STOCK_CONSUMPTION_WINDOW_DAYS, divided by the days in that window the
+// franchisee was actually onboarded. Days of cover = available / average.
+//
+//   status  critical  below STOCK_THRESHOLD_LITRES (/installations/start refuses jobs)
+//           low       days of cover below LOW_STOCK_COVER_DAYS
+//           ok        otherwise (also when there is no consumption yet)
+//
+// Suggested reorder tops stock up to (lead time + target cover) days of
+// consumption — never below the start threshold — net of open replenishment
+// orders, rounded up to REORDER_PACK_LITRES.
+// notifyIfLowStock() writes a "low_stock" outbox row, at most once per status per IST day.
+
+import { enqueueNotification } from "./notifications.js";
+import { stockRelation } from "../inventory.js";
+import { istDateISO } from "./istPeriod.js";
+
+export const FORECAST = {
+  windowDays: Number(process.env.STOCK_CONSUMPTION_WINDOW_DAYS || 30),
+  lowCoverDays: Number(process.env.LOW_STOCK_COVER_DAYS || 7),
+  targetCoverDays: Number(process.env.REORDER_TARGET_COVER_DAYS || 30),
+  leadTimeDays: Number(process.env.REORDER_LEAD_TIME_DAYS || 5),
+  packLitres: Number(process.env.REORDER_PACK_LITRES || 5),
+  thresholdLitres: Number(process.env.STOCK_THRESHOLD_LITRES || 20),
+};
+
+export const STOCK_STATUSES = ["critical", "low", "ok"];
+
+const DAY_MS = 86400000;
+const round1 = (n) => Math.round((Number(n) || 0) * 10) / 10;
+const round3 = (n) => Math.round((Number(n) || 0) * 1000) / 1000;
+
+/** Forecast figures for one franchisee row (see stockForecasts). */
+export function forecastOf(row, now = new Date()) {
+  const available = round3(row.available_litres);
+  let days = FORECAST.windowDays;
+  if (row.onboarded_at) {
+    const since = Math.round((now.getTime() - new Date(row.onboarded_at).getTime()) / DAY_MS);
+    days = Math.min(FORECAST.windowDays, Math.max(1, since));
+  }
+  const used = round3(row.used_litres);
+  const avg = round3(used / days);
+  const cover = avg > 0 ? round1(available / avg) : null;
+  const onOrder = round3(row.on_order_litres);
+
+  let status = "ok";
+  if (available < FORECAST.thresholdLitres) status = "critical";
+  else if (cover != null && cover < FORECAST.lowCoverDays) status = "low";
+
+  const targetLitres = Math.max(avg * (FORECAST.leadTimeDays + FORECAST.targetCoverDays), FORECAST.thresholdLitres);
+  const shortfall = targetLitres - available - onOrder;
+  const pack = FORECAST.packLitres > 0 ? FORECAST.packLitres : 1;
+  const suggested = shortfall > 0 ? Math.ceil(round3(shortfall) / pack) * pack : 0;
+
+  return {
+    available_litres: available,
+    consumption_window_days: days,
+    consumed_litres: used,
+    installations_in_window: Number(row.installations || 0),
+    avg_daily_consumption_litres: avg,
+    days_of_cover: cover,
+    low_cover_days: FORECAST.lowCoverDays,
+    threshold_litres: FORECAST.thresholdLitres,
+    status,
+    on_order_litres: onOrder,
+    suggested_reorder_litres: suggested,
+  };
+}
+
+/**
+ * Stock + consumption for one franchisee (franchiseeId) or every ACTIVE one.
+ * @param {import("pg").PoolClient} client
+ * @param {{table:string, franchiseeCol:string, stockCol:string}} mapping
+ * @param {{franchiseeId?:string|null}} [opts]
+ * @returns {Promise<object[]>} rows with franchisee_id, legal_name and forecastOf() fields
+ */
+export async function stockForecasts(client, mapping, { franchiseeId = null } = {}) {
+  const r = await client.query(
+    `SELECT f.franchisee_id, f.legal_name, f.onboarded_at,
+            COALESCE(s.available_litres, 0)::float AS available_litres,
+            COALESCE(c.used, 0)::float AS used_litres,
+            COALESCE(c.jobs, 0)::int AS installations,
+            COALESCE(o.litres, 0)::float AS on_order_litres
+       FROM public.franchisees f
+       LEFT JOIN ${stockRelation(mapping)} s
+              ON s.franchisee_id = f.franchisee_id
+       LEFT JOIN (SELECT franchisee_id, SUM(used_litres) AS used, COUNT(*) AS jobs
+                    FROM public.installations
+                   WHERE status = 'completed' AND completed_at >= NOW() - make_interval(days => $2::int)
+                   GROUP BY franchisee_id) c
+              ON c.franchisee_id = f.franchisee_id
+       LEFT JOIN (SELECT franchisee_id, SUM(COALESCE(dispatched_litres, approved_litres, requested_litres)) AS litres
+                    FROM public.replenishment_orders
+                   WHERE status IN ('requested','approved','dispatched')
+                   GROUP BY franchisee_id) o
+              ON o.franchisee_id = f.franchisee_id
+      WHERE ($1::text IS NULL AND COALESCE(f.status, 'ACTIVE') = 'ACTIVE') OR f.franchisee_id = $1
+      ORDER BY f.franchisee_id`,
+    [franchiseeId, FORECAST.windowDays]
+  );
+  const now = new Date();
+  return r.rows.map((row) => ({ franchisee_id: row.franchisee_id, legal_name: row.legal_name, ...forecastOf(row, now) }));
+}
+
+/**
+ * After stock goes down: queue a low_stock notification when the franchisee is
+ * low or critical (deduplicated per status and IST day). Runs in the caller's transaction.
+ * @returns {Promise<object|null>} the forecast, or null when the franchisee is unknown
+ */
+export async function notifyIfLowStock(client, mapping, franchiseeId) {
+  const [fc] = await stockForecasts(client, mapping, { franchiseeId });
+  if (!fc || fc.status === "ok") return fc || null;
+  await enqueueNotification(client, {
+    topic: "low_stock",
+    franchiseeId,
+    payload: {
+      status: fc.status,
+      available_litres: fc.available_litres,
+      days_of_cover: fc.days_of_cover,
+      avg_daily_consumption_litres: fc.avg_daily_consumption_litres,
+      suggested_reorder_litres: fc.suggested_reorder_litres,
+    },
+    dedupeKey: `low_stock:${franchiseeId}:${fc.status}:${istDateISO(new Date())}`,
+  });
+  return fc;
+}
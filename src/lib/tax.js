@@ -0,0 +1,123 @@
+// src/lib/tax.js
+// GST place-of-supply → CGST+SGST (intra-state) vs IGST (inter-state)
+//
+// Supplier state: franchisee GSTIN prefix, else franchisees.state_code.
+// Place of supply: customer GSTIN prefix (B2B), else the place_of_supply sent
+// with the invoice, else the supplier's own state (over-the-counter B2C).
+
+// GST state codes → vehicle-registration style alpha code (as used in franchisee ids) + name
+const GST_STATES = {
+  "01": ["JK", "Jammu and Kashmir"],
+  "02": ["HP", "Himachal Pradesh"],
+  "03": ["PB", "Punjab"],
+  "04": ["CH", "Chandigarh"],
+  "05": ["UK", "Uttarakhand"],
+  "06": ["HR", "Haryana"],
+  "07": ["DL", "Delhi"],
+  "08": ["RJ", "Rajasthan"],
+  "09": ["UP", "Uttar Pradesh"],
+  "10": ["BR", "Bihar"],
+  "11": ["SK", "Sikkim"],
+  "12": ["AR", "Arunachal Pradesh"],
+  "13": ["NL", "Nagaland"],
+  "14": ["MN", "Manipur"],
+  "15": ["MZ", "Mizoram"],
+  "16": ["TR", "Tripura"],
+  "17": ["ML", "Meghalaya"],
+  "18": ["AS", "Assam"],
+  "19": ["WB", "West Bengal"],
+  "20": ["JH", "Jharkhand"],
+  "21": ["OD", "Odisha"],
+  "22": ["CG", "Chhattisgarh"],
+  "23": ["MP", "Madhya Pradesh"],
+  "24": ["GJ", "Gujarat"],
+  "26": ["DD", "Dadra and Nagar Haveli and Daman and Diu"],
+  "27": ["MH", "Maharashtra"],
+  "29": ["KA", "Karnataka"],
+  "30": ["GA", "Goa"],
+  "31": ["LD", "Lakshadweep"],
+  "32": ["KL", "Kerala"],
+  "33": ["TN", "Tamil Nadu"],
+  "34": ["PY", "Puducherry"],
+  "35": ["AN", "Andaman and Nicobar Islands"],
+  "36": ["TS", "Telangana"],
+  "37": ["AP", "Andhra Pradesh"],
+  "38": ["LA", "Ladakh"],
+  "97": ["OT", "Other Territory"],
+};
+
+// Alternate alpha spellings seen in older data
+const ALPHA_ALIASES = { UA: "05", UT: "05", OR: "21", CT: "22", TG: "36", DN: "26" };
+
+export const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Resolve a state reference to its 2-digit GST state code.
+ * Accepts "6", "06", "HR", "Haryana" or a full GSTIN.
+ * @param {string|number|null|undefined} input
+ * @returns {string|null}
+ */
+export function resolveStateCode(input) {
+  const s = String(input ?? "").trim().toUpperCase();
+  if (!s) return null;
+  if (GSTIN_RE.test(s)) return GST_STATES[s.slice(0, 2)] ? s.slice(0, 2) : null;
+  if (/^\d{1,2}$/.test(s)) {
+    const code = s.padStart(2, "0");
+    return GST_STATES[code] ? code : null;
+  }
+  if (ALPHA_ALIASES[s]) return ALPHA_ALIASES[s];
+  for (const [code, [alpha, name]] of Object.entries(GST_STATES)) {
+    if (alpha === s || name.toUpperCase() === s) return code;
+  }
+  return null;
+}
+
+/** "06" → "06-Haryana" (the form GST portals and the PDF print) */
+export function placeOfSupplyLabel(code) {
+  return GST_STATES[code] ? `${code}-${GST_STATES[code][1]}` : null;
+}
+
+/**
+ * Decide the tax mode for an invoice.
+ * @param {object} p
+ * @param {string} [p.supplierGstin]
+ * @param {string} [p.supplierStateCode]   franchisees.state_code (alpha or numeric)
+ * @param {string} [p.customerGstin]
+ * @param {string} [p.placeOfSupply]       state reference sent with the invoice
+ * @returns {{tax_mode:"CGST+SGST"|"IGST", supplier_state_code:string|null, place_of_supply_code:string|null,
+ *            place_of_supply:string|null, pos_source:"customer_gstin"|"request"|"supplier"|"unknown"}}
+ */
+export function determineTaxMode({ supplierGstin, supplierStateCode, customerGstin, placeOfSupply } = {}) {
+  const supplier = resolveStateCode(supplierGstin) || resolveStateCode(supplierStateCode);
+
+  let pos = null, pos_source = "unknown";
+  if (customerGstin && resolveStateCode(customerGstin)) { pos = resolveStateCode(customerGstin); pos_source = "customer_gstin"; }
+  else if (placeOfSupply && resolveStateCode(placeOfSupply)) { pos = resolveStateCode(placeOfSupply); pos_source = "request"; }
+  else if (supplier) { pos = supplier; pos_source = "supplier"; }
+
+  // Unknown supplier state: keep the historical default (CGST+SGST)
+  const interState = Boolean(supplier && pos && supplier !== pos);
+  return {
+    tax_mode: interState ? "IGST" : "CGST+SGST",
+    supplier_state_code: supplier,
+    place_of_supply_code: pos,
+    place_of_supply: placeOfSupplyLabel(pos),
+    pos_source,
+  };
+}
+
+/**
+ * Split a GST amount by tax mode. CGST gets the rounded half; SGST the
+ * remainder, so the two always add back to gstAmount.
+ * @param {number} gstAmount
+ * @param {"CGST+SGST"|"IGST"} taxMode
+ * @returns {{cgst_amount:number, sgst_amount:number, igst_amount:number}}
+ */
+export function splitGst(gstAmount, taxMode) {
+  const total = round2(gstAmount);
+  if (taxMode === "IGST") return { cgst_amount: 0, sgst_amount: 0, igst_amount: total };
+  const cgst = round2(total / 2);
+  return { cgst_amount: cgst, sgst_amount: round2(total - cgst), igst_amount: 0 };
+}
@@ -0,0 +1,76 @@
+// src/lib/upi.js
+// UPI collection details per franchisee and the upi://pay deep link
+// (NPCI "UPI Linking Specs") printed as a QR on the v46 invoice PDF.
+
+export const VPA_RE = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+const NOTE_MAX = 50;
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+/**
+ * Validate a settings body { vpa?, payee_name?, qr_enabled? }.
+ * vpa / payee_name set to null or "" clear them.
+ * @returns {Record<string, any>} column -> value, only for the keys present
+ */
+export function normaliseUpiSettings(body) {
+  if (!body || typeof body !== "object") throw fail("bad_body");
+  const out = {};
+  if ("vpa" in body) {
+    const vpa = String(body.vpa ?? "").trim().toLowerCase();
+    if (vpa && !VPA_RE.test(vpa)) throw fail("bad_vpa");
+    out.upi_vpa = vpa || null;
+  }
+  if ("payee_name" in body) {
+    const name = String(body.payee_name ?? "").trim().replace(/\s+/g, " ");
+    if (name.length > 99) throw fail("bad_payee_name");
+    out.upi_payee_name = name || null;
+  }
+  if ("qr_enabled" in body) {
+    if (typeof body.qr_enabled !== "boolean") throw fail("bad_qr_enabled");
+    out.upi_qr_enabled = body.qr_enabled;
+  }
+  if (!Object.keys(out).length) throw fail("no_changes");
+  return out;
+}
+
+/**
+ * upi://pay link for an exact amount. No "tr" (merchant reference): payer apps
+ * reject it for personal VPAs, so the invoice number travels in "tn" instead.
+ */
+export function buildUpiUri({ vpa, payeeName, amount, note }) {
+  const params = [
+    ["pa", vpa],
+    ["pn", payeeName || vpa],
+    ["am", Number(amount).toFixed(2)],
+    ["cu", "INR"],
+    ["tn", String(note || "").slice(0, NOTE_MAX)],
+  ];
+  // "@" stays literal: several payer apps fail to parse pa=...%40...
+  return `upi://pay?${params.map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%40/g, "@")}`).join("&")}`;
+}
+
+/**
+ * The upi://pay link to print for an invoice, or null when no QR should show:
+ * no VPA, QR switched off, invoice cancelled / credited / (partly) paid / from before
+ * payment tracking (payment_status "unknown"), or zero total.
+ */
+export function invoiceUpiUri(inv, fr) {
+  if (!fr?.upi_vpa || fr.upi_qr_enabled === false) return null;
+  if (inv.status === "cancelled" || Number(inv.credited_amount || 0) > 0) return null;
+  if ((inv.payment_status || "unpaid") !== "unpaid" || Number(inv.amount_paid || 0) > 0) return null;
+  const amount = Number(inv.total_with_gst || 0);
+  if (!(amount > 0)) return null;
+  return buildUpiUri({
+    vpa: fr.upi_vpa,
+    payeeName: fr.upi_payee_name || fr.legal_name,
+    amount,
+    note: inv.invoice_number || `INV-${inv.id}`,
+  });
+}
@@ -0,0 +1,198 @@
+// src/lib/users.js
+// Named user accounts (users table, role SA / ADMIN / FRANCHISEE / INSTALLER) behind /auth/login.
+//
+// A FRANCHISEE user is scoped to one franchisee (users.franchisee_id, carried in
+// the token); the franchisee's own login is username = franchisee_id. INSTALLER
+// users share that scope and are managed by the owner (routes/installers.js).
+// SA / ADMIN users are named people, so audit columns record who did what
+// ("sa:<username>") instead of a shared key.
+// A password reset or disabling a user revokes that user's sessions (src/lib/sessions.js);
+// a self-service change (changePassword) keeps only the session it was made from.
+// Passwords users choose go through the strength policy in src/lib/passwords.js.
+
+import { OUTLET_ROLES, USER_ROLES } from "./auth.js";
+import { PASSWORD_MIN_LENGTH, generatePassword, hashPassword, passwordProblems, verifyPassword } from "./passwords.js";
+import { revokeSessions } from "./sessions.js";
+
+export const USERNAME_RE = /^[A-Za-z0-9][A-Za-z0-9._@-]{2,63}$/;
+export const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Verified against when the username does not exist, so a miss costs the same scrypt run as a hit
+const DUMMY_HASH = hashPassword(generatePassword(20));
+
+/** Error carrying an API code + HTTP status for the route to relay. */
+function fail(code, status = 400, extra = {}) {
+  const e = new Error(code);
+  e.code = code;
+  e.status = status;
+  e.extra = extra;
+  return e;
+}
+
+/** API shape of a users row (never the hash). */
+export function toUser(r) {
+  return {
+    id: r.id, username: r.username, role: r.role, franchisee_id: r.franchisee_id || null,
+    display_name: r.display_name || null, is_active: r.is_active, last_login_at: r.last_login_at || null,
+    password_changed_at: r.password_changed_at || null,
+    created_by: r.created_by || null, created_at: r.created_at, updated_at: r.updated_at,
+  };
+}
+
+/** A user-chosen password that passes the strength policy (src/lib/passwords.js). */
+export function passwordOf(v, username) {
+  const p = String(v ?? "");
+  const problems = passwordProblems(p, { username });
+  if (problems.length) throw fail("weak_password", 400, { problems, min_length: PASSWORD_MIN_LENGTH });
+  return p;
+}
+
+/** Check credentials; stamps last_login_at. Unknown user and wrong password look (and take) the same. */
+export async function authenticateUser(client, { username, password }) {
+  const r = await client.query(`SELECT * FROM public.users WHERE username=$1 LIMIT 1`, [String(username)]);
+  const row = r.rows[0];
+  const ok = verifyPassword(String(password), row ? row.password_hash : DUMMY_HASH);
+  if (!row || !ok) throw fail("bad_credentials", 401);
+  if (!row.is_active) throw fail("user_disabled", 403);
+  const u = await client.query(`UPDATE public.users SET last_login_at=NOW() WHERE id=$1 RETURNING *`, [row.id]);
+  return toUser(u.rows[0]);
+}
+
+export async function getUser(client, id) {
+  if (!UUID_RE.test(String(id))) throw fail("bad_id");
+  const r = await client.query(`SELECT * FROM public.users WHERE id=$1`, [id]);
+  if (!r.rowCount) throw fail("not_found", 404);
+  return toUser(r.rows[0]);
+}
+
+export async function hasActiveSA(client) {
+  const r = await client.query(`SELECT 1 FROM public.users WHERE role='SA' AND is_active LIMIT 1`);
+  return r.rowCount > 0;
+}
+
+/**
+ * Create a user. Without a password a system one is generated and returned once.
+ * @returns {Promise<{user:object, password:string|null}>}
+ */
+export async function createUser(client, { username, password, role, franchiseeId, displayName, actor }) {
+  username = String(username || "").trim();
+  if (!USERNAME_RE.test(username)) throw fail("bad_username");
+  if (!USER_ROLES.includes(role)) throw fail("bad_role", 400, { allowed: USER_ROLES });
+  franchiseeId = String(franchiseeId || "").trim() || null;
+  if (OUTLET_ROLES.includes(role)) {
+    if (!franchiseeId) throw fail("missing_franchisee_id");
+    const f = await client.query(`SELECT 1 FROM public.franchisees WHERE franchisee_id=$1`, [franchiseeId]);
+    if (!f.rowCount) throw fail("franchisee_not_found", 404);
+  } else if (franchiseeId) {
+    throw fail("franchisee_scope_not_allowed", 400, { role });
+  }
+  const generated = password == null || password === "" ? generatePassword(20) : null;
+  const hash = hashPassword(generated || passwordOf(password, username));
+  const r = await client.query(
+    `INSERT INTO public.users (username, password_hash, role, franchisee_id, display_name, created_by)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (username) DO NOTHING
+     RETURNING *`,
+    [username, hash, role, franchiseeId, String(displayName || "").trim() || null, actor]
+  );
+  if (!r.rowCount) throw fail("username_taken", 409);
+  return { user: toUser(r.rows[0]), password: generated };
+}
+
+/** An installer of this franchisee (404 for anyone else, so ids of other outlets are not confirmed). */
+export async function getInstaller(client, franchiseeId, id) {
+  if (!UUID_RE.test(String(id))) throw fail("bad_id");
+  const r = await client.query(
+    `SELECT * FROM public.users WHERE id=$1 AND role='INSTALLER' AND franchisee_id=$2`,
+    [id, franchiseeId]
+  );
+  if (!r.rowCount) throw fail("not_found", 404);
+  return toUser(r.rows[0]);
+}
+
+/** Enable / disable, rename. Role and franchisee scope are fixed at creation. */
+export async function updateUser(client, id, { isActive, displayName, actor }) {
+  const cur = await getUser(client, id);
+  const active = isActive == null ? cur.is_active : Boolean(isActive);
+  const name = displayName === undefined ? cur.display_name : (String(displayName || "").trim() || null);
+  const r = await client.query(
+    `UPDATE public.users SET is_active=$2, display_name=$3, updated_at=NOW() WHERE id=$1 RETURNING *`,
+    [id, active, name]
+  );
+  const revoked = active ? 0 : await revokeSessions(client, { userId: id }, { actor, reason: "user_disabled" });
+  return { user: toUser(r.rows[0]), sessions_revoked: revoked };
+}
+
+/** Set a new system-generated password (returned once) and end the user's sessions. */
+export async function resetUserPassword(client, id, actor) {
+  await getUser(client, id);
+  const password = generatePassword(20);
+  const r = await client.query(
+    `UPDATE public.users SET password_hash=$2, password_changed_at=NOW(), updated_at=NOW() WHERE id=$1 RETURNING *`,
+    [id, hashPassword(password)]
+  );
+  const revoked = await revokeSessions(client, { userId: id }, { actor, reason: "password_reset" });
+  return { user: toUser(r.rows[0]), password, sessions_revoked: revoked };
+}
+
+/**
+ * Self-service change: the current password must match and the new one pass the
+ * policy. Ends the user's other sessions (keepSessionId stays signed in).
+ */
+export async function changePassword(client, id, { currentPassword, newPassword, keepSessionId = null }) {
+  const r = await client.query(`SELECT * FROM public.users WHERE id=$1 FOR UPDATE`, [id]);
+  const row = r.rows[0];
+  if (!row) throw fail("not_found", 404);
+  if (!verifyPassword(String(currentPassword ?? ""), row.password_hash)) throw fail("bad_current_password", 403);
+  const p = passwordOf(newPassword, row.username);
+  if (verifyPassword(p, row.password_hash)) throw fail("password_unchanged");
+  return setPassword(client, row, p, { actor: `user:${row.username}`, reason: "password_changed", keepSessionId });
+}
+
+/** Store a new (already validated) password and end the user's sessions except keepSessionId. */
+export async function setPassword(client, user, password, { actor, reason, keepSessionId = null }) {
+  const u = await client.query(
+    `UPDATE public.users SET password_hash=$2, password_changed_at=NOW(), updated_at=NOW() WHERE id=$1 RETURNING *`,
+    [user.id, hashPassword(password)]
+  );
+  const revoked = await revokeSessions(client, { userId: user.id, exceptSessionId: keepSessionId }, { actor, reason });
+  return { user: toUser(u.rows[0]), sessions_revoked: revoked };
+}
+
+/**
+ * Reset a franchisee's own login (username = franchisee_id), creating the
+ * FRANCHISEE user on first use; ends that login's sessions.
+ */
+export async function resetFranchiseePassword(client, franchiseeId, actor) {
+  const password = generatePassword(20);
+  const r = await client.query(
+    `INSERT INTO public.users (username, password_hash, role, franchisee_id, created_by)
+     VALUES ($1,$2,'FRANCHISEE',$1,$3)
+     ON CONFLICT (username) DO UPDATE SET password_hash=EXCLUDED.password_hash, password_changed_at=NOW(), updated_at=NOW()
+       WHERE users.role='FRANCHISEE' AND users.franchisee_id=EXCLUDED.franchisee_id
+     RETURNING *`,
+    [franchiseeId, hashPassword(password), actor]
+  );
+  if (!r.rowCount) throw fail("username_taken", 409);
+  const revoked = await revokeSessions(client, { userId: r.rows[0].id }, { actor, reason: "password_reset" });
+  return { user: toUser(r.rows[0]), password, sessions_revoked: revoked };
+}
+
+export async function listUsers(client, { role = null, franchiseeId = null, search = null, limit = 50, offset = 0 } = {}) {
+  const where = [], params = [];
+  if (role) { params.push(role); where.push(`role=$${params.length}`); }
+  if (franchiseeId) { params.push(franchiseeId); where.push(`franchisee_id=$${params.length}`); }
+  if (search) {
+    params.push(`%${search}%`);
+    where.push(`(username ILIKE $${params.length} OR display_name ILIKE $${params.length})`);
+  }
+  params.push(limit, offset);
+  const r = await client.query(
+    `SELECT * FROM public.users
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY role, username
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return r.rows.map(toUser);
+}